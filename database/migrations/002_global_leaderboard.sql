@@ -0,0 +1,82 @@
+-- Migration 002: database-side global leaderboard
+-- Adds player_totals (maintained by trigger) and the global_leaderboard view
+
+-- ============================================
+-- PLAYER TOTALS (global leaderboard)
+-- ============================================
+-- One row per player with progress, kept in sync with progress_journal by
+-- trigger so the global leaderboard never aggregates the journal on read
+CREATE TABLE player_totals (
+  player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  total_best_nn INTEGER NOT NULL DEFAULT 0,
+  levels_completed INTEGER NOT NULL DEFAULT 0,
+  highest_level INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for ranking and rank lookups
+CREATE INDEX idx_player_totals_total
+  ON player_totals(total_best_nn DESC);
+
+-- Recompute one player's totals from progress_journal
+CREATE OR REPLACE FUNCTION refresh_player_totals(p_player_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM progress_journal WHERE player_id = p_player_id) THEN
+    DELETE FROM player_totals WHERE player_id = p_player_id;
+    RETURN;
+  END IF;
+
+  INSERT INTO player_totals (player_id, total_best_nn, levels_completed, highest_level, updated_at)
+  SELECT
+    p_player_id,
+    COALESCE(SUM(best_nn), 0),
+    COUNT(*),
+    MAX(universe_level),
+    NOW()
+  FROM progress_journal
+  WHERE player_id = p_player_id
+  ON CONFLICT (player_id)
+  DO UPDATE SET
+    total_best_nn = EXCLUDED.total_best_nn,
+    levels_completed = EXCLUDED.levels_completed,
+    highest_level = EXCLUDED.highest_level,
+    updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_player_totals()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM refresh_player_totals(NEW.player_id);
+  END IF;
+  IF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND OLD.player_id <> NEW.player_id) THEN
+    PERFORM refresh_player_totals(OLD.player_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER progress_journal_totals_trigger
+  AFTER INSERT OR UPDATE OR DELETE ON progress_journal
+  FOR EACH ROW EXECUTE FUNCTION sync_player_totals();
+
+-- Ranked global leaderboard, paginated by the API with .range()
+CREATE VIEW global_leaderboard AS
+SELECT
+  RANK() OVER (ORDER BY pt.total_best_nn DESC) AS rank,
+  pt.player_id,
+  p.display_name,
+  p.is_guest,
+  pt.total_best_nn,
+  pt.levels_completed,
+  pt.highest_level
+FROM player_totals pt
+JOIN players p ON p.id = pt.player_id;
+
+-- Backfill totals for existing progress
+INSERT INTO player_totals (player_id, total_best_nn, levels_completed, highest_level)
+SELECT player_id, SUM(best_nn), COUNT(*), MAX(universe_level)
+FROM progress_journal
+GROUP BY player_id;
@@ -0,0 +1,84 @@
+-- Migration 003: tie-aware leaderboard ranking
+-- Adds player_totals.achieved_at as a tiebreak, dense ranks and tie counts
+-- to global_leaderboard, and the level_leaderboard view
+
+ALTER TABLE player_totals ADD COLUMN achieved_at TIMESTAMPTZ;
+
+DROP INDEX IF EXISTS idx_player_totals_total;
+CREATE INDEX idx_player_totals_total
+  ON player_totals(total_best_nn DESC, achieved_at ASC);
+
+-- Recompute one player's totals from progress_journal
+CREATE OR REPLACE FUNCTION refresh_player_totals(p_player_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM progress_journal WHERE player_id = p_player_id) THEN
+    DELETE FROM player_totals WHERE player_id = p_player_id;
+    RETURN;
+  END IF;
+
+  INSERT INTO player_totals (player_id, total_best_nn, levels_completed, highest_level, achieved_at, updated_at)
+  SELECT
+    p_player_id,
+    COALESCE(SUM(best_nn), 0),
+    COUNT(*),
+    MAX(universe_level),
+    MAX(achieved_at),
+    NOW()
+  FROM progress_journal
+  WHERE player_id = p_player_id
+  ON CONFLICT (player_id)
+  DO UPDATE SET
+    total_best_nn = EXCLUDED.total_best_nn,
+    levels_completed = EXCLUDED.levels_completed,
+    highest_level = EXCLUDED.highest_level,
+    achieved_at = EXCLUDED.achieved_at,
+    updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill the tiebreak for existing totals
+UPDATE player_totals pt
+SET achieved_at = latest.achieved_at
+FROM (
+  SELECT player_id, MAX(achieved_at) AS achieved_at
+  FROM progress_journal
+  GROUP BY player_id
+) latest
+WHERE latest.player_id = pt.player_id;
+
+DROP VIEW IF EXISTS global_leaderboard;
+
+-- Ranked global leaderboard, paginated by the API with .range()
+-- Equal totals share a rank: `rank` is competition ranking (1, 1, 3),
+-- `dense_rank` is dense ranking (1, 1, 2). tie_count > 1 marks a tie.
+-- Clients order by rank, then achieved_at (earliest first), then player_id.
+CREATE VIEW global_leaderboard AS
+SELECT
+  RANK() OVER (ORDER BY pt.total_best_nn DESC) AS rank,
+  DENSE_RANK() OVER (ORDER BY pt.total_best_nn DESC) AS dense_rank,
+  COUNT(*) OVER (PARTITION BY pt.total_best_nn) AS tie_count,
+  pt.player_id,
+  p.display_name,
+  p.is_guest,
+  pt.total_best_nn,
+  pt.levels_completed,
+  pt.highest_level,
+  pt.achieved_at
+FROM player_totals pt
+JOIN players p ON p.id = pt.player_id;
+
+-- Ranked per-level leaderboard, same rank columns as global_leaderboard
+CREATE VIEW level_leaderboard AS
+SELECT
+  RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS rank,
+  DENSE_RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS dense_rank,
+  COUNT(*) OVER (PARTITION BY pj.universe_level, pj.best_nn) AS tie_count,
+  pj.universe_level,
+  pj.player_id,
+  p.display_name,
+  p.is_guest,
+  pj.best_nn,
+  pj.achieved_at
+FROM progress_journal pj
+JOIN players p ON p.id = pj.player_id;
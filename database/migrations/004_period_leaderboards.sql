@@ -0,0 +1,104 @@
+-- Migration 004: time-windowed leaderboards
+-- Adds level_leaderboard_since / global_leaderboard_since, computed from
+-- session_players.final_nn of sessions completed inside the window
+
+-- Index for time-windowed leaderboards
+CREATE INDEX idx_sessions_completed_ended
+  ON sessions(ended_at)
+  WHERE status = 'completed';
+
+-- Per-level leaderboard over sessions completed since p_since.
+-- Uses each player's best final_nn in the window (first time reached as tiebreak);
+-- columns match level_leaderboard.
+CREATE OR REPLACE FUNCTION level_leaderboard_since(p_level INTEGER, p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  universe_level INTEGER,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  best_nn INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH bests AS (
+    SELECT DISTINCT ON (sp.player_id)
+      sp.player_id,
+      sp.final_nn AS best_nn,
+      s.ended_at AS achieved_at
+    FROM session_players sp
+    JOIN sessions s ON s.id = sp.session_id
+    WHERE s.status = 'completed'
+      AND s.universe_level = p_level
+      AND s.ended_at >= p_since
+      AND sp.final_nn IS NOT NULL
+    ORDER BY sp.player_id, sp.final_nn DESC, s.ended_at ASC
+  )
+  SELECT
+    RANK() OVER (ORDER BY b.best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY b.best_nn DESC),
+    COUNT(*) OVER (PARTITION BY b.best_nn),
+    p_level,
+    b.player_id,
+    p.display_name,
+    p.is_guest,
+    b.best_nn,
+    b.achieved_at
+  FROM bests b
+  JOIN players p ON p.id = b.player_id;
+$$ LANGUAGE sql STABLE;
+
+-- Global leaderboard over sessions completed since p_since.
+-- Totals sum each player's best final_nn per level in the window;
+-- columns match global_leaderboard.
+CREATE OR REPLACE FUNCTION global_leaderboard_since(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  total_best_nn INTEGER,
+  levels_completed INTEGER,
+  highest_level INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH level_bests AS (
+    SELECT DISTINCT ON (sp.player_id, s.universe_level)
+      sp.player_id,
+      s.universe_level,
+      sp.final_nn AS best_nn,
+      s.ended_at AS achieved_at
+    FROM session_players sp
+    JOIN sessions s ON s.id = sp.session_id
+    WHERE s.status = 'completed'
+      AND s.ended_at >= p_since
+      AND sp.final_nn IS NOT NULL
+    ORDER BY sp.player_id, s.universe_level, sp.final_nn DESC, s.ended_at ASC
+  ),
+  totals AS (
+    SELECT
+      lb.player_id,
+      SUM(lb.best_nn)::INTEGER AS total_best_nn,
+      COUNT(*)::INTEGER AS levels_completed,
+      MAX(lb.universe_level) AS highest_level,
+      MAX(lb.achieved_at) AS achieved_at
+    FROM level_bests lb
+    GROUP BY lb.player_id
+  )
+  SELECT
+    RANK() OVER (ORDER BY t.total_best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY t.total_best_nn DESC),
+    COUNT(*) OVER (PARTITION BY t.total_best_nn),
+    t.player_id,
+    p.display_name,
+    p.is_guest,
+    t.total_best_nn,
+    t.levels_completed,
+    t.highest_level,
+    t.achieved_at
+  FROM totals t
+  JOIN players p ON p.id = t.player_id;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,117 @@
+-- Migration 005: per-session score history
+-- Adds score_history, filled by the session completion trigger, and
+-- backfills it from already completed sessions
+
+-- ============================================
+-- SCORE HISTORY (every completed session result)
+-- ============================================
+-- One row per player per completed session, written by the completion
+-- trigger; progress_journal keeps only the best, this keeps every run
+CREATE TABLE score_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  universe_level INTEGER NOT NULL CHECK (universe_level BETWEEN 1 AND 13),
+  box_id VARCHAR(20) REFERENCES game_boxes(box_id),
+  starting_nn INTEGER NOT NULL DEFAULT 0,
+  final_nn INTEGER NOT NULL,
+  nn_delta INTEGER GENERATED ALWAYS AS (final_nn - starting_nn) STORED,
+  color VARCHAR(20),
+  is_new_best BOOLEAN NOT NULL DEFAULT FALSE,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(session_id, player_id)
+);
+
+-- Index for a player's history (optionally per level)
+CREATE INDEX idx_score_history_player
+  ON score_history(player_id, completed_at DESC);
+CREATE INDEX idx_score_history_player_level
+  ON score_history(player_id, universe_level, completed_at DESC);
+
+-- Update progress journal when session ends (upsert best score)
+-- and record every result in score_history
+CREATE OR REPLACE FUNCTION update_progress_journal()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
+    -- Compare against the journal before it is updated to flag new bests
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, is_new_best, completed_at
+    )
+    SELECT
+      sp.player_id,
+      NEW.id,
+      NEW.universe_level,
+      NEW.box_id,
+      COALESCE(sp.starting_nn, 0),
+      sp.final_nn,
+      sp.race,
+      pj.best_nn IS NULL OR sp.final_nn > pj.best_nn,
+      COALESCE(NEW.ended_at, NOW())
+    FROM session_players sp
+    LEFT JOIN progress_journal pj
+      ON pj.player_id = sp.player_id
+      AND pj.universe_level = NEW.universe_level
+    WHERE sp.session_id = NEW.id
+      AND sp.final_nn IS NOT NULL
+    ON CONFLICT (session_id, player_id) DO NOTHING;
+
+    INSERT INTO progress_journal (player_id, universe_level, best_nn, session_id)
+    SELECT
+      sp.player_id,
+      NEW.universe_level,
+      sp.final_nn,
+      NEW.id
+    FROM session_players sp
+    WHERE sp.session_id = NEW.id
+      AND sp.final_nn IS NOT NULL
+    ON CONFLICT (player_id, universe_level)
+    DO UPDATE SET
+      best_nn = GREATEST(progress_journal.best_nn, EXCLUDED.best_nn),
+      achieved_at = CASE
+        WHEN EXCLUDED.best_nn > progress_journal.best_nn THEN NOW()
+        ELSE progress_journal.achieved_at
+      END,
+      session_id = CASE
+        WHEN EXCLUDED.best_nn > progress_journal.best_nn THEN EXCLUDED.session_id
+        ELSE progress_journal.session_id
+      END;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Backfill from completed sessions; a run is a new best when it beats every
+-- earlier run of the same player on the same level
+INSERT INTO score_history (
+  player_id, session_id, universe_level, box_id,
+  starting_nn, final_nn, color, is_new_best, completed_at
+)
+SELECT
+  player_id, session_id, universe_level, box_id,
+  starting_nn, final_nn, color,
+  previous_best IS NULL OR final_nn > previous_best,
+  completed_at
+FROM (
+  SELECT
+    sp.player_id,
+    s.id AS session_id,
+    s.universe_level,
+    s.box_id,
+    COALESCE(sp.starting_nn, 0) AS starting_nn,
+    sp.final_nn,
+    sp.race AS color,
+    COALESCE(s.ended_at, s.started_at) AS completed_at,
+    MAX(sp.final_nn) OVER (
+      PARTITION BY sp.player_id, s.universe_level
+      ORDER BY COALESCE(s.ended_at, s.started_at)
+      ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+    ) AS previous_best
+  FROM session_players sp
+  JOIN sessions s ON s.id = sp.session_id
+  WHERE s.status = 'completed'
+    AND sp.final_nn IS NOT NULL
+) runs
+ON CONFLICT (session_id, player_id) DO NOTHING;
@@ -0,0 +1,27 @@
+-- Migration 006: box ownership claims
+-- Adds box_claims plus indexes for owner lookups and per-box session history
+
+-- ============================================
+-- BOX CLAIMS (ownership confirmation)
+-- ============================================
+-- A signed-in player asks to own a box; the link emailed to the box's
+-- registration email confirms it (boxes without one cannot be claimed)
+CREATE TABLE box_claims (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  box_id VARCHAR(20) NOT NULL REFERENCES game_boxes(box_id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,          -- Where the confirmation was sent
+  token VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for token lookup
+CREATE INDEX idx_box_claims_token ON box_claims(token) WHERE confirmed_at IS NULL;
+
+-- Index for an owner's boxes
+CREATE INDEX idx_game_boxes_owner ON game_boxes(owner_player_id) WHERE owner_player_id IS NOT NULL;
+
+-- Index for a box's session history
+CREATE INDEX idx_sessions_box_started ON sessions(box_id, started_at DESC);
@@ -0,0 +1,23 @@
+-- Migration 007: publisher allowlist of issued box IDs
+-- Adds issued_box_ids and makes game_boxes reference it, so only printed
+-- boxes can be registered or host sessions
+
+CREATE TABLE issued_box_ids (
+  box_id VARCHAR(20) PRIMARY KEY,
+  batch VARCHAR(100),                   -- Print run / import label
+  issued_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Keep every box already in use (pre-format boxes included) so existing
+-- history stays valid; new IDs must match the canonical format
+INSERT INTO issued_box_ids (box_id, batch, issued_at)
+SELECT box_id, 'legacy', registered_at
+FROM game_boxes;
+
+ALTER TABLE issued_box_ids
+  ADD CONSTRAINT issued_box_ids_format
+  CHECK (box_id ~ '^NE-[0-9]{4}-[0-9]{5}$') NOT VALID;
+
+ALTER TABLE game_boxes
+  ADD CONSTRAINT game_boxes_box_id_issued
+  FOREIGN KEY (box_id) REFERENCES issued_box_ids(box_id);
@@ -0,0 +1,36 @@
+-- Migration 008: session join codes
+-- Adds sessions.join_code (5 letters, generated by default) for invite links
+
+-- Short human-friendly join code for invites (consonants only, so codes
+-- never spell words); unique among active sessions
+CREATE OR REPLACE FUNCTION generate_join_code()
+RETURNS VARCHAR(5) AS $$
+DECLARE
+  alphabet CONSTANT TEXT := 'BCDFGHJKLMNPQRSTVWXZ';
+  code VARCHAR(5);
+BEGIN
+  LOOP
+    code := '';
+    FOR i IN 1..5 LOOP
+      code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INTEGER, 1);
+    END LOOP;
+    EXIT WHEN NOT EXISTS (
+      SELECT 1 FROM sessions WHERE join_code = code AND status = 'active'
+    );
+  END LOOP;
+  RETURN code;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+-- Active sessions get a real code; finished ones only need a placeholder,
+-- since codes are unique (and resolvable) among active sessions only
+ALTER TABLE sessions ADD COLUMN join_code VARCHAR(5);
+UPDATE sessions SET join_code = generate_join_code() WHERE status = 'active';
+UPDATE sessions SET join_code = 'XXXXX' WHERE join_code IS NULL;
+ALTER TABLE sessions ALTER COLUMN join_code SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN join_code SET DEFAULT generate_join_code();
+
+-- Join codes resolve to the active session using them
+CREATE UNIQUE INDEX idx_active_session_join_code
+  ON sessions(join_code)
+  WHERE status = 'active';
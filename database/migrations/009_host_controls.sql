@@ -0,0 +1,199 @@
+-- Migration 009: host controls
+-- Moves session completion into complete_session() so that removing a player
+-- can finish the session the same way the last score submission does, and
+-- adds remove_session_player() for the host
+
+-- Mark a session completed and open the next-level session for the same
+-- players and colors. Callers must hold the session row lock.
+-- Returns the next session (all NULL after level 13).
+CREATE OR REPLACE FUNCTION complete_session(p_session_id UUID)
+RETURNS sessions AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+BEGIN
+  UPDATE sessions
+  SET status = 'completed', ended_at = NOW()
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF v_session.universe_level < 13 THEN
+    BEGIN
+      INSERT INTO sessions (box_id, universe_level, host_player_id, status)
+      VALUES (v_session.box_id, v_session.universe_level + 1, v_session.host_player_id, 'active')
+      RETURNING * INTO v_next_session;
+
+      -- Same players, same colors
+      INSERT INTO session_players (session_id, player_id, race)
+      SELECT v_next_session.id, sp.player_id, sp.race
+      FROM session_players sp
+      WHERE sp.session_id = p_session_id;
+    EXCEPTION WHEN unique_violation THEN
+      -- The box already has an active session (idx_active_session_per_box)
+      SELECT * INTO v_next_session
+      FROM sessions
+      WHERE box_id = v_session.box_id
+        AND universe_level = v_session.universe_level + 1
+        AND status = 'active';
+    END;
+  END IF;
+
+  RETURN v_next_session;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a player's final score in one transaction.
+-- Locks the session row so concurrent submissions are serialized, then:
+--   1. stores the score (and optional color / starting Nn)
+--   2. completes the session once every player has submitted
+--      (session_completed_trigger upserts progress_journal in this same transaction)
+--   3. spawns the next-level session with the same players
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION submit_session_score(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_starting_nn INTEGER DEFAULT NULL,
+  p_color VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status <> 'active' THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  UPDATE session_players
+  SET
+    final_nn = p_final_nn,
+    race = COALESCE(p_color, race),
+    starting_nn = COALESCE(p_starting_nn, starting_nn)
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  RETURNING * INTO v_session_player;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn)
+  INTO v_total, v_submitted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the service role (Cloudflare Functions) may call this
+REVOKE EXECUTE ON FUNCTION submit_session_score(UUID, UUID, INTEGER, INTEGER, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_session_score(UUID, UUID, INTEGER, INTEGER, VARCHAR) TO service_role;
+
+-- Host removes a player from an active session.
+-- Locks the session row, checks the caller is still the host, then completes
+-- the session if the remaining players have all submitted (next level is
+-- spawned) or all voted to end (no next level, as in /api/session/end).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION remove_session_player(
+  p_session_id UUID,
+  p_host_player_id UUID,
+  p_player_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_voted INTEGER;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status <> 'active' THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF v_session.host_player_id IS DISTINCT FROM p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'not_host');
+  END IF;
+
+  IF p_player_id = p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_remove_host');
+  END IF;
+
+  DELETE FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE voted_end)
+  INTO v_total, v_submitted, v_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  ELSIF v_total > 0 AND v_voted = v_total THEN
+    UPDATE sessions
+    SET status = 'completed', ended_at = NOW()
+    WHERE id = p_session_id;
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total_players', v_total,
+    'submitted_count', v_submitted,
+    'voted_count', v_voted,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION complete_session(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION remove_session_player(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION remove_session_player(UUID, UUID, UUID) TO service_role;
@@ -0,0 +1,82 @@
+-- Migration 010: stale session cleanup
+-- Adds sessions.last_activity_at / pending_end_at, touch_session() for the
+-- session endpoints and expire_stale_sessions() for the cron sweep
+
+ALTER TABLE sessions ADD COLUMN last_activity_at TIMESTAMPTZ;
+ALTER TABLE sessions ADD COLUMN pending_end_at TIMESTAMPTZ;
+
+-- Existing sessions: best guess is when they started (or ended)
+UPDATE sessions SET last_activity_at = COALESCE(ended_at, started_at, NOW());
+ALTER TABLE sessions ALTER COLUMN last_activity_at SET NOT NULL;
+ALTER TABLE sessions ALTER COLUMN last_activity_at SET DEFAULT NOW();
+
+-- Index for the stale session sweep
+CREATE INDEX idx_sessions_open_activity
+  ON sessions(last_activity_at)
+  WHERE status IN ('active', 'pending_end');
+
+-- Record activity on an open session. A session in its pending_end grace
+-- window becomes active again, unless the box has started another game
+-- meanwhile, in which case it is abandoned.
+-- Returns the session status afterwards (NULL if the session does not exist).
+CREATE OR REPLACE FUNCTION touch_session(p_session_id UUID)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_status VARCHAR(20);
+BEGIN
+  UPDATE sessions
+  SET last_activity_at = NOW(), status = 'active', pending_end_at = NULL
+  WHERE id = p_session_id
+    AND status IN ('active', 'pending_end')
+  RETURNING status INTO v_status;
+
+  IF NOT FOUND THEN
+    SELECT status INTO v_status FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  RETURN v_status;
+EXCEPTION WHEN unique_violation THEN
+  -- idx_active_session_per_box: another session is active on the box
+  UPDATE sessions
+  SET status = 'abandoned', ended_at = NOW(), pending_end_at = NULL
+  WHERE id = p_session_id;
+  RETURN 'abandoned';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stale session sweep (run by the companion worker's cron trigger).
+--   active sessions idle for p_idle_minutes      -> pending_end
+--   pending_end sessions older than p_grace_minutes -> abandoned
+-- Both steps read the same snapshot, so a session moves at most one step per run.
+-- Returns one row per session changed.
+CREATE OR REPLACE FUNCTION expire_stale_sessions(p_idle_minutes INTEGER, p_grace_minutes INTEGER)
+RETURNS TABLE (
+  session_id UUID,
+  box_id VARCHAR(20),
+  universe_level INTEGER,
+  last_activity_at TIMESTAMPTZ,
+  new_status VARCHAR(20)
+) AS $$
+  WITH abandoned AS (
+    UPDATE sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    WHERE s.status = 'pending_end'
+      AND s.pending_end_at < NOW() - make_interval(mins => p_grace_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  ),
+  pending AS (
+    UPDATE sessions s
+    SET status = 'pending_end', pending_end_at = NOW()
+    WHERE s.status = 'active'
+      AND s.last_activity_at < NOW() - make_interval(mins => p_idle_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  )
+  SELECT * FROM abandoned
+  UNION ALL
+  SELECT * FROM pending;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION touch_session(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION touch_session(UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION expire_stale_sessions(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expire_stale_sessions(INTEGER, INTEGER) TO service_role;
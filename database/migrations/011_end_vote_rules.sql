@@ -0,0 +1,441 @@
+-- Migration 011: end vote rules
+-- Adds per-session end rules (unanimous, majority, host_plus_one, timeout),
+-- vote withdrawal, and pending_end while an end vote is open. Sessions with
+-- an open vote keep holding their box and join code.
+
+ALTER TABLE sessions
+  ADD COLUMN end_rule VARCHAR(20) NOT NULL DEFAULT 'unanimous'
+    CHECK (end_rule IN ('unanimous', 'majority', 'host_plus_one', 'timeout')),
+  ADD COLUMN end_vote_timeout_minutes INTEGER NOT NULL DEFAULT 10
+    CHECK (end_vote_timeout_minutes BETWEEN 1 AND 120),
+  ADD COLUMN end_vote_started_at TIMESTAMPTZ;
+
+-- Open sessions now hold their box; an idle session gives way to an active one
+UPDATE sessions s
+SET status = 'abandoned', ended_at = NOW()
+WHERE s.status = 'pending_end'
+  AND EXISTS (
+    SELECT 1 FROM sessions o
+    WHERE o.box_id = s.box_id AND o.status = 'active'
+  );
+
+DROP INDEX idx_active_session_per_box;
+CREATE UNIQUE INDEX idx_active_session_per_box
+  ON sessions(box_id)
+  WHERE status IN ('active', 'pending_end');
+
+DROP INDEX idx_active_session_join_code;
+CREATE UNIQUE INDEX idx_active_session_join_code
+  ON sessions(join_code)
+  WHERE status IN ('active', 'pending_end');
+
+-- Sessions that already have end votes get an open vote
+UPDATE sessions s
+SET status = 'pending_end', end_vote_started_at = NOW()
+WHERE s.status IN ('active', 'pending_end')
+  AND EXISTS (
+    SELECT 1 FROM session_players sp
+    WHERE sp.session_id = s.id AND sp.voted_end
+  );
+
+-- Short human-friendly join code for invites (consonants only, so codes
+-- never spell words); unique among open (active or pending_end) sessions
+CREATE OR REPLACE FUNCTION generate_join_code()
+RETURNS VARCHAR(5) AS $$
+DECLARE
+  alphabet CONSTANT TEXT := 'BCDFGHJKLMNPQRSTVWXZ';
+  code VARCHAR(5);
+BEGIN
+  LOOP
+    code := '';
+    FOR i IN 1..5 LOOP
+      code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INTEGER, 1);
+    END LOOP;
+    EXIT WHEN NOT EXISTS (
+      SELECT 1 FROM sessions WHERE join_code = code AND status IN ('active', 'pending_end')
+    );
+  END LOOP;
+  RETURN code;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
+-- Mark a session completed and open the next-level session for the same
+-- players, colors and end rule. Callers must hold the session row lock.
+-- Returns the next session (all NULL after level 13).
+CREATE OR REPLACE FUNCTION complete_session(p_session_id UUID)
+RETURNS sessions AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+BEGIN
+  UPDATE sessions
+  SET status = 'completed', ended_at = NOW()
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF v_session.universe_level < 13 THEN
+    BEGIN
+      INSERT INTO sessions (box_id, universe_level, host_player_id, status, end_rule, end_vote_timeout_minutes)
+      VALUES (
+        v_session.box_id, v_session.universe_level + 1, v_session.host_player_id, 'active',
+        v_session.end_rule, v_session.end_vote_timeout_minutes
+      )
+      RETURNING * INTO v_next_session;
+
+      -- Same players, same colors
+      INSERT INTO session_players (session_id, player_id, race)
+      SELECT v_next_session.id, sp.player_id, sp.race
+      FROM session_players sp
+      WHERE sp.session_id = p_session_id;
+    EXCEPTION WHEN unique_violation THEN
+      -- The box already has an active session (idx_active_session_per_box)
+      SELECT * INTO v_next_session
+      FROM sessions
+      WHERE box_id = v_session.box_id
+        AND universe_level = v_session.universe_level + 1
+        AND status IN ('active', 'pending_end');
+    END;
+  END IF;
+
+  RETURN v_next_session;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a player's final score in one transaction.
+-- Locks the session row so concurrent submissions are serialized, then:
+--   1. stores the score (and optional color / starting Nn)
+--   2. completes the session once every player has submitted
+--      (session_completed_trigger upserts progress_journal in this same transaction)
+--   3. spawns the next-level session with the same players
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION submit_session_score(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_starting_nn INTEGER DEFAULT NULL,
+  p_color VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  UPDATE session_players
+  SET
+    final_nn = p_final_nn,
+    race = COALESCE(p_color, race),
+    starting_nn = COALESCE(p_starting_nn, starting_nn)
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  RETURNING * INTO v_session_player;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn)
+  INTO v_total, v_submitted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Whether an open end vote passes under the session's end_rule:
+--   unanimous     - every player voted
+--   majority      - more than half of the players voted
+--   host_plus_one - the host and at least one other player voted
+--                   (the host alone in a solo game)
+--   timeout       - every player voted, or the vote has been open for
+--                   end_vote_timeout_minutes without being withdrawn
+CREATE OR REPLACE FUNCTION end_vote_passes(
+  p_session sessions,
+  p_total INTEGER,
+  p_voted INTEGER,
+  p_host_voted BOOLEAN
+)
+RETURNS BOOLEAN AS $$
+  SELECT p_total > 0 AND p_voted > 0 AND (
+    p_voted = p_total
+    OR CASE p_session.end_rule
+      WHEN 'majority' THEN p_voted * 2 > p_total
+      WHEN 'host_plus_one' THEN p_host_voted AND p_voted >= 2
+      WHEN 'timeout' THEN p_session.end_vote_started_at
+        <= NOW() - make_interval(mins => p_session.end_vote_timeout_minutes)
+      ELSE FALSE
+    END
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Cast (p_vote = TRUE) or withdraw (FALSE) a player's vote to end the session.
+-- The first vote opens the vote (status pending_end); withdrawing the last
+-- one closes it again. Completes the session when the vote passes.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION cast_end_vote(p_session_id UUID, p_player_id UUID, p_vote BOOLEAN)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_voted INTEGER;
+  v_host_voted BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  UPDATE session_players
+  SET voted_end = p_vote
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(*) FILTER (WHERE voted_end),
+         BOOL_OR(voted_end AND player_id = v_session.host_player_id)
+  INTO v_total, v_voted, v_host_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_voted = 0 THEN
+    UPDATE sessions
+    SET status = CASE WHEN pending_end_at IS NULL THEN 'active' ELSE 'pending_end' END,
+        end_vote_started_at = NULL
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+  ELSE
+    UPDATE sessions
+    SET status = 'pending_end',
+        end_vote_started_at = COALESCE(end_vote_started_at, NOW())
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+
+    IF end_vote_passes(v_session, v_total, v_voted, COALESCE(v_host_voted, FALSE)) THEN
+      UPDATE sessions
+      SET status = 'completed', ended_at = NOW()
+      WHERE id = p_session_id
+      RETURNING * INTO v_session;
+      v_completed := TRUE;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'voted_count', v_voted,
+    'total_players', v_total,
+    'status', v_session.status,
+    'end_rule', v_session.end_rule,
+    'end_vote_started_at', v_session.end_vote_started_at,
+    'session_completed', v_completed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Complete sessions whose timeout-rule end vote has run out (all sessions,
+-- or just p_session_id). Called by the cron sweep and when a session is read.
+-- Returns one row per session completed.
+CREATE OR REPLACE FUNCTION resolve_timed_out_end_votes(p_session_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  session_id UUID,
+  box_id VARCHAR(20),
+  universe_level INTEGER,
+  end_vote_started_at TIMESTAMPTZ
+) AS $$
+  UPDATE sessions s
+  SET status = 'completed', ended_at = NOW()
+  WHERE s.status = 'pending_end'
+    AND s.end_rule = 'timeout'
+    AND s.end_vote_started_at <= NOW() - make_interval(mins => s.end_vote_timeout_minutes)
+    AND (p_session_id IS NULL OR s.id = p_session_id)
+  RETURNING s.id, s.box_id, s.universe_level, s.end_vote_started_at;
+$$ LANGUAGE sql;
+
+-- Host removes a player from an active session.
+-- Locks the session row, checks the caller is still the host, then completes
+-- the session if the remaining players have all submitted (next level is
+-- spawned) or the open end vote now passes (no next level, as in cast_end_vote).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION remove_session_player(
+  p_session_id UUID,
+  p_host_player_id UUID,
+  p_player_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_voted INTEGER;
+  v_host_voted BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF v_session.host_player_id IS DISTINCT FROM p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'not_host');
+  END IF;
+
+  IF p_player_id = p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_remove_host');
+  END IF;
+
+  DELETE FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE voted_end),
+         BOOL_OR(voted_end AND player_id = v_session.host_player_id)
+  INTO v_total, v_submitted, v_voted, v_host_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  ELSIF v_voted = 0 THEN
+    -- The removed player held the only vote
+    UPDATE sessions
+    SET status = 'active', end_vote_started_at = NULL
+    WHERE id = p_session_id AND status = 'pending_end' AND pending_end_at IS NULL;
+  ELSIF end_vote_passes(v_session, v_total, v_voted, COALESCE(v_host_voted, FALSE)) THEN
+    UPDATE sessions
+    SET status = 'completed', ended_at = NOW()
+    WHERE id = p_session_id;
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total_players', v_total,
+    'submitted_count', v_submitted,
+    'voted_count', v_voted,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record activity on an open session. A session in its idle grace window
+-- (pending_end_at set) is revived: back to active, or to pending_end if an
+-- end vote is open.
+-- Returns the session status afterwards (NULL if the session does not exist).
+CREATE OR REPLACE FUNCTION touch_session(p_session_id UUID)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_status VARCHAR(20);
+BEGIN
+  UPDATE sessions
+  SET
+    last_activity_at = NOW(),
+    pending_end_at = NULL,
+    status = CASE WHEN end_vote_started_at IS NULL THEN 'active' ELSE 'pending_end' END
+  WHERE id = p_session_id
+    AND status IN ('active', 'pending_end')
+  RETURNING status INTO v_status;
+
+  IF NOT FOUND THEN
+    SELECT status INTO v_status FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stale session sweep (run by the companion worker's cron trigger).
+--   open sessions idle for p_idle_minutes          -> pending_end (pending_end_at set)
+--   idle sessions unrevived after p_grace_minutes -> abandoned
+-- Both steps read the same snapshot, so a session moves at most one step per run.
+-- Returns one row per session changed.
+CREATE OR REPLACE FUNCTION expire_stale_sessions(p_idle_minutes INTEGER, p_grace_minutes INTEGER)
+RETURNS TABLE (
+  session_id UUID,
+  box_id VARCHAR(20),
+  universe_level INTEGER,
+  last_activity_at TIMESTAMPTZ,
+  new_status VARCHAR(20)
+) AS $$
+  WITH abandoned AS (
+    UPDATE sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    WHERE s.status = 'pending_end'
+      AND s.pending_end_at < NOW() - make_interval(mins => p_grace_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  ),
+  pending AS (
+    UPDATE sessions s
+    SET status = 'pending_end', pending_end_at = NOW()
+    WHERE s.status IN ('active', 'pending_end')
+      AND s.pending_end_at IS NULL
+      AND s.last_activity_at < NOW() - make_interval(mins => p_idle_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  )
+  SELECT * FROM abandoned
+  UNION ALL
+  SELECT * FROM pending;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION end_vote_passes(sessions, INTEGER, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cast_end_vote(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cast_end_vote(UUID, UUID, BOOLEAN) TO service_role;
+REVOKE EXECUTE ON FUNCTION resolve_timed_out_end_votes(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_timed_out_end_votes(UUID) TO service_role;
@@ -0,0 +1,303 @@
+-- Migration 012: score corrections
+-- Adds score_corrections / score_correction_responses, a general audit_log,
+-- and the functions that request, confirm and apply corrections
+
+-- Before a session completes players fix typos by resubmitting. Afterwards a
+-- player requests a correction and every other player of the session has to
+-- confirm it (respond_to_score_correction) before it is applied.
+CREATE TABLE score_corrections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  previous_final_nn INTEGER,            -- NULL if the player never submitted
+  requested_final_nn INTEGER NOT NULL CHECK (requested_final_nn >= 0),
+  reason VARCHAR(200),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+-- One open request per player per session
+CREATE UNIQUE INDEX idx_score_corrections_pending
+  ON score_corrections(session_id, player_id)
+  WHERE status = 'pending';
+
+-- Index for a session's corrections
+CREATE INDEX idx_score_corrections_session
+  ON score_corrections(session_id, created_at DESC);
+
+CREATE TABLE score_correction_responses (
+  correction_id UUID NOT NULL REFERENCES score_corrections(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  approved BOOLEAN NOT NULL,
+  responded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (correction_id, player_id)
+);
+
+-- Append-only record of changes made after the fact (score corrections, ...)
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_player_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,          -- e.g. 'score_correction.applied'
+  entity_type VARCHAR(30) NOT NULL,     -- e.g. 'score_correction'
+  entity_id TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for an entity's history
+CREATE INDEX idx_audit_log_entity
+  ON audit_log(entity_type, entity_id, created_at DESC);
+
+-- Re-derive a player's best score on a level from score_history after a
+-- score changed: recomputes is_new_best along the player's runs and rewrites
+-- the progress_journal row (player_totals follows via its trigger).
+-- Returns the new best (NULL if the player has no runs on the level).
+CREATE OR REPLACE FUNCTION rederive_level_best(p_player_id UUID, p_level INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_best score_history%ROWTYPE;
+BEGIN
+  UPDATE score_history sh
+  SET is_new_best = runs.previous_best IS NULL OR runs.final_nn > runs.previous_best
+  FROM (
+    SELECT
+      id,
+      final_nn,
+      MAX(final_nn) OVER (
+        ORDER BY completed_at, id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ) AS previous_best
+    FROM score_history
+    WHERE player_id = p_player_id
+      AND universe_level = p_level
+  ) runs
+  WHERE sh.id = runs.id;
+
+  -- First run that reached the best score
+  SELECT * INTO v_best
+  FROM score_history
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+  ORDER BY final_nn DESC, completed_at ASC
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    DELETE FROM progress_journal
+    WHERE player_id = p_player_id
+      AND universe_level = p_level;
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO progress_journal (player_id, universe_level, best_nn, achieved_at, session_id)
+  VALUES (p_player_id, p_level, v_best.final_nn, v_best.completed_at, v_best.session_id)
+  ON CONFLICT (player_id, universe_level)
+  DO UPDATE SET
+    best_nn = EXCLUDED.best_nn,
+    achieved_at = EXCLUDED.achieved_at,
+    session_id = EXCLUDED.session_id;
+
+  RETURN v_best.final_nn;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Open a correction request for a player's score on a completed session.
+-- Returns the request as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION request_score_correction(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_reason VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_correction score_corrections%ROWTYPE;
+  v_confirmers INTEGER;
+BEGIN
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status <> 'completed' THEN
+    RETURN jsonb_build_object('error', 'session_not_completed');
+  END IF;
+
+  SELECT * INTO v_session_player
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  IF v_session_player.final_nn IS NOT DISTINCT FROM p_final_nn THEN
+    RETURN jsonb_build_object('error', 'score_unchanged');
+  END IF;
+
+  SELECT COUNT(*) INTO v_confirmers
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id <> p_player_id;
+
+  IF v_confirmers = 0 THEN
+    RETURN jsonb_build_object('error', 'no_confirmers');
+  END IF;
+
+  BEGIN
+    INSERT INTO score_corrections (session_id, player_id, previous_final_nn, requested_final_nn, reason)
+    VALUES (p_session_id, p_player_id, v_session_player.final_nn, p_final_nn, p_reason)
+    RETURNING * INTO v_correction;
+  EXCEPTION WHEN unique_violation THEN
+    -- idx_score_corrections_pending
+    RETURN jsonb_build_object('error', 'correction_pending');
+  END;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id, 'score_correction.requested', 'score_correction', v_correction.id::TEXT,
+    jsonb_build_object(
+      'session_id', p_session_id,
+      'previous_final_nn', v_correction.previous_final_nn,
+      'requested_final_nn', p_final_nn,
+      'reason', p_reason
+    ));
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'confirmations_required', v_confirmers
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Another player of the session approves or rejects a correction request.
+-- One rejection closes the request; once every other player has approved,
+-- the score is corrected, score_history and progress_journal re-derived and
+-- the change recorded in audit_log, all in this transaction.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION respond_to_score_correction(
+  p_correction_id UUID,
+  p_player_id UUID,
+  p_approve BOOLEAN
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_correction score_corrections%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_required INTEGER;
+  v_approvals INTEGER;
+  v_previous_best INTEGER;
+  v_new_best INTEGER;
+BEGIN
+  SELECT * INTO v_correction
+  FROM score_corrections
+  WHERE id = p_correction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'correction_not_found');
+  END IF;
+
+  IF v_correction.status <> 'pending' THEN
+    RETURN jsonb_build_object('error', 'correction_closed');
+  END IF;
+
+  IF p_player_id = v_correction.player_id OR NOT EXISTS (
+    SELECT 1 FROM session_players
+    WHERE session_id = v_correction.session_id
+      AND player_id = p_player_id
+  ) THEN
+    RETURN jsonb_build_object('error', 'not_a_confirmer');
+  END IF;
+
+  INSERT INTO score_correction_responses (correction_id, player_id, approved)
+  VALUES (p_correction_id, p_player_id, p_approve)
+  ON CONFLICT (correction_id, player_id)
+  DO UPDATE SET approved = EXCLUDED.approved, responded_at = NOW();
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id,
+    CASE WHEN p_approve THEN 'score_correction.approved' ELSE 'score_correction.rejected' END,
+    'score_correction', p_correction_id::TEXT,
+    jsonb_build_object('session_id', v_correction.session_id));
+
+  SELECT COUNT(*) INTO v_required
+  FROM session_players
+  WHERE session_id = v_correction.session_id
+    AND player_id <> v_correction.player_id;
+
+  SELECT COUNT(*) INTO v_approvals
+  FROM score_correction_responses r
+  JOIN session_players sp
+    ON sp.session_id = v_correction.session_id
+    AND sp.player_id = r.player_id
+  WHERE r.correction_id = p_correction_id
+    AND r.approved;
+
+  IF NOT p_approve THEN
+    UPDATE score_corrections
+    SET status = 'rejected', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+  ELSIF v_approvals >= v_required THEN
+    SELECT * INTO v_session FROM sessions WHERE id = v_correction.session_id;
+
+    SELECT best_nn INTO v_previous_best
+    FROM progress_journal
+    WHERE player_id = v_correction.player_id
+      AND universe_level = v_session.universe_level;
+
+    UPDATE session_players
+    SET final_nn = v_correction.requested_final_nn
+    WHERE session_id = v_correction.session_id
+      AND player_id = v_correction.player_id;
+
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, completed_at
+    )
+    SELECT
+      sp.player_id, v_session.id, v_session.universe_level, v_session.box_id,
+      COALESCE(sp.starting_nn, 0), sp.final_nn, sp.race,
+      COALESCE(v_session.ended_at, NOW())
+    FROM session_players sp
+    WHERE sp.session_id = v_correction.session_id
+      AND sp.player_id = v_correction.player_id
+    ON CONFLICT (session_id, player_id)
+    DO UPDATE SET final_nn = EXCLUDED.final_nn;
+
+    v_new_best := rederive_level_best(v_correction.player_id, v_session.universe_level);
+
+    UPDATE score_corrections
+    SET status = 'applied', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+    VALUES (v_correction.player_id, 'score_correction.applied', 'score_correction', p_correction_id::TEXT,
+      jsonb_build_object(
+        'session_id', v_correction.session_id,
+        'universe_level', v_session.universe_level,
+        'previous_final_nn', v_correction.previous_final_nn,
+        'final_nn', v_correction.requested_final_nn,
+        'previous_best_nn', v_previous_best,
+        'best_nn', v_new_best
+      ));
+  END IF;
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'approvals', v_approvals,
+    'confirmations_required', v_required
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION rederive_level_best(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION request_score_correction(UUID, UUID, INTEGER, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_score_correction(UUID, UUID, INTEGER, VARCHAR) TO service_role;
+REVOKE EXECUTE ON FUNCTION respond_to_score_correction(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION respond_to_score_correction(UUID, UUID, BOOLEAN) TO service_role;
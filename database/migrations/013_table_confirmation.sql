@@ -0,0 +1,557 @@
+-- Migration 013: table confirmation
+-- Optional per-session mode where every submitted score must be confirmed by
+-- another player before it reaches progress_journal. Disputed scores are
+-- held back and flagged for the host.
+
+ALTER TABLE sessions
+  ADD COLUMN require_confirmation BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Existing scores count as confirmed
+ALTER TABLE session_players
+  ADD COLUMN score_status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+    CHECK (score_status IN ('pending', 'confirmed', 'disputed')),
+  ADD COLUMN score_reviewed_by UUID REFERENCES players(id) ON DELETE SET NULL,
+  ADD COLUMN score_reviewed_at TIMESTAMPTZ,
+  ADD COLUMN dispute_reason VARCHAR(200);
+
+-- Update progress journal when session ends (upsert best score)
+-- and record every confirmed result in score_history
+CREATE OR REPLACE FUNCTION update_progress_journal()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
+    -- Compare against the journal before it is updated to flag new bests
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, is_new_best, completed_at
+    )
+    SELECT
+      sp.player_id,
+      NEW.id,
+      NEW.universe_level,
+      NEW.box_id,
+      COALESCE(sp.starting_nn, 0),
+      sp.final_nn,
+      sp.race,
+      pj.best_nn IS NULL OR sp.final_nn > pj.best_nn,
+      COALESCE(NEW.ended_at, NOW())
+    FROM session_players sp
+    LEFT JOIN progress_journal pj
+      ON pj.player_id = sp.player_id
+      AND pj.universe_level = NEW.universe_level
+    WHERE sp.session_id = NEW.id
+      AND sp.final_nn IS NOT NULL
+      AND sp.score_status = 'confirmed'
+    ON CONFLICT (session_id, player_id) DO NOTHING;
+
+    INSERT INTO progress_journal (player_id, universe_level, best_nn, session_id)
+    SELECT
+      sp.player_id,
+      NEW.universe_level,
+      sp.final_nn,
+      NEW.id
+    FROM session_players sp
+    WHERE sp.session_id = NEW.id
+      AND sp.final_nn IS NOT NULL
+      AND sp.score_status = 'confirmed'
+    ON CONFLICT (player_id, universe_level)
+    DO UPDATE SET
+      best_nn = GREATEST(progress_journal.best_nn, EXCLUDED.best_nn),
+      achieved_at = CASE
+        WHEN EXCLUDED.best_nn > progress_journal.best_nn THEN NOW()
+        ELSE progress_journal.achieved_at
+      END,
+      session_id = CASE
+        WHEN EXCLUDED.best_nn > progress_journal.best_nn THEN EXCLUDED.session_id
+        ELSE progress_journal.session_id
+      END;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Mark a session completed and open the next-level session for the same
+-- players, colors, end rule and confirmation mode. Callers must hold the
+-- session row lock.
+-- Returns the next session (all NULL after level 13).
+CREATE OR REPLACE FUNCTION complete_session(p_session_id UUID)
+RETURNS sessions AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+BEGIN
+  UPDATE sessions
+  SET status = 'completed', ended_at = NOW()
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF v_session.universe_level < 13 THEN
+    BEGIN
+      INSERT INTO sessions (
+        box_id, universe_level, host_player_id, status,
+        end_rule, end_vote_timeout_minutes, require_confirmation
+      )
+      VALUES (
+        v_session.box_id, v_session.universe_level + 1, v_session.host_player_id, 'active',
+        v_session.end_rule, v_session.end_vote_timeout_minutes, v_session.require_confirmation
+      )
+      RETURNING * INTO v_next_session;
+
+      -- Same players, same colors
+      INSERT INTO session_players (session_id, player_id, race)
+      SELECT v_next_session.id, sp.player_id, sp.race
+      FROM session_players sp
+      WHERE sp.session_id = p_session_id;
+    EXCEPTION WHEN unique_violation THEN
+      -- The box already has an active session (idx_active_session_per_box)
+      SELECT * INTO v_next_session
+      FROM sessions
+      WHERE box_id = v_session.box_id
+        AND universe_level = v_session.universe_level + 1
+        AND status IN ('active', 'pending_end');
+    END;
+  END IF;
+
+  RETURN v_next_session;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a player's final score in one transaction.
+-- Locks the session row so concurrent submissions are serialized, then:
+--   1. stores the score (and optional color / starting Nn); with table
+--      confirmation it is pending until another player reviews it
+--   2. completes the session once every player has submitted and no score
+--      is waiting for confirmation (session_completed_trigger upserts
+--      progress_journal in this same transaction)
+--   3. spawns the next-level session with the same players
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION submit_session_score(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_starting_nn INTEGER DEFAULT NULL,
+  p_color VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_needs_review BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  -- A solo player has nobody to confirm their score
+  v_needs_review := v_session.require_confirmation AND (
+    SELECT COUNT(*) > 1 FROM session_players WHERE session_id = p_session_id
+  );
+
+  -- Resubmitting starts the review over
+  UPDATE session_players
+  SET
+    final_nn = p_final_nn,
+    race = COALESCE(p_color, race),
+    starting_nn = COALESCE(p_starting_nn, starting_nn),
+    score_status = CASE WHEN v_needs_review THEN 'pending' ELSE 'confirmed' END,
+    score_reviewed_by = NULL,
+    score_reviewed_at = NULL,
+    dispute_reason = NULL
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  RETURNING * INTO v_session_player;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending')
+  INTO v_total, v_submitted, v_pending
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'pending_count', v_pending,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Host removes a player from an active session.
+-- Locks the session row, checks the caller is still the host, then completes
+-- the session if the remaining players have all submitted and none of their
+-- scores awaits confirmation (next level is spawned) or the open end vote
+-- now passes (no next level, as in cast_end_vote).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION remove_session_player(
+  p_session_id UUID,
+  p_host_player_id UUID,
+  p_player_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_voted INTEGER;
+  v_host_voted BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF v_session.host_player_id IS DISTINCT FROM p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'not_host');
+  END IF;
+
+  IF p_player_id = p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_remove_host');
+  END IF;
+
+  DELETE FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn),
+         COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending'),
+         COUNT(*) FILTER (WHERE voted_end),
+         BOOL_OR(voted_end AND player_id = v_session.host_player_id)
+  INTO v_total, v_submitted, v_pending, v_voted, v_host_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  ELSIF v_voted = 0 THEN
+    -- The removed player held the only vote
+    UPDATE sessions
+    SET status = 'active', end_vote_started_at = NULL
+    WHERE id = p_session_id AND status = 'pending_end' AND pending_end_at IS NULL;
+  ELSIF end_vote_passes(v_session, v_total, v_voted, COALESCE(v_host_voted, FALSE)) THEN
+    UPDATE sessions
+    SET status = 'completed', ended_at = NOW()
+    WHERE id = p_session_id;
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total_players', v_total,
+    'submitted_count', v_submitted,
+    'voted_count', v_voted,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Another player of the session approves or rejects a correction request.
+-- One rejection closes the request; once every other player has approved,
+-- the score is corrected, score_history and progress_journal re-derived and
+-- the change recorded in audit_log, all in this transaction.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION respond_to_score_correction(
+  p_correction_id UUID,
+  p_player_id UUID,
+  p_approve BOOLEAN
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_correction score_corrections%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_required INTEGER;
+  v_approvals INTEGER;
+  v_previous_best INTEGER;
+  v_new_best INTEGER;
+BEGIN
+  SELECT * INTO v_correction
+  FROM score_corrections
+  WHERE id = p_correction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'correction_not_found');
+  END IF;
+
+  IF v_correction.status <> 'pending' THEN
+    RETURN jsonb_build_object('error', 'correction_closed');
+  END IF;
+
+  IF p_player_id = v_correction.player_id OR NOT EXISTS (
+    SELECT 1 FROM session_players
+    WHERE session_id = v_correction.session_id
+      AND player_id = p_player_id
+  ) THEN
+    RETURN jsonb_build_object('error', 'not_a_confirmer');
+  END IF;
+
+  INSERT INTO score_correction_responses (correction_id, player_id, approved)
+  VALUES (p_correction_id, p_player_id, p_approve)
+  ON CONFLICT (correction_id, player_id)
+  DO UPDATE SET approved = EXCLUDED.approved, responded_at = NOW();
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id,
+    CASE WHEN p_approve THEN 'score_correction.approved' ELSE 'score_correction.rejected' END,
+    'score_correction', p_correction_id::TEXT,
+    jsonb_build_object('session_id', v_correction.session_id));
+
+  SELECT COUNT(*) INTO v_required
+  FROM session_players
+  WHERE session_id = v_correction.session_id
+    AND player_id <> v_correction.player_id;
+
+  SELECT COUNT(*) INTO v_approvals
+  FROM score_correction_responses r
+  JOIN session_players sp
+    ON sp.session_id = v_correction.session_id
+    AND sp.player_id = r.player_id
+  WHERE r.correction_id = p_correction_id
+    AND r.approved;
+
+  IF NOT p_approve THEN
+    UPDATE score_corrections
+    SET status = 'rejected', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+  ELSIF v_approvals >= v_required THEN
+    SELECT * INTO v_session FROM sessions WHERE id = v_correction.session_id;
+
+    SELECT best_nn INTO v_previous_best
+    FROM progress_journal
+    WHERE player_id = v_correction.player_id
+      AND universe_level = v_session.universe_level;
+
+    -- Every other player approved, which also settles a held-back score
+    UPDATE session_players
+    SET final_nn = v_correction.requested_final_nn, score_status = 'confirmed'
+    WHERE session_id = v_correction.session_id
+      AND player_id = v_correction.player_id;
+
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, completed_at
+    )
+    SELECT
+      sp.player_id, v_session.id, v_session.universe_level, v_session.box_id,
+      COALESCE(sp.starting_nn, 0), sp.final_nn, sp.race,
+      COALESCE(v_session.ended_at, NOW())
+    FROM session_players sp
+    WHERE sp.session_id = v_correction.session_id
+      AND sp.player_id = v_correction.player_id
+    ON CONFLICT (session_id, player_id)
+    DO UPDATE SET final_nn = EXCLUDED.final_nn;
+
+    v_new_best := rederive_level_best(v_correction.player_id, v_session.universe_level);
+
+    UPDATE score_corrections
+    SET status = 'applied', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+    VALUES (v_correction.player_id, 'score_correction.applied', 'score_correction', p_correction_id::TEXT,
+      jsonb_build_object(
+        'session_id', v_correction.session_id,
+        'universe_level', v_session.universe_level,
+        'previous_final_nn', v_correction.previous_final_nn,
+        'final_nn', v_correction.requested_final_nn,
+        'previous_best_nn', v_previous_best,
+        'best_nn', v_new_best
+      ));
+  END IF;
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'approvals', v_approvals,
+    'confirmations_required', v_required
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Confirm or dispute another player's submitted score (table confirmation).
+-- Any other player of the session reviews a pending score; a disputed score
+-- is flagged for the host, who alone can still confirm it. Confirming the
+-- last pending score completes an open session (as submit_session_score
+-- does); confirming after completion records the score and re-derives the
+-- player's best. Resubmitting a score starts its review over.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION review_session_score(
+  p_session_id UUID,
+  p_reviewer_id UUID,
+  p_player_id UUID,
+  p_confirm BOOLEAN,
+  p_reason VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status = 'abandoned' THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM session_players
+    WHERE session_id = p_session_id
+      AND player_id = p_reviewer_id
+  ) THEN
+    RETURN jsonb_build_object('error', 'reviewer_not_in_session');
+  END IF;
+
+  IF p_reviewer_id = p_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_review_own_score');
+  END IF;
+
+  SELECT * INTO v_session_player
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  IF v_session_player.final_nn IS NULL THEN
+    RETURN jsonb_build_object('error', 'score_not_submitted');
+  END IF;
+
+  IF v_session_player.score_status = 'confirmed' THEN
+    RETURN jsonb_build_object('error', 'score_already_confirmed');
+  END IF;
+
+  IF v_session_player.score_status = 'disputed' THEN
+    IF NOT p_confirm THEN
+      RETURN jsonb_build_object('error', 'score_already_disputed');
+    END IF;
+    IF v_session.host_player_id IS DISTINCT FROM p_reviewer_id THEN
+      RETURN jsonb_build_object('error', 'not_host');
+    END IF;
+  END IF;
+
+  UPDATE session_players
+  SET
+    score_status = CASE WHEN p_confirm THEN 'confirmed' ELSE 'disputed' END,
+    score_reviewed_by = p_reviewer_id,
+    score_reviewed_at = NOW(),
+    dispute_reason = CASE WHEN p_confirm THEN NULL ELSE p_reason END
+  WHERE id = v_session_player.id
+  RETURNING * INTO v_session_player;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_reviewer_id,
+    CASE WHEN p_confirm THEN 'session_score.confirmed' ELSE 'session_score.disputed' END,
+    'session_player', v_session_player.id::TEXT,
+    jsonb_build_object(
+      'session_id', p_session_id,
+      'player_id', p_player_id,
+      'final_nn', v_session_player.final_nn,
+      'reason', p_reason
+    ));
+
+  IF v_session.status = 'completed' THEN
+    -- Held back when the session completed; record it now
+    IF p_confirm THEN
+      INSERT INTO score_history (
+        player_id, session_id, universe_level, box_id,
+        starting_nn, final_nn, color, completed_at
+      )
+      VALUES (
+        p_player_id, p_session_id, v_session.universe_level, v_session.box_id,
+        COALESCE(v_session_player.starting_nn, 0), v_session_player.final_nn, v_session_player.race,
+        COALESCE(v_session.ended_at, NOW())
+      )
+      ON CONFLICT (session_id, player_id)
+      DO UPDATE SET final_nn = EXCLUDED.final_nn;
+
+      PERFORM rederive_level_best(p_player_id, v_session.universe_level);
+    END IF;
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending')
+  INTO v_total, v_submitted, v_pending
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_session.status IN ('active', 'pending_end') AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'pending_count', v_pending,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION review_session_score(UUID, UUID, UUID, BOOLEAN, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION review_session_score(UUID, UUID, UUID, BOOLEAN, VARCHAR) TO service_role;
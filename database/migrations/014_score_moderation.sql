@@ -0,0 +1,565 @@
+-- Migration 014: score moderation
+-- Per-level score bounds, outlier flags on recorded scores, a moderation
+-- queue decided by admins (players.role), and leaderboards that respect
+-- moderation. Windowed leaderboards now read score_history, so scores held
+-- back by table confirmation no longer show up there either.
+
+ALTER TABLE players
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'player' CHECK (role IN ('player', 'admin'));
+
+ALTER TABLE score_history
+  ADD COLUMN moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible'
+    CHECK (moderation_status IN ('visible', 'hidden', 'rejected'));
+
+-- Index for time-windowed leaderboards
+CREATE INDEX idx_score_history_completed
+  ON score_history(completed_at);
+
+-- Index for a level's score distribution (outlier detection)
+CREATE INDEX idx_score_history_level_visible
+  ON score_history(universe_level, final_nn)
+  WHERE moderation_status = 'visible';
+
+-- Plausible final Nn per level; submissions and corrections outside the
+-- range are refused (check_score_bounds). Seeded with generous values, tune
+-- them as real score distributions come in.
+CREATE TABLE level_score_bounds (
+  universe_level INTEGER PRIMARY KEY CHECK (universe_level BETWEEN 1 AND 13),
+  min_nn INTEGER NOT NULL DEFAULT 0,
+  max_nn INTEGER NOT NULL,
+  CHECK (max_nn >= min_nn)
+);
+
+INSERT INTO level_score_bounds (universe_level, min_nn, max_nn)
+SELECT level, 0, 100 + level * 50
+FROM generate_series(1, 13) AS level;
+
+-- Moderation queue: recorded scores far outside their level's distribution
+-- (flag_score_outlier). One flag per score; a changed score is queued again.
+CREATE TABLE score_flags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  score_history_id UUID NOT NULL UNIQUE REFERENCES score_history(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  universe_level INTEGER NOT NULL,
+  final_nn INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL DEFAULT 'outlier',
+  z_score NUMERIC(8, 2),
+  level_mean NUMERIC(10, 2),
+  level_stddev NUMERIC(10, 2),
+  sample_size INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_by UUID REFERENCES players(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note VARCHAR(200)
+);
+
+-- Index for the moderation queue
+CREATE INDEX idx_score_flags_status
+  ON score_flags(status, created_at);
+
+-- Refuse a final Nn outside the level's level_score_bounds.
+-- Returns NULL when the score is plausible, otherwise
+-- { "error": "score_out_of_bounds", "min_nn", "max_nn" }.
+CREATE OR REPLACE FUNCTION check_score_bounds(p_level INTEGER, p_final_nn INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_bounds level_score_bounds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_bounds FROM level_score_bounds WHERE universe_level = p_level;
+
+  IF FOUND AND (p_final_nn < v_bounds.min_nn OR p_final_nn > v_bounds.max_nn) THEN
+    RETURN jsonb_build_object(
+      'error', 'score_out_of_bounds',
+      'min_nn', v_bounds.min_nn,
+      'max_nn', v_bounds.max_nn
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Record a player's final score in one transaction.
+-- Locks the session row so concurrent submissions are serialized, then:
+--   1. stores the score (and optional color / starting Nn); with table
+--      confirmation it is pending until another player reviews it
+--   2. completes the session once every player has submitted and no score
+--      is waiting for confirmation (session_completed_trigger upserts
+--      progress_journal in this same transaction)
+--   3. spawns the next-level session with the same players
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION submit_session_score(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_starting_nn INTEGER DEFAULT NULL,
+  p_color VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_needs_review BOOLEAN;
+  v_bounds_error JSONB;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  v_bounds_error := check_score_bounds(v_session.universe_level, p_final_nn);
+  IF v_bounds_error IS NOT NULL THEN
+    RETURN v_bounds_error;
+  END IF;
+
+  -- A solo player has nobody to confirm their score
+  v_needs_review := v_session.require_confirmation AND (
+    SELECT COUNT(*) > 1 FROM session_players WHERE session_id = p_session_id
+  );
+
+  -- Resubmitting starts the review over
+  UPDATE session_players
+  SET
+    final_nn = p_final_nn,
+    race = COALESCE(p_color, race),
+    starting_nn = COALESCE(p_starting_nn, starting_nn),
+    score_status = CASE WHEN v_needs_review THEN 'pending' ELSE 'confirmed' END,
+    score_reviewed_by = NULL,
+    score_reviewed_at = NULL,
+    dispute_reason = NULL
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  RETURNING * INTO v_session_player;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending')
+  INTO v_total, v_submitted, v_pending
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'pending_count', v_pending,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Re-derive a player's best score on a level from score_history after a
+-- score changed: recomputes is_new_best along the player's runs and rewrites
+-- the progress_journal row (player_totals follows via its trigger).
+-- Runs rejected by moderation are skipped.
+-- Returns the new best (NULL if the player has no runs on the level).
+CREATE OR REPLACE FUNCTION rederive_level_best(p_player_id UUID, p_level INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_best score_history%ROWTYPE;
+BEGIN
+  UPDATE score_history sh
+  SET is_new_best = sh.moderation_status <> 'rejected'
+    AND (runs.previous_best IS NULL OR runs.final_nn > runs.previous_best)
+  FROM (
+    SELECT
+      id,
+      final_nn,
+      MAX(final_nn) FILTER (WHERE moderation_status <> 'rejected') OVER (
+        ORDER BY completed_at, id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ) AS previous_best
+    FROM score_history
+    WHERE player_id = p_player_id
+      AND universe_level = p_level
+  ) runs
+  WHERE sh.id = runs.id;
+
+  -- First run that reached the best score
+  SELECT * INTO v_best
+  FROM score_history
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+    AND moderation_status <> 'rejected'
+  ORDER BY final_nn DESC, completed_at ASC
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    DELETE FROM progress_journal
+    WHERE player_id = p_player_id
+      AND universe_level = p_level;
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO progress_journal (player_id, universe_level, best_nn, achieved_at, session_id)
+  VALUES (p_player_id, p_level, v_best.final_nn, v_best.completed_at, v_best.session_id)
+  ON CONFLICT (player_id, universe_level)
+  DO UPDATE SET
+    best_nn = EXCLUDED.best_nn,
+    achieved_at = EXCLUDED.achieved_at,
+    session_id = EXCLUDED.session_id;
+
+  RETURN v_best.final_nn;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Open a correction request for a player's score on a completed session.
+-- Returns the request as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION request_score_correction(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_reason VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_correction score_corrections%ROWTYPE;
+  v_confirmers INTEGER;
+  v_bounds_error JSONB;
+BEGIN
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status <> 'completed' THEN
+    RETURN jsonb_build_object('error', 'session_not_completed');
+  END IF;
+
+  v_bounds_error := check_score_bounds(v_session.universe_level, p_final_nn);
+  IF v_bounds_error IS NOT NULL THEN
+    RETURN v_bounds_error;
+  END IF;
+
+  SELECT * INTO v_session_player
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  IF v_session_player.final_nn IS NOT DISTINCT FROM p_final_nn THEN
+    RETURN jsonb_build_object('error', 'score_unchanged');
+  END IF;
+
+  SELECT COUNT(*) INTO v_confirmers
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id <> p_player_id;
+
+  IF v_confirmers = 0 THEN
+    RETURN jsonb_build_object('error', 'no_confirmers');
+  END IF;
+
+  BEGIN
+    INSERT INTO score_corrections (session_id, player_id, previous_final_nn, requested_final_nn, reason)
+    VALUES (p_session_id, p_player_id, v_session_player.final_nn, p_final_nn, p_reason)
+    RETURNING * INTO v_correction;
+  EXCEPTION WHEN unique_violation THEN
+    -- idx_score_corrections_pending
+    RETURN jsonb_build_object('error', 'correction_pending');
+  END;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id, 'score_correction.requested', 'score_correction', v_correction.id::TEXT,
+    jsonb_build_object(
+      'session_id', p_session_id,
+      'previous_final_nn', v_correction.previous_final_nn,
+      'requested_final_nn', p_final_nn,
+      'reason', p_reason
+    ));
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'confirmations_required', v_confirmers
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Queue a recorded score for moderation when it lies far outside its level's
+-- distribution: |z| >= 3 against the level's other visible runs, once the
+-- level has at least 20 of them to compare with
+CREATE OR REPLACE FUNCTION flag_score_outlier()
+RETURNS TRIGGER AS $$
+DECLARE
+  c_z_threshold CONSTANT NUMERIC := 3;
+  c_min_sample CONSTANT INTEGER := 20;
+  v_mean NUMERIC;
+  v_stddev NUMERIC;
+  v_count INTEGER;
+  v_z NUMERIC;
+BEGIN
+  SELECT AVG(final_nn), STDDEV_SAMP(final_nn), COUNT(*)
+  INTO v_mean, v_stddev, v_count
+  FROM score_history
+  WHERE universe_level = NEW.universe_level
+    AND moderation_status = 'visible'
+    AND id <> NEW.id;
+
+  IF v_count < c_min_sample OR COALESCE(v_stddev, 0) = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  v_z := (NEW.final_nn - v_mean) / v_stddev;
+  IF ABS(v_z) < c_z_threshold THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO score_flags (
+    score_history_id, player_id, session_id, universe_level, final_nn,
+    reason, z_score, level_mean, level_stddev, sample_size
+  )
+  VALUES (
+    NEW.id, NEW.player_id, NEW.session_id, NEW.universe_level, NEW.final_nn,
+    'outlier', ROUND(v_z, 2), ROUND(v_mean, 2), ROUND(v_stddev, 2), v_count
+  )
+  ON CONFLICT (score_history_id)
+  DO UPDATE SET
+    final_nn = EXCLUDED.final_nn,
+    z_score = EXCLUDED.z_score,
+    level_mean = EXCLUDED.level_mean,
+    level_stddev = EXCLUDED.level_stddev,
+    sample_size = EXCLUDED.sample_size,
+    status = 'pending',
+    created_at = NOW(),
+    reviewed_by = NULL,
+    reviewed_at = NULL,
+    review_note = NULL;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER score_history_outlier_trigger
+  AFTER INSERT OR UPDATE OF final_nn ON score_history
+  FOR EACH ROW EXECUTE FUNCTION flag_score_outlier();
+
+-- Admin decision on a flagged score:
+--   approve - the score stays visible
+--   hide    - shadow-hidden: left out of the level leaderboards, still
+--             shown to the player
+--   reject  - the run no longer counts; the player's best is re-derived
+-- Flags can be decided again (e.g. approving a hidden score restores it).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION moderate_score_flag(
+  p_flag_id UUID,
+  p_admin_id UUID,
+  p_action VARCHAR,
+  p_note VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_flag score_flags%ROWTYPE;
+  v_previous_status VARCHAR(20);
+  v_best INTEGER;
+BEGIN
+  IF p_action NOT IN ('approve', 'hide', 'reject') THEN
+    RETURN jsonb_build_object('error', 'invalid_action');
+  END IF;
+
+  SELECT * INTO v_flag
+  FROM score_flags
+  WHERE id = p_flag_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'flag_not_found');
+  END IF;
+
+  v_previous_status := v_flag.status;
+
+  UPDATE score_history
+  SET moderation_status = CASE p_action
+    WHEN 'approve' THEN 'visible'
+    WHEN 'hide' THEN 'hidden'
+    ELSE 'rejected'
+  END
+  WHERE id = v_flag.score_history_id;
+
+  UPDATE score_flags
+  SET
+    status = CASE p_action
+      WHEN 'approve' THEN 'approved'
+      WHEN 'hide' THEN 'hidden'
+      ELSE 'rejected'
+    END,
+    reviewed_by = p_admin_id,
+    reviewed_at = NOW(),
+    review_note = p_note
+  WHERE id = p_flag_id
+  RETURNING * INTO v_flag;
+
+  -- Rejecting (or un-rejecting) a run can change the player's best
+  v_best := rederive_level_best(v_flag.player_id, v_flag.universe_level);
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'score_flag.' || v_flag.status, 'score_flag', p_flag_id::TEXT,
+    jsonb_build_object(
+      'player_id', v_flag.player_id,
+      'session_id', v_flag.session_id,
+      'universe_level', v_flag.universe_level,
+      'final_nn', v_flag.final_nn,
+      'previous_status', v_previous_status,
+      'best_nn', v_best,
+      'note', p_note
+    ));
+
+  RETURN jsonb_build_object(
+    'flag', to_jsonb(v_flag),
+    'best_nn', v_best
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Ranked per-level leaderboard, same rank columns as global_leaderboard.
+-- A best score hidden by moderation leaves the player off the level's board
+-- (their profile still shows it).
+CREATE OR REPLACE VIEW level_leaderboard AS
+SELECT
+  RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS rank,
+  DENSE_RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS dense_rank,
+  COUNT(*) OVER (PARTITION BY pj.universe_level, pj.best_nn) AS tie_count,
+  pj.universe_level,
+  pj.player_id,
+  p.display_name,
+  p.is_guest,
+  pj.best_nn,
+  pj.achieved_at
+FROM progress_journal pj
+JOIN players p ON p.id = pj.player_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM score_history sh
+  WHERE sh.player_id = pj.player_id
+    AND sh.session_id = pj.session_id
+    AND sh.moderation_status = 'hidden'
+);
+
+-- Per-level leaderboard over sessions completed since p_since.
+-- Uses each player's best final_nn in the window (first time reached as tiebreak);
+-- columns match level_leaderboard. Reads score_history, so held-back scores
+-- never count and runs hidden or rejected by moderation are skipped.
+CREATE OR REPLACE FUNCTION level_leaderboard_since(p_level INTEGER, p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  universe_level INTEGER,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  best_nn INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH bests AS (
+    SELECT DISTINCT ON (sh.player_id)
+      sh.player_id,
+      sh.final_nn AS best_nn,
+      sh.completed_at AS achieved_at
+    FROM score_history sh
+    WHERE sh.universe_level = p_level
+      AND sh.completed_at >= p_since
+      AND sh.moderation_status = 'visible'
+    ORDER BY sh.player_id, sh.final_nn DESC, sh.completed_at ASC
+  )
+  SELECT
+    RANK() OVER (ORDER BY b.best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY b.best_nn DESC),
+    COUNT(*) OVER (PARTITION BY b.best_nn),
+    p_level,
+    b.player_id,
+    p.display_name,
+    p.is_guest,
+    b.best_nn,
+    b.achieved_at
+  FROM bests b
+  JOIN players p ON p.id = b.player_id;
+$$ LANGUAGE sql STABLE;
+
+-- Global leaderboard over sessions completed since p_since.
+-- Totals sum each player's best final_nn per level in the window;
+-- columns match global_leaderboard. Like global_leaderboard it skips only
+-- runs rejected by moderation.
+CREATE OR REPLACE FUNCTION global_leaderboard_since(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  total_best_nn INTEGER,
+  levels_completed INTEGER,
+  highest_level INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH level_bests AS (
+    SELECT DISTINCT ON (sh.player_id, sh.universe_level)
+      sh.player_id,
+      sh.universe_level,
+      sh.final_nn AS best_nn,
+      sh.completed_at AS achieved_at
+    FROM score_history sh
+    WHERE sh.completed_at >= p_since
+      AND sh.moderation_status <> 'rejected'
+    ORDER BY sh.player_id, sh.universe_level, sh.final_nn DESC, sh.completed_at ASC
+  ),
+  totals AS (
+    SELECT
+      lb.player_id,
+      SUM(lb.best_nn)::INTEGER AS total_best_nn,
+      COUNT(*)::INTEGER AS levels_completed,
+      MAX(lb.universe_level) AS highest_level,
+      MAX(lb.achieved_at) AS achieved_at
+    FROM level_bests lb
+    GROUP BY lb.player_id
+  )
+  SELECT
+    RANK() OVER (ORDER BY t.total_best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY t.total_best_nn DESC),
+    COUNT(*) OVER (PARTITION BY t.total_best_nn),
+    t.player_id,
+    p.display_name,
+    p.is_guest,
+    t.total_best_nn,
+    t.levels_completed,
+    t.highest_level,
+    t.achieved_at
+  FROM totals t
+  JOIN players p ON p.id = t.player_id;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION check_score_bounds(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION moderate_score_flag(UUID, UUID, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION moderate_score_flag(UUID, UUID, VARCHAR, VARCHAR) TO service_role;
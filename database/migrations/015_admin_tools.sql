@@ -0,0 +1,209 @@
+-- Migration 015: admin tools
+-- Functions behind /api/admin/*: merging duplicate players, deleting
+-- fraudulent best scores and resetting a box's stuck session. All of them
+-- write to audit_log.
+
+-- Index for the admin audit log view (newest first)
+CREATE INDEX idx_audit_log_created
+  ON audit_log(created_at DESC);
+
+-- Admin: merge a duplicate player (p_source_id) into p_target_id and delete
+-- the duplicate. Sessions, scores, boxes, claims, corrections, flags and
+-- audit entries move to the target; where both played the same session the
+-- target's row is kept. The target's bests are re-derived from the merged
+-- score history, and it takes over the duplicate's email if it has none.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION merge_players(p_source_id UUID, p_target_id UUID, p_admin_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_source players%ROWTYPE;
+  v_target players%ROWTYPE;
+  v_levels INTEGER[];
+  v_level INTEGER;
+  v_sessions INTEGER;
+  v_scores INTEGER;
+BEGIN
+  IF p_source_id = p_target_id THEN
+    RETURN jsonb_build_object('error', 'same_player');
+  END IF;
+
+  -- Lock both players in a stable order
+  PERFORM 1 FROM players
+  WHERE id IN (p_source_id, p_target_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT * INTO v_source FROM players WHERE id = p_source_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'source_not_found');
+  END IF;
+
+  SELECT * INTO v_target FROM players WHERE id = p_target_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'target_not_found');
+  END IF;
+
+  SELECT ARRAY(
+    SELECT DISTINCT universe_level FROM (
+      SELECT universe_level FROM score_history WHERE player_id = p_source_id
+      UNION
+      SELECT universe_level FROM progress_journal WHERE player_id = p_source_id
+    ) levels
+  ) INTO v_levels;
+
+  -- Sessions (the target's row wins where both played)
+  DELETE FROM session_players sp
+  WHERE sp.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM session_players t
+      WHERE t.session_id = sp.session_id AND t.player_id = p_target_id
+    );
+  UPDATE session_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  GET DIAGNOSTICS v_sessions = ROW_COUNT;
+  UPDATE session_players SET score_reviewed_by = p_target_id WHERE score_reviewed_by = p_source_id;
+  UPDATE sessions SET host_player_id = p_target_id WHERE host_player_id = p_source_id;
+
+  -- Score history (same rule)
+  DELETE FROM score_history sh
+  WHERE sh.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM score_history t
+      WHERE t.session_id = sh.session_id AND t.player_id = p_target_id
+    );
+  UPDATE score_history SET player_id = p_target_id WHERE player_id = p_source_id;
+  GET DIAGNOSTICS v_scores = ROW_COUNT;
+
+  -- Bests are rebuilt from the merged history below
+  DELETE FROM progress_journal WHERE player_id = p_source_id;
+
+  -- Boxes and claims
+  UPDATE game_boxes SET owner_player_id = p_target_id WHERE owner_player_id = p_source_id;
+  UPDATE box_claims SET player_id = p_target_id WHERE player_id = p_source_id;
+  DELETE FROM magic_tokens WHERE player_id = p_source_id;
+
+  -- Corrections: close the duplicate's open requests, keep the target's responses
+  UPDATE score_corrections
+  SET status = 'rejected', resolved_at = NOW()
+  WHERE player_id = p_source_id AND status = 'pending';
+  UPDATE score_corrections SET player_id = p_target_id WHERE player_id = p_source_id;
+  DELETE FROM score_correction_responses r
+  WHERE r.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM score_correction_responses t
+      WHERE t.correction_id = r.correction_id AND t.player_id = p_target_id
+    );
+  UPDATE score_correction_responses SET player_id = p_target_id WHERE player_id = p_source_id;
+
+  -- Moderation and audit trail
+  UPDATE score_flags SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE score_flags SET reviewed_by = p_target_id WHERE reviewed_by = p_source_id;
+  UPDATE audit_log SET actor_player_id = p_target_id WHERE actor_player_id = p_source_id;
+
+  FOREACH v_level IN ARRAY v_levels LOOP
+    PERFORM rederive_level_best(p_target_id, v_level);
+  END LOOP;
+
+  DELETE FROM players WHERE id = p_source_id;
+
+  -- A guest target keeps the duplicate's sign-in email
+  IF v_target.email IS NULL AND v_source.email IS NOT NULL THEN
+    UPDATE players
+    SET email = v_source.email, is_guest = FALSE
+    WHERE id = p_target_id
+    RETURNING * INTO v_target;
+  END IF;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'player.merged', 'player', p_target_id::TEXT,
+    jsonb_build_object(
+      'source_player_id', p_source_id,
+      'source_display_name', v_source.display_name,
+      'source_email', v_source.email,
+      'sessions_moved', v_sessions,
+      'scores_moved', v_scores
+    ));
+
+  RETURN jsonb_build_object(
+    'player', to_jsonb(v_target),
+    'sessions_moved', v_sessions,
+    'scores_moved', v_scores
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admin: remove a fraudulent best score. Every run of the player on the level
+-- is rejected (as in moderation) and the progress_journal entry deleted;
+-- player_totals follows via its trigger.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION delete_progress_entry(p_player_id UUID, p_level INTEGER, p_admin_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_entry progress_journal%ROWTYPE;
+  v_runs INTEGER;
+BEGIN
+  DELETE FROM progress_journal
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+  RETURNING * INTO v_entry;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'entry_not_found');
+  END IF;
+
+  UPDATE score_history
+  SET moderation_status = 'rejected', is_new_best = FALSE
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+    AND moderation_status <> 'rejected';
+  GET DIAGNOSTICS v_runs = ROW_COUNT;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'progress.deleted', 'player', p_player_id::TEXT,
+    jsonb_build_object(
+      'universe_level', p_level,
+      'best_nn', v_entry.best_nn,
+      'session_id', v_entry.session_id,
+      'achieved_at', v_entry.achieved_at,
+      'runs_rejected', v_runs
+    ));
+
+  RETURN jsonb_build_object(
+    'entry', to_jsonb(v_entry),
+    'runs_rejected', v_runs
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admin: abandon whatever open session holds a box (e.g. one stuck after a
+-- crash), so a new game can start right away.
+-- Returns one row per session abandoned.
+CREATE OR REPLACE FUNCTION reset_box_session(p_box_id VARCHAR, p_admin_id UUID)
+RETURNS TABLE (
+  session_id UUID,
+  universe_level INTEGER,
+  previous_status VARCHAR(20)
+) AS $$
+  WITH reset AS (
+    UPDATE sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    FROM sessions prev
+    WHERE s.id = prev.id
+      AND s.box_id = p_box_id
+      AND s.status IN ('active', 'pending_end')
+    RETURNING s.id, s.universe_level, prev.status AS previous_status
+  ),
+  audit AS (
+    INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+    SELECT p_admin_id, 'box.session_reset', 'box', p_box_id,
+      jsonb_build_object('session_id', r.id, 'universe_level', r.universe_level, 'previous_status', r.previous_status)
+    FROM reset r
+  )
+  SELECT * FROM reset;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION merge_players(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_players(UUID, UUID, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION delete_progress_entry(UUID, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_progress_entry(UUID, INTEGER, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION reset_box_session(VARCHAR, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reset_box_session(VARCHAR, UUID) TO service_role;
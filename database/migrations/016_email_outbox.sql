@@ -0,0 +1,17 @@
+-- Migration 016: email outbox
+-- With EMAIL_TRANSPORT=outbox, emails are stored here instead of sent, and
+-- listed by /api/dev/outbox (development and CI only).
+
+CREATE TABLE email_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  from_email VARCHAR(255) NOT NULL,
+  to_email VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT,
+  text TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for a recipient's messages (newest first)
+CREATE INDEX idx_email_outbox_to
+  ON email_outbox(to_email, created_at DESC);
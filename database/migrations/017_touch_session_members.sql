@@ -0,0 +1,43 @@
+-- Migration 017: only session players keep a session alive
+-- touch_session() takes the acting player and leaves the session alone
+-- unless they are in it, so posting a known session ID to a session
+-- endpoint no longer keeps it from going stale or revives it.
+
+DROP FUNCTION touch_session(UUID);
+
+-- Record activity on an open session. A session in its idle grace window
+-- (pending_end_at set) is revived: back to active, or to pending_end if an
+-- end vote is open. With p_player_id, only that player's activity counts:
+-- the session is left alone unless they are in it.
+-- Returns the session status afterwards (NULL if the session does not exist).
+CREATE OR REPLACE FUNCTION touch_session(p_session_id UUID, p_player_id UUID DEFAULT NULL)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_status VARCHAR(20);
+BEGIN
+  UPDATE sessions
+  SET
+    last_activity_at = NOW(),
+    pending_end_at = NULL,
+    status = CASE WHEN end_vote_started_at IS NULL THEN 'active' ELSE 'pending_end' END
+  WHERE id = p_session_id
+    AND status IN ('active', 'pending_end')
+    AND (
+      p_player_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM session_players
+        WHERE session_id = p_session_id AND player_id = p_player_id
+      )
+    )
+  RETURNING status INTO v_status;
+
+  IF NOT FOUND THEN
+    SELECT status INTO v_status FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION touch_session(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION touch_session(UUID, UUID) TO service_role;
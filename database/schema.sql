@@ -12,6 +12,7 @@ CREATE TABLE players (
   email VARCHAR(255) UNIQUE,           -- NULL for guests
   display_name VARCHAR(50) NOT NULL,
   is_guest BOOLEAN DEFAULT TRUE,
+  role VARCHAR(20) NOT NULL DEFAULT 'player' CHECK (role IN ('player', 'admin')),  -- admins use /api/admin/*
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -19,11 +20,22 @@ CREATE TABLE players (
 -- Index for email lookups
 CREATE INDEX idx_players_email ON players(email) WHERE email IS NOT NULL;
 
+-- ============================================
+-- ISSUED BOX IDS (publisher allowlist)
+-- ============================================
+-- Every box ID printed by the publisher, imported via POST /api/box/import.
+-- Only issued IDs can be registered or host sessions.
+CREATE TABLE issued_box_ids (
+  box_id VARCHAR(20) PRIMARY KEY CHECK (box_id ~ '^NE-[0-9]{4}-[0-9]{5}$'),
+  batch VARCHAR(100),                   -- Print run / import label
+  issued_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================
 -- GAME BOXES (physical copies)
 -- ============================================
 CREATE TABLE game_boxes (
-  box_id VARCHAR(20) PRIMARY KEY,      -- From QR code (e.g., "NE-2026-00001")
+  box_id VARCHAR(20) PRIMARY KEY REFERENCES issued_box_ids(box_id),  -- From QR code (e.g., "NE-2026-00003")
   registered_at TIMESTAMPTZ DEFAULT NOW(),
   owner_player_id UUID REFERENCES players(id),
   registration_email VARCHAR(255)       -- Email used for recovery
@@ -32,21 +44,73 @@ CREATE TABLE game_boxes (
 -- ============================================
 -- GAME SESSIONS
 -- ============================================
+-- Short human-friendly join code for invites (consonants only, so codes
+-- never spell words); unique among open (active or pending_end) sessions
+CREATE OR REPLACE FUNCTION generate_join_code()
+RETURNS VARCHAR(5) AS $$
+DECLARE
+  alphabet CONSTANT TEXT := 'BCDFGHJKLMNPQRSTVWXZ';
+  code VARCHAR(5);
+BEGIN
+  LOOP
+    code := '';
+    FOR i IN 1..5 LOOP
+      code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INTEGER, 1);
+    END LOOP;
+    EXIT WHEN NOT EXISTS (
+      SELECT 1 FROM sessions WHERE join_code = code AND status IN ('active', 'pending_end')
+    );
+  END LOOP;
+  RETURN code;
+END;
+$$ LANGUAGE plpgsql VOLATILE;
+
 CREATE TABLE sessions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   box_id VARCHAR(20) NOT NULL REFERENCES game_boxes(box_id),
   universe_level INTEGER NOT NULL CHECK (universe_level BETWEEN 1 AND 13),
   status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'pending_end', 'completed', 'abandoned')),
   host_player_id UUID REFERENCES players(id),
+  join_code VARCHAR(5) NOT NULL DEFAULT generate_join_code(),
   started_at TIMESTAMPTZ DEFAULT NOW(),
-  ended_at TIMESTAMPTZ
-  -- Note: Only one active session per box is enforced by idx_active_session_per_box below
+  ended_at TIMESTAMPTZ,
+  -- Bumped by every session action (touch_session); idle sessions move to
+  -- pending_end and then abandoned (expire_stale_sessions)
+  last_activity_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  pending_end_at TIMESTAMPTZ,
+  -- How an end vote passes (see end_vote_passes). While a vote is open the
+  -- session is pending_end and end_vote_started_at is set.
+  end_rule VARCHAR(20) NOT NULL DEFAULT 'unanimous'
+    CHECK (end_rule IN ('unanimous', 'majority', 'host_plus_one', 'timeout')),
+  end_vote_timeout_minutes INTEGER NOT NULL DEFAULT 10
+    CHECK (end_vote_timeout_minutes BETWEEN 1 AND 120),
+  end_vote_started_at TIMESTAMPTZ,
+  -- Table confirmation: each score needs another player's confirmation
+  -- (review_session_score) before it reaches progress_journal
+  require_confirmation BOOLEAN NOT NULL DEFAULT FALSE
+  -- Note: Only one open session per box is enforced by idx_active_session_per_box below
 );
 
--- Partial index for active sessions lookup
+-- Partial index for open sessions lookup (a session with an open end vote
+-- still holds its box)
 CREATE UNIQUE INDEX idx_active_session_per_box
   ON sessions(box_id)
-  WHERE status = 'active';
+  WHERE status IN ('active', 'pending_end');
+
+-- Join codes resolve to the open session using them
+CREATE UNIQUE INDEX idx_active_session_join_code
+  ON sessions(join_code)
+  WHERE status IN ('active', 'pending_end');
+
+-- Index for the stale session sweep
+CREATE INDEX idx_sessions_open_activity
+  ON sessions(last_activity_at)
+  WHERE status IN ('active', 'pending_end');
+
+-- Index for time-windowed leaderboards
+CREATE INDEX idx_sessions_completed_ended
+  ON sessions(ended_at)
+  WHERE status = 'completed';
 
 -- ============================================
 -- SESSION PLAYERS (join table)
@@ -61,6 +125,16 @@ CREATE TABLE session_players (
   starting_nn INTEGER DEFAULT 0,
   final_nn INTEGER,
 
+  -- Table confirmation (sessions.require_confirmation): a submitted score is
+  -- pending until another player confirms or disputes it. Only confirmed
+  -- scores are recorded when the session completes; disputed ones are held
+  -- back until the host confirms them.
+  score_status VARCHAR(20) NOT NULL DEFAULT 'confirmed'
+    CHECK (score_status IN ('pending', 'confirmed', 'disputed')),
+  score_reviewed_by UUID REFERENCES players(id) ON DELETE SET NULL,
+  score_reviewed_at TIMESTAMPTZ,
+  dispute_reason VARCHAR(200),
+
   -- Session management
   joined_at TIMESTAMPTZ DEFAULT NOW(),
   voted_end BOOLEAN DEFAULT FALSE,
@@ -90,6 +164,65 @@ CREATE TABLE progress_journal (
 CREATE INDEX idx_progress_journal_level_score
   ON progress_journal(universe_level, best_nn DESC);
 
+-- ============================================
+-- SCORE HISTORY (every completed session result)
+-- ============================================
+-- One row per player per completed session, written by the completion
+-- trigger; progress_journal keeps only the best, this keeps every run
+CREATE TABLE score_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  universe_level INTEGER NOT NULL CHECK (universe_level BETWEEN 1 AND 13),
+  box_id VARCHAR(20) REFERENCES game_boxes(box_id),
+  starting_nn INTEGER NOT NULL DEFAULT 0,
+  final_nn INTEGER NOT NULL,
+  nn_delta INTEGER GENERATED ALWAYS AS (final_nn - starting_nn) STORED,
+  color VARCHAR(20),
+  is_new_best BOOLEAN NOT NULL DEFAULT FALSE,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set by moderation (moderate_score_flag): hidden runs are left out of the
+  -- level leaderboards, rejected runs no longer count anywhere
+  moderation_status VARCHAR(20) NOT NULL DEFAULT 'visible'
+    CHECK (moderation_status IN ('visible', 'hidden', 'rejected')),
+
+  UNIQUE(session_id, player_id)
+);
+
+-- Index for a player's history (optionally per level)
+CREATE INDEX idx_score_history_player
+  ON score_history(player_id, completed_at DESC);
+CREATE INDEX idx_score_history_player_level
+  ON score_history(player_id, universe_level, completed_at DESC);
+
+-- Index for time-windowed leaderboards
+CREATE INDEX idx_score_history_completed
+  ON score_history(completed_at);
+
+-- Index for a level's score distribution (outlier detection)
+CREATE INDEX idx_score_history_level_visible
+  ON score_history(universe_level, final_nn)
+  WHERE moderation_status = 'visible';
+
+-- ============================================
+-- PLAYER TOTALS (global leaderboard)
+-- ============================================
+-- One row per player with progress, kept in sync with progress_journal by
+-- trigger so the global leaderboard never aggregates the journal on read
+CREATE TABLE player_totals (
+  player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  total_best_nn INTEGER NOT NULL DEFAULT 0,
+  levels_completed INTEGER NOT NULL DEFAULT 0,
+  highest_level INTEGER NOT NULL DEFAULT 0,
+  -- When the current total was reached (latest best_nn improvement), used as tiebreak
+  achieved_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for ranking and rank lookups
+CREATE INDEX idx_player_totals_total
+  ON player_totals(total_best_nn DESC, achieved_at ASC);
+
 -- ============================================
 -- MAGIC LINK TOKENS
 -- ============================================
@@ -106,6 +239,150 @@ CREATE TABLE magic_tokens (
 -- Index for token lookup
 CREATE INDEX idx_magic_tokens_token ON magic_tokens(token) WHERE used_at IS NULL;
 
+-- ============================================
+-- BOX CLAIMS (ownership confirmation)
+-- ============================================
+-- A signed-in player asks to own a box; the link emailed to the box's
+-- registration email confirms it (boxes without one cannot be claimed)
+CREATE TABLE box_claims (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  box_id VARCHAR(20) NOT NULL REFERENCES game_boxes(box_id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,          -- Where the confirmation was sent
+  token VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  confirmed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Index for token lookup
+CREATE INDEX idx_box_claims_token ON box_claims(token) WHERE confirmed_at IS NULL;
+
+-- Index for an owner's boxes
+CREATE INDEX idx_game_boxes_owner ON game_boxes(owner_player_id) WHERE owner_player_id IS NOT NULL;
+
+-- Index for a box's session history
+CREATE INDEX idx_sessions_box_started ON sessions(box_id, started_at DESC);
+
+-- ============================================
+-- SCORE CORRECTIONS
+-- ============================================
+-- Before a session completes players fix typos by resubmitting. Afterwards a
+-- player requests a correction and every other player of the session has to
+-- confirm it (respond_to_score_correction) before it is applied.
+CREATE TABLE score_corrections (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  previous_final_nn INTEGER,            -- NULL if the player never submitted
+  requested_final_nn INTEGER NOT NULL CHECK (requested_final_nn >= 0),
+  reason VARCHAR(200),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'applied', 'rejected')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ
+);
+
+-- One open request per player per session
+CREATE UNIQUE INDEX idx_score_corrections_pending
+  ON score_corrections(session_id, player_id)
+  WHERE status = 'pending';
+
+-- Index for a session's corrections
+CREATE INDEX idx_score_corrections_session
+  ON score_corrections(session_id, created_at DESC);
+
+CREATE TABLE score_correction_responses (
+  correction_id UUID NOT NULL REFERENCES score_corrections(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  approved BOOLEAN NOT NULL,
+  responded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (correction_id, player_id)
+);
+
+-- ============================================
+-- AUDIT LOG
+-- ============================================
+-- Append-only record of changes made after the fact (score corrections, ...)
+CREATE TABLE audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_player_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,          -- e.g. 'score_correction.applied'
+  entity_type VARCHAR(30) NOT NULL,     -- e.g. 'score_correction'
+  entity_id TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for an entity's history
+CREATE INDEX idx_audit_log_entity
+  ON audit_log(entity_type, entity_id, created_at DESC);
+
+-- Index for the admin audit log view (newest first)
+CREATE INDEX idx_audit_log_created
+  ON audit_log(created_at DESC);
+
+-- ============================================
+-- SCORE MODERATION
+-- ============================================
+-- Plausible final Nn per level; submissions and corrections outside the
+-- range are refused (check_score_bounds). Seeded with generous values, tune
+-- them as real score distributions come in.
+CREATE TABLE level_score_bounds (
+  universe_level INTEGER PRIMARY KEY CHECK (universe_level BETWEEN 1 AND 13),
+  min_nn INTEGER NOT NULL DEFAULT 0,
+  max_nn INTEGER NOT NULL,
+  CHECK (max_nn >= min_nn)
+);
+
+INSERT INTO level_score_bounds (universe_level, min_nn, max_nn)
+SELECT level, 0, 100 + level * 50
+FROM generate_series(1, 13) AS level;
+
+-- Moderation queue: recorded scores far outside their level's distribution
+-- (flag_score_outlier). One flag per score; a changed score is queued again.
+CREATE TABLE score_flags (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  score_history_id UUID NOT NULL UNIQUE REFERENCES score_history(id) ON DELETE CASCADE,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+  universe_level INTEGER NOT NULL,
+  final_nn INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL DEFAULT 'outlier',
+  z_score NUMERIC(8, 2),
+  level_mean NUMERIC(10, 2),
+  level_stddev NUMERIC(10, 2),
+  sample_size INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'approved', 'rejected', 'hidden')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reviewed_by UUID REFERENCES players(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note VARCHAR(200)
+);
+
+-- Index for the moderation queue
+CREATE INDEX idx_score_flags_status
+  ON score_flags(status, created_at);
+
+-- ============================================
+-- EMAIL OUTBOX
+-- ============================================
+-- With EMAIL_TRANSPORT=outbox, emails are stored here instead of sent, and
+-- listed by /api/dev/outbox (development and CI only).
+CREATE TABLE email_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  from_email VARCHAR(255) NOT NULL,
+  to_email VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  html TEXT,
+  text TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Index for a recipient's messages (newest first)
+CREATE INDEX idx_email_outbox_to
+  ON email_outbox(to_email, created_at DESC);
+
 -- ============================================
 -- FUNCTIONS & TRIGGERS
 -- ============================================
@@ -124,10 +401,35 @@ CREATE TRIGGER players_updated_at
   FOR EACH ROW EXECUTE FUNCTION update_updated_at();
 
 -- Update progress journal when session ends (upsert best score)
+-- and record every confirmed result in score_history
 CREATE OR REPLACE FUNCTION update_progress_journal()
 RETURNS TRIGGER AS $$
 BEGIN
   IF NEW.status = 'completed' AND OLD.status != 'completed' THEN
+    -- Compare against the journal before it is updated to flag new bests
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, is_new_best, completed_at
+    )
+    SELECT
+      sp.player_id,
+      NEW.id,
+      NEW.universe_level,
+      NEW.box_id,
+      COALESCE(sp.starting_nn, 0),
+      sp.final_nn,
+      sp.race,
+      pj.best_nn IS NULL OR sp.final_nn > pj.best_nn,
+      COALESCE(NEW.ended_at, NOW())
+    FROM session_players sp
+    LEFT JOIN progress_journal pj
+      ON pj.player_id = sp.player_id
+      AND pj.universe_level = NEW.universe_level
+    WHERE sp.session_id = NEW.id
+      AND sp.final_nn IS NOT NULL
+      AND sp.score_status = 'confirmed'
+    ON CONFLICT (session_id, player_id) DO NOTHING;
+
     INSERT INTO progress_journal (player_id, universe_level, best_nn, session_id)
     SELECT
       sp.player_id,
@@ -137,6 +439,7 @@ BEGIN
     FROM session_players sp
     WHERE sp.session_id = NEW.id
       AND sp.final_nn IS NOT NULL
+      AND sp.score_status = 'confirmed'
     ON CONFLICT (player_id, universe_level)
     DO UPDATE SET
       best_nn = GREATEST(progress_journal.best_nn, EXCLUDED.best_nn),
@@ -155,4 +458,1392 @@ $$ LANGUAGE plpgsql;
 
 CREATE TRIGGER session_completed_trigger
   AFTER UPDATE ON sessions
-  FOR EACH ROW EXECUTE FUNCTION update_progress_journal();
\ No newline at end of file
+  FOR EACH ROW EXECUTE FUNCTION update_progress_journal();
+
+-- Keep player_totals in sync with progress_journal
+CREATE OR REPLACE FUNCTION refresh_player_totals(p_player_id UUID)
+RETURNS VOID AS $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM progress_journal WHERE player_id = p_player_id) THEN
+    DELETE FROM player_totals WHERE player_id = p_player_id;
+    RETURN;
+  END IF;
+
+  INSERT INTO player_totals (player_id, total_best_nn, levels_completed, highest_level, achieved_at, updated_at)
+  SELECT
+    p_player_id,
+    COALESCE(SUM(best_nn), 0),
+    COUNT(*),
+    MAX(universe_level),
+    MAX(achieved_at),
+    NOW()
+  FROM progress_journal
+  WHERE player_id = p_player_id
+  ON CONFLICT (player_id)
+  DO UPDATE SET
+    total_best_nn = EXCLUDED.total_best_nn,
+    levels_completed = EXCLUDED.levels_completed,
+    highest_level = EXCLUDED.highest_level,
+    achieved_at = EXCLUDED.achieved_at,
+    updated_at = EXCLUDED.updated_at;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION sync_player_totals()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM refresh_player_totals(NEW.player_id);
+  END IF;
+  IF TG_OP = 'DELETE' OR (TG_OP = 'UPDATE' AND OLD.player_id <> NEW.player_id) THEN
+    PERFORM refresh_player_totals(OLD.player_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER progress_journal_totals_trigger
+  AFTER INSERT OR UPDATE OR DELETE ON progress_journal
+  FOR EACH ROW EXECUTE FUNCTION sync_player_totals();
+
+-- Queue a recorded score for moderation when it lies far outside its level's
+-- distribution: |z| >= 3 against the level's other visible runs, once the
+-- level has at least 20 of them to compare with
+CREATE OR REPLACE FUNCTION flag_score_outlier()
+RETURNS TRIGGER AS $$
+DECLARE
+  c_z_threshold CONSTANT NUMERIC := 3;
+  c_min_sample CONSTANT INTEGER := 20;
+  v_mean NUMERIC;
+  v_stddev NUMERIC;
+  v_count INTEGER;
+  v_z NUMERIC;
+BEGIN
+  SELECT AVG(final_nn), STDDEV_SAMP(final_nn), COUNT(*)
+  INTO v_mean, v_stddev, v_count
+  FROM score_history
+  WHERE universe_level = NEW.universe_level
+    AND moderation_status = 'visible'
+    AND id <> NEW.id;
+
+  IF v_count < c_min_sample OR COALESCE(v_stddev, 0) = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  v_z := (NEW.final_nn - v_mean) / v_stddev;
+  IF ABS(v_z) < c_z_threshold THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO score_flags (
+    score_history_id, player_id, session_id, universe_level, final_nn,
+    reason, z_score, level_mean, level_stddev, sample_size
+  )
+  VALUES (
+    NEW.id, NEW.player_id, NEW.session_id, NEW.universe_level, NEW.final_nn,
+    'outlier', ROUND(v_z, 2), ROUND(v_mean, 2), ROUND(v_stddev, 2), v_count
+  )
+  ON CONFLICT (score_history_id)
+  DO UPDATE SET
+    final_nn = EXCLUDED.final_nn,
+    z_score = EXCLUDED.z_score,
+    level_mean = EXCLUDED.level_mean,
+    level_stddev = EXCLUDED.level_stddev,
+    sample_size = EXCLUDED.sample_size,
+    status = 'pending',
+    created_at = NOW(),
+    reviewed_by = NULL,
+    reviewed_at = NULL,
+    review_note = NULL;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER score_history_outlier_trigger
+  AFTER INSERT OR UPDATE OF final_nn ON score_history
+  FOR EACH ROW EXECUTE FUNCTION flag_score_outlier();
+
+-- ============================================
+-- VIEWS
+-- ============================================
+
+-- Ranked global leaderboard, paginated by the API with .range()
+-- Equal totals share a rank: `rank` is competition ranking (1, 1, 3),
+-- `dense_rank` is dense ranking (1, 1, 2). tie_count > 1 marks a tie.
+-- Clients order by rank, then achieved_at (earliest first), then player_id.
+CREATE VIEW global_leaderboard AS
+SELECT
+  RANK() OVER (ORDER BY pt.total_best_nn DESC) AS rank,
+  DENSE_RANK() OVER (ORDER BY pt.total_best_nn DESC) AS dense_rank,
+  COUNT(*) OVER (PARTITION BY pt.total_best_nn) AS tie_count,
+  pt.player_id,
+  p.display_name,
+  p.is_guest,
+  pt.total_best_nn,
+  pt.levels_completed,
+  pt.highest_level,
+  pt.achieved_at
+FROM player_totals pt
+JOIN players p ON p.id = pt.player_id;
+
+-- Ranked per-level leaderboard, same rank columns as global_leaderboard.
+-- A best score hidden by moderation leaves the player off the level's board
+-- (their profile still shows it).
+CREATE VIEW level_leaderboard AS
+SELECT
+  RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS rank,
+  DENSE_RANK() OVER (PARTITION BY pj.universe_level ORDER BY pj.best_nn DESC) AS dense_rank,
+  COUNT(*) OVER (PARTITION BY pj.universe_level, pj.best_nn) AS tie_count,
+  pj.universe_level,
+  pj.player_id,
+  p.display_name,
+  p.is_guest,
+  pj.best_nn,
+  pj.achieved_at
+FROM progress_journal pj
+JOIN players p ON p.id = pj.player_id
+WHERE NOT EXISTS (
+  SELECT 1 FROM score_history sh
+  WHERE sh.player_id = pj.player_id
+    AND sh.session_id = pj.session_id
+    AND sh.moderation_status = 'hidden'
+);
+
+-- ============================================
+-- RPC FUNCTIONS (called via supabase.rpc)
+-- ============================================
+
+-- Refuse a final Nn outside the level's level_score_bounds.
+-- Returns NULL when the score is plausible, otherwise
+-- { "error": "score_out_of_bounds", "min_nn", "max_nn" }.
+CREATE OR REPLACE FUNCTION check_score_bounds(p_level INTEGER, p_final_nn INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+  v_bounds level_score_bounds%ROWTYPE;
+BEGIN
+  SELECT * INTO v_bounds FROM level_score_bounds WHERE universe_level = p_level;
+
+  IF FOUND AND (p_final_nn < v_bounds.min_nn OR p_final_nn > v_bounds.max_nn) THEN
+    RETURN jsonb_build_object(
+      'error', 'score_out_of_bounds',
+      'min_nn', v_bounds.min_nn,
+      'max_nn', v_bounds.max_nn
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Mark a session completed and open the next-level session for the same
+-- players, colors, end rule and confirmation mode. Callers must hold the
+-- session row lock.
+-- Returns the next session (all NULL after level 13).
+CREATE OR REPLACE FUNCTION complete_session(p_session_id UUID)
+RETURNS sessions AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+BEGIN
+  UPDATE sessions
+  SET status = 'completed', ended_at = NOW()
+  WHERE id = p_session_id
+  RETURNING * INTO v_session;
+
+  IF v_session.universe_level < 13 THEN
+    BEGIN
+      INSERT INTO sessions (
+        box_id, universe_level, host_player_id, status,
+        end_rule, end_vote_timeout_minutes, require_confirmation
+      )
+      VALUES (
+        v_session.box_id, v_session.universe_level + 1, v_session.host_player_id, 'active',
+        v_session.end_rule, v_session.end_vote_timeout_minutes, v_session.require_confirmation
+      )
+      RETURNING * INTO v_next_session;
+
+      -- Same players, same colors
+      INSERT INTO session_players (session_id, player_id, race)
+      SELECT v_next_session.id, sp.player_id, sp.race
+      FROM session_players sp
+      WHERE sp.session_id = p_session_id;
+    EXCEPTION WHEN unique_violation THEN
+      -- The box already has an active session (idx_active_session_per_box)
+      SELECT * INTO v_next_session
+      FROM sessions
+      WHERE box_id = v_session.box_id
+        AND universe_level = v_session.universe_level + 1
+        AND status IN ('active', 'pending_end');
+    END;
+  END IF;
+
+  RETURN v_next_session;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record a player's final score in one transaction.
+-- Locks the session row so concurrent submissions are serialized, then:
+--   1. stores the score (and optional color / starting Nn); with table
+--      confirmation it is pending until another player reviews it
+--   2. completes the session once every player has submitted and no score
+--      is waiting for confirmation (session_completed_trigger upserts
+--      progress_journal in this same transaction)
+--   3. spawns the next-level session with the same players
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION submit_session_score(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_starting_nn INTEGER DEFAULT NULL,
+  p_color VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_needs_review BOOLEAN;
+  v_bounds_error JSONB;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  v_bounds_error := check_score_bounds(v_session.universe_level, p_final_nn);
+  IF v_bounds_error IS NOT NULL THEN
+    RETURN v_bounds_error;
+  END IF;
+
+  -- A solo player has nobody to confirm their score
+  v_needs_review := v_session.require_confirmation AND (
+    SELECT COUNT(*) > 1 FROM session_players WHERE session_id = p_session_id
+  );
+
+  -- Resubmitting starts the review over
+  UPDATE session_players
+  SET
+    final_nn = p_final_nn,
+    race = COALESCE(p_color, race),
+    starting_nn = COALESCE(p_starting_nn, starting_nn),
+    score_status = CASE WHEN v_needs_review THEN 'pending' ELSE 'confirmed' END,
+    score_reviewed_by = NULL,
+    score_reviewed_at = NULL,
+    dispute_reason = NULL
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  RETURNING * INTO v_session_player;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending')
+  INTO v_total, v_submitted, v_pending
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'pending_count', v_pending,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the service role (Cloudflare Functions) may call this
+REVOKE EXECUTE ON FUNCTION submit_session_score(UUID, UUID, INTEGER, INTEGER, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_session_score(UUID, UUID, INTEGER, INTEGER, VARCHAR) TO service_role;
+
+-- Whether an open end vote passes under the session's end_rule:
+--   unanimous     - every player voted
+--   majority      - more than half of the players voted
+--   host_plus_one - the host and at least one other player voted
+--                   (the host alone in a solo game)
+--   timeout       - every player voted, or the vote has been open for
+--                   end_vote_timeout_minutes without being withdrawn
+CREATE OR REPLACE FUNCTION end_vote_passes(
+  p_session sessions,
+  p_total INTEGER,
+  p_voted INTEGER,
+  p_host_voted BOOLEAN
+)
+RETURNS BOOLEAN AS $$
+  SELECT p_total > 0 AND p_voted > 0 AND (
+    p_voted = p_total
+    OR CASE p_session.end_rule
+      WHEN 'majority' THEN p_voted * 2 > p_total
+      WHEN 'host_plus_one' THEN p_host_voted AND p_voted >= 2
+      WHEN 'timeout' THEN p_session.end_vote_started_at
+        <= NOW() - make_interval(mins => p_session.end_vote_timeout_minutes)
+      ELSE FALSE
+    END
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Cast (p_vote = TRUE) or withdraw (FALSE) a player's vote to end the session.
+-- The first vote opens the vote (status pending_end); withdrawing the last
+-- one closes it again. Completes the session when the vote passes.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION cast_end_vote(p_session_id UUID, p_player_id UUID, p_vote BOOLEAN)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_voted INTEGER;
+  v_host_voted BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  UPDATE session_players
+  SET voted_end = p_vote
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(*) FILTER (WHERE voted_end),
+         BOOL_OR(voted_end AND player_id = v_session.host_player_id)
+  INTO v_total, v_voted, v_host_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_voted = 0 THEN
+    UPDATE sessions
+    SET status = CASE WHEN pending_end_at IS NULL THEN 'active' ELSE 'pending_end' END,
+        end_vote_started_at = NULL
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+  ELSE
+    UPDATE sessions
+    SET status = 'pending_end',
+        end_vote_started_at = COALESCE(end_vote_started_at, NOW())
+    WHERE id = p_session_id
+    RETURNING * INTO v_session;
+
+    IF end_vote_passes(v_session, v_total, v_voted, COALESCE(v_host_voted, FALSE)) THEN
+      UPDATE sessions
+      SET status = 'completed', ended_at = NOW()
+      WHERE id = p_session_id
+      RETURNING * INTO v_session;
+      v_completed := TRUE;
+    END IF;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'voted_count', v_voted,
+    'total_players', v_total,
+    'status', v_session.status,
+    'end_rule', v_session.end_rule,
+    'end_vote_started_at', v_session.end_vote_started_at,
+    'session_completed', v_completed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Complete sessions whose timeout-rule end vote has run out (all sessions,
+-- or just p_session_id). Called by the cron sweep and when a session is read.
+-- Returns one row per session completed.
+CREATE OR REPLACE FUNCTION resolve_timed_out_end_votes(p_session_id UUID DEFAULT NULL)
+RETURNS TABLE (
+  session_id UUID,
+  box_id VARCHAR(20),
+  universe_level INTEGER,
+  end_vote_started_at TIMESTAMPTZ
+) AS $$
+  UPDATE sessions s
+  SET status = 'completed', ended_at = NOW()
+  WHERE s.status = 'pending_end'
+    AND s.end_rule = 'timeout'
+    AND s.end_vote_started_at <= NOW() - make_interval(mins => s.end_vote_timeout_minutes)
+    AND (p_session_id IS NULL OR s.id = p_session_id)
+  RETURNING s.id, s.box_id, s.universe_level, s.end_vote_started_at;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION end_vote_passes(sessions, INTEGER, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cast_end_vote(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION cast_end_vote(UUID, UUID, BOOLEAN) TO service_role;
+REVOKE EXECUTE ON FUNCTION resolve_timed_out_end_votes(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_timed_out_end_votes(UUID) TO service_role;
+
+-- Host removes a player from an active session.
+-- Locks the session row, checks the caller is still the host, then completes
+-- the session if the remaining players have all submitted and none of their
+-- scores awaits confirmation (next level is spawned) or the open end vote
+-- now passes (no next level, as in cast_end_vote).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION remove_session_player(
+  p_session_id UUID,
+  p_host_player_id UUID,
+  p_player_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_voted INTEGER;
+  v_host_voted BOOLEAN;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status NOT IN ('active', 'pending_end') THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF v_session.host_player_id IS DISTINCT FROM p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'not_host');
+  END IF;
+
+  IF p_player_id = p_host_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_remove_host');
+  END IF;
+
+  DELETE FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn),
+         COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending'),
+         COUNT(*) FILTER (WHERE voted_end),
+         BOOL_OR(voted_end AND player_id = v_session.host_player_id)
+  INTO v_total, v_submitted, v_pending, v_voted, v_host_voted
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_total > 0 AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  ELSIF v_voted = 0 THEN
+    -- The removed player held the only vote
+    UPDATE sessions
+    SET status = 'active', end_vote_started_at = NULL
+    WHERE id = p_session_id AND status = 'pending_end' AND pending_end_at IS NULL;
+  ELSIF end_vote_passes(v_session, v_total, v_voted, COALESCE(v_host_voted, FALSE)) THEN
+    UPDATE sessions
+    SET status = 'completed', ended_at = NOW()
+    WHERE id = p_session_id;
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'total_players', v_total,
+    'submitted_count', v_submitted,
+    'voted_count', v_voted,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION complete_session(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION remove_session_player(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION remove_session_player(UUID, UUID, UUID) TO service_role;
+
+-- Record activity on an open session. A session in its idle grace window
+-- (pending_end_at set) is revived: back to active, or to pending_end if an
+-- end vote is open. With p_player_id, only that player's activity counts:
+-- the session is left alone unless they are in it.
+-- Returns the session status afterwards (NULL if the session does not exist).
+CREATE OR REPLACE FUNCTION touch_session(p_session_id UUID, p_player_id UUID DEFAULT NULL)
+RETURNS VARCHAR AS $$
+DECLARE
+  v_status VARCHAR(20);
+BEGIN
+  UPDATE sessions
+  SET
+    last_activity_at = NOW(),
+    pending_end_at = NULL,
+    status = CASE WHEN end_vote_started_at IS NULL THEN 'active' ELSE 'pending_end' END
+  WHERE id = p_session_id
+    AND status IN ('active', 'pending_end')
+    AND (
+      p_player_id IS NULL
+      OR EXISTS (
+        SELECT 1 FROM session_players
+        WHERE session_id = p_session_id AND player_id = p_player_id
+      )
+    )
+  RETURNING status INTO v_status;
+
+  IF NOT FOUND THEN
+    SELECT status INTO v_status FROM sessions WHERE id = p_session_id;
+  END IF;
+
+  RETURN v_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stale session sweep (run by the companion worker's cron trigger).
+--   open sessions idle for p_idle_minutes          -> pending_end (pending_end_at set)
+--   idle sessions unrevived after p_grace_minutes -> abandoned
+-- Both steps read the same snapshot, so a session moves at most one step per run.
+-- Returns one row per session changed.
+CREATE OR REPLACE FUNCTION expire_stale_sessions(p_idle_minutes INTEGER, p_grace_minutes INTEGER)
+RETURNS TABLE (
+  session_id UUID,
+  box_id VARCHAR(20),
+  universe_level INTEGER,
+  last_activity_at TIMESTAMPTZ,
+  new_status VARCHAR(20)
+) AS $$
+  WITH abandoned AS (
+    UPDATE sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    WHERE s.status = 'pending_end'
+      AND s.pending_end_at < NOW() - make_interval(mins => p_grace_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  ),
+  pending AS (
+    UPDATE sessions s
+    SET status = 'pending_end', pending_end_at = NOW()
+    WHERE s.status IN ('active', 'pending_end')
+      AND s.pending_end_at IS NULL
+      AND s.last_activity_at < NOW() - make_interval(mins => p_idle_minutes)
+    RETURNING s.id, s.box_id, s.universe_level, s.last_activity_at, s.status
+  )
+  SELECT * FROM abandoned
+  UNION ALL
+  SELECT * FROM pending;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION touch_session(UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION touch_session(UUID, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION expire_stale_sessions(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION expire_stale_sessions(INTEGER, INTEGER) TO service_role;
+
+-- Re-derive a player's best score on a level from score_history after a
+-- score changed: recomputes is_new_best along the player's runs and rewrites
+-- the progress_journal row (player_totals follows via its trigger).
+-- Runs rejected by moderation are skipped.
+-- Returns the new best (NULL if the player has no runs on the level).
+CREATE OR REPLACE FUNCTION rederive_level_best(p_player_id UUID, p_level INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_best score_history%ROWTYPE;
+BEGIN
+  UPDATE score_history sh
+  SET is_new_best = sh.moderation_status <> 'rejected'
+    AND (runs.previous_best IS NULL OR runs.final_nn > runs.previous_best)
+  FROM (
+    SELECT
+      id,
+      final_nn,
+      MAX(final_nn) FILTER (WHERE moderation_status <> 'rejected') OVER (
+        ORDER BY completed_at, id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+      ) AS previous_best
+    FROM score_history
+    WHERE player_id = p_player_id
+      AND universe_level = p_level
+  ) runs
+  WHERE sh.id = runs.id;
+
+  -- First run that reached the best score
+  SELECT * INTO v_best
+  FROM score_history
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+    AND moderation_status <> 'rejected'
+  ORDER BY final_nn DESC, completed_at ASC
+  LIMIT 1;
+
+  IF NOT FOUND THEN
+    DELETE FROM progress_journal
+    WHERE player_id = p_player_id
+      AND universe_level = p_level;
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO progress_journal (player_id, universe_level, best_nn, achieved_at, session_id)
+  VALUES (p_player_id, p_level, v_best.final_nn, v_best.completed_at, v_best.session_id)
+  ON CONFLICT (player_id, universe_level)
+  DO UPDATE SET
+    best_nn = EXCLUDED.best_nn,
+    achieved_at = EXCLUDED.achieved_at,
+    session_id = EXCLUDED.session_id;
+
+  RETURN v_best.final_nn;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Open a correction request for a player's score on a completed session.
+-- Returns the request as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION request_score_correction(
+  p_session_id UUID,
+  p_player_id UUID,
+  p_final_nn INTEGER,
+  p_reason VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_correction score_corrections%ROWTYPE;
+  v_confirmers INTEGER;
+  v_bounds_error JSONB;
+BEGIN
+  SELECT * INTO v_session FROM sessions WHERE id = p_session_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status <> 'completed' THEN
+    RETURN jsonb_build_object('error', 'session_not_completed');
+  END IF;
+
+  v_bounds_error := check_score_bounds(v_session.universe_level, p_final_nn);
+  IF v_bounds_error IS NOT NULL THEN
+    RETURN v_bounds_error;
+  END IF;
+
+  SELECT * INTO v_session_player
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  IF v_session_player.final_nn IS NOT DISTINCT FROM p_final_nn THEN
+    RETURN jsonb_build_object('error', 'score_unchanged');
+  END IF;
+
+  SELECT COUNT(*) INTO v_confirmers
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id <> p_player_id;
+
+  IF v_confirmers = 0 THEN
+    RETURN jsonb_build_object('error', 'no_confirmers');
+  END IF;
+
+  BEGIN
+    INSERT INTO score_corrections (session_id, player_id, previous_final_nn, requested_final_nn, reason)
+    VALUES (p_session_id, p_player_id, v_session_player.final_nn, p_final_nn, p_reason)
+    RETURNING * INTO v_correction;
+  EXCEPTION WHEN unique_violation THEN
+    -- idx_score_corrections_pending
+    RETURN jsonb_build_object('error', 'correction_pending');
+  END;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id, 'score_correction.requested', 'score_correction', v_correction.id::TEXT,
+    jsonb_build_object(
+      'session_id', p_session_id,
+      'previous_final_nn', v_correction.previous_final_nn,
+      'requested_final_nn', p_final_nn,
+      'reason', p_reason
+    ));
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'confirmations_required', v_confirmers
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Another player of the session approves or rejects a correction request.
+-- One rejection closes the request; once every other player has approved,
+-- the score is corrected, score_history and progress_journal re-derived and
+-- the change recorded in audit_log, all in this transaction.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION respond_to_score_correction(
+  p_correction_id UUID,
+  p_player_id UUID,
+  p_approve BOOLEAN
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_correction score_corrections%ROWTYPE;
+  v_session sessions%ROWTYPE;
+  v_required INTEGER;
+  v_approvals INTEGER;
+  v_previous_best INTEGER;
+  v_new_best INTEGER;
+BEGIN
+  SELECT * INTO v_correction
+  FROM score_corrections
+  WHERE id = p_correction_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'correction_not_found');
+  END IF;
+
+  IF v_correction.status <> 'pending' THEN
+    RETURN jsonb_build_object('error', 'correction_closed');
+  END IF;
+
+  IF p_player_id = v_correction.player_id OR NOT EXISTS (
+    SELECT 1 FROM session_players
+    WHERE session_id = v_correction.session_id
+      AND player_id = p_player_id
+  ) THEN
+    RETURN jsonb_build_object('error', 'not_a_confirmer');
+  END IF;
+
+  INSERT INTO score_correction_responses (correction_id, player_id, approved)
+  VALUES (p_correction_id, p_player_id, p_approve)
+  ON CONFLICT (correction_id, player_id)
+  DO UPDATE SET approved = EXCLUDED.approved, responded_at = NOW();
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_player_id,
+    CASE WHEN p_approve THEN 'score_correction.approved' ELSE 'score_correction.rejected' END,
+    'score_correction', p_correction_id::TEXT,
+    jsonb_build_object('session_id', v_correction.session_id));
+
+  SELECT COUNT(*) INTO v_required
+  FROM session_players
+  WHERE session_id = v_correction.session_id
+    AND player_id <> v_correction.player_id;
+
+  SELECT COUNT(*) INTO v_approvals
+  FROM score_correction_responses r
+  JOIN session_players sp
+    ON sp.session_id = v_correction.session_id
+    AND sp.player_id = r.player_id
+  WHERE r.correction_id = p_correction_id
+    AND r.approved;
+
+  IF NOT p_approve THEN
+    UPDATE score_corrections
+    SET status = 'rejected', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+  ELSIF v_approvals >= v_required THEN
+    SELECT * INTO v_session FROM sessions WHERE id = v_correction.session_id;
+
+    SELECT best_nn INTO v_previous_best
+    FROM progress_journal
+    WHERE player_id = v_correction.player_id
+      AND universe_level = v_session.universe_level;
+
+    -- Every other player approved, which also settles a held-back score
+    UPDATE session_players
+    SET final_nn = v_correction.requested_final_nn, score_status = 'confirmed'
+    WHERE session_id = v_correction.session_id
+      AND player_id = v_correction.player_id;
+
+    INSERT INTO score_history (
+      player_id, session_id, universe_level, box_id,
+      starting_nn, final_nn, color, completed_at
+    )
+    SELECT
+      sp.player_id, v_session.id, v_session.universe_level, v_session.box_id,
+      COALESCE(sp.starting_nn, 0), sp.final_nn, sp.race,
+      COALESCE(v_session.ended_at, NOW())
+    FROM session_players sp
+    WHERE sp.session_id = v_correction.session_id
+      AND sp.player_id = v_correction.player_id
+    ON CONFLICT (session_id, player_id)
+    DO UPDATE SET final_nn = EXCLUDED.final_nn;
+
+    v_new_best := rederive_level_best(v_correction.player_id, v_session.universe_level);
+
+    UPDATE score_corrections
+    SET status = 'applied', resolved_at = NOW()
+    WHERE id = p_correction_id
+    RETURNING * INTO v_correction;
+
+    INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+    VALUES (v_correction.player_id, 'score_correction.applied', 'score_correction', p_correction_id::TEXT,
+      jsonb_build_object(
+        'session_id', v_correction.session_id,
+        'universe_level', v_session.universe_level,
+        'previous_final_nn', v_correction.previous_final_nn,
+        'final_nn', v_correction.requested_final_nn,
+        'previous_best_nn', v_previous_best,
+        'best_nn', v_new_best
+      ));
+  END IF;
+
+  RETURN jsonb_build_object(
+    'correction', to_jsonb(v_correction),
+    'approvals', v_approvals,
+    'confirmations_required', v_required
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION rederive_level_best(UUID, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION request_score_correction(UUID, UUID, INTEGER, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION request_score_correction(UUID, UUID, INTEGER, VARCHAR) TO service_role;
+REVOKE EXECUTE ON FUNCTION respond_to_score_correction(UUID, UUID, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION respond_to_score_correction(UUID, UUID, BOOLEAN) TO service_role;
+
+-- Confirm or dispute another player's submitted score (table confirmation).
+-- Any other player of the session reviews a pending score; a disputed score
+-- is flagged for the host, who alone can still confirm it. Confirming the
+-- last pending score completes an open session (as submit_session_score
+-- does); confirming after completion records the score and re-derives the
+-- player's best. Resubmitting a score starts its review over.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION review_session_score(
+  p_session_id UUID,
+  p_reviewer_id UUID,
+  p_player_id UUID,
+  p_confirm BOOLEAN,
+  p_reason VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_session sessions%ROWTYPE;
+  v_session_player session_players%ROWTYPE;
+  v_next_session sessions%ROWTYPE;
+  v_total INTEGER;
+  v_submitted INTEGER;
+  v_pending INTEGER;
+  v_completed BOOLEAN := FALSE;
+BEGIN
+  SELECT * INTO v_session
+  FROM sessions
+  WHERE id = p_session_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'session_not_found');
+  END IF;
+
+  IF v_session.status = 'abandoned' THEN
+    RETURN jsonb_build_object('error', 'session_not_active');
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM session_players
+    WHERE session_id = p_session_id
+      AND player_id = p_reviewer_id
+  ) THEN
+    RETURN jsonb_build_object('error', 'reviewer_not_in_session');
+  END IF;
+
+  IF p_reviewer_id = p_player_id THEN
+    RETURN jsonb_build_object('error', 'cannot_review_own_score');
+  END IF;
+
+  SELECT * INTO v_session_player
+  FROM session_players
+  WHERE session_id = p_session_id
+    AND player_id = p_player_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'player_not_in_session');
+  END IF;
+
+  IF v_session_player.final_nn IS NULL THEN
+    RETURN jsonb_build_object('error', 'score_not_submitted');
+  END IF;
+
+  IF v_session_player.score_status = 'confirmed' THEN
+    RETURN jsonb_build_object('error', 'score_already_confirmed');
+  END IF;
+
+  IF v_session_player.score_status = 'disputed' THEN
+    IF NOT p_confirm THEN
+      RETURN jsonb_build_object('error', 'score_already_disputed');
+    END IF;
+    IF v_session.host_player_id IS DISTINCT FROM p_reviewer_id THEN
+      RETURN jsonb_build_object('error', 'not_host');
+    END IF;
+  END IF;
+
+  UPDATE session_players
+  SET
+    score_status = CASE WHEN p_confirm THEN 'confirmed' ELSE 'disputed' END,
+    score_reviewed_by = p_reviewer_id,
+    score_reviewed_at = NOW(),
+    dispute_reason = CASE WHEN p_confirm THEN NULL ELSE p_reason END
+  WHERE id = v_session_player.id
+  RETURNING * INTO v_session_player;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_reviewer_id,
+    CASE WHEN p_confirm THEN 'session_score.confirmed' ELSE 'session_score.disputed' END,
+    'session_player', v_session_player.id::TEXT,
+    jsonb_build_object(
+      'session_id', p_session_id,
+      'player_id', p_player_id,
+      'final_nn', v_session_player.final_nn,
+      'reason', p_reason
+    ));
+
+  IF v_session.status = 'completed' THEN
+    -- Held back when the session completed; record it now
+    IF p_confirm THEN
+      INSERT INTO score_history (
+        player_id, session_id, universe_level, box_id,
+        starting_nn, final_nn, color, completed_at
+      )
+      VALUES (
+        p_player_id, p_session_id, v_session.universe_level, v_session.box_id,
+        COALESCE(v_session_player.starting_nn, 0), v_session_player.final_nn, v_session_player.race,
+        COALESCE(v_session.ended_at, NOW())
+      )
+      ON CONFLICT (session_id, player_id)
+      DO UPDATE SET final_nn = EXCLUDED.final_nn;
+
+      PERFORM rederive_level_best(p_player_id, v_session.universe_level);
+    END IF;
+  END IF;
+
+  SELECT COUNT(*), COUNT(final_nn), COUNT(*) FILTER (WHERE final_nn IS NOT NULL AND score_status = 'pending')
+  INTO v_total, v_submitted, v_pending
+  FROM session_players
+  WHERE session_id = p_session_id;
+
+  IF v_session.status IN ('active', 'pending_end') AND v_submitted = v_total AND v_pending = 0 THEN
+    v_next_session := complete_session(p_session_id);
+    v_completed := TRUE;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'session_player', to_jsonb(v_session_player),
+    'submitted_count', v_submitted,
+    'pending_count', v_pending,
+    'total_players', v_total,
+    'session_completed', v_completed,
+    'next_session', CASE
+      WHEN v_next_session.id IS NULL THEN NULL
+      ELSE jsonb_build_object('id', v_next_session.id, 'universe_level', v_next_session.universe_level)
+    END
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION review_session_score(UUID, UUID, UUID, BOOLEAN, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION review_session_score(UUID, UUID, UUID, BOOLEAN, VARCHAR) TO service_role;
+
+-- Admin decision on a flagged score:
+--   approve - the score stays visible
+--   hide    - shadow-hidden: left out of the level leaderboards, still
+--             shown to the player
+--   reject  - the run no longer counts; the player's best is re-derived
+-- Flags can be decided again (e.g. approving a hidden score restores it).
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION moderate_score_flag(
+  p_flag_id UUID,
+  p_admin_id UUID,
+  p_action VARCHAR,
+  p_note VARCHAR DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_flag score_flags%ROWTYPE;
+  v_previous_status VARCHAR(20);
+  v_best INTEGER;
+BEGIN
+  IF p_action NOT IN ('approve', 'hide', 'reject') THEN
+    RETURN jsonb_build_object('error', 'invalid_action');
+  END IF;
+
+  SELECT * INTO v_flag
+  FROM score_flags
+  WHERE id = p_flag_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'flag_not_found');
+  END IF;
+
+  v_previous_status := v_flag.status;
+
+  UPDATE score_history
+  SET moderation_status = CASE p_action
+    WHEN 'approve' THEN 'visible'
+    WHEN 'hide' THEN 'hidden'
+    ELSE 'rejected'
+  END
+  WHERE id = v_flag.score_history_id;
+
+  UPDATE score_flags
+  SET
+    status = CASE p_action
+      WHEN 'approve' THEN 'approved'
+      WHEN 'hide' THEN 'hidden'
+      ELSE 'rejected'
+    END,
+    reviewed_by = p_admin_id,
+    reviewed_at = NOW(),
+    review_note = p_note
+  WHERE id = p_flag_id
+  RETURNING * INTO v_flag;
+
+  -- Rejecting (or un-rejecting) a run can change the player's best
+  v_best := rederive_level_best(v_flag.player_id, v_flag.universe_level);
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'score_flag.' || v_flag.status, 'score_flag', p_flag_id::TEXT,
+    jsonb_build_object(
+      'player_id', v_flag.player_id,
+      'session_id', v_flag.session_id,
+      'universe_level', v_flag.universe_level,
+      'final_nn', v_flag.final_nn,
+      'previous_status', v_previous_status,
+      'best_nn', v_best,
+      'note', p_note
+    ));
+
+  RETURN jsonb_build_object(
+    'flag', to_jsonb(v_flag),
+    'best_nn', v_best
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION check_score_bounds(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION moderate_score_flag(UUID, UUID, VARCHAR, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION moderate_score_flag(UUID, UUID, VARCHAR, VARCHAR) TO service_role;
+
+-- Admin: merge a duplicate player (p_source_id) into p_target_id and delete
+-- the duplicate. Sessions, scores, boxes, claims, corrections, flags and
+-- audit entries move to the target; where both played the same session the
+-- target's row is kept. The target's bests are re-derived from the merged
+-- score history, and it takes over the duplicate's email if it has none.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION merge_players(p_source_id UUID, p_target_id UUID, p_admin_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_source players%ROWTYPE;
+  v_target players%ROWTYPE;
+  v_levels INTEGER[];
+  v_level INTEGER;
+  v_sessions INTEGER;
+  v_scores INTEGER;
+BEGIN
+  IF p_source_id = p_target_id THEN
+    RETURN jsonb_build_object('error', 'same_player');
+  END IF;
+
+  -- Lock both players in a stable order
+  PERFORM 1 FROM players
+  WHERE id IN (p_source_id, p_target_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT * INTO v_source FROM players WHERE id = p_source_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'source_not_found');
+  END IF;
+
+  SELECT * INTO v_target FROM players WHERE id = p_target_id;
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'target_not_found');
+  END IF;
+
+  SELECT ARRAY(
+    SELECT DISTINCT universe_level FROM (
+      SELECT universe_level FROM score_history WHERE player_id = p_source_id
+      UNION
+      SELECT universe_level FROM progress_journal WHERE player_id = p_source_id
+    ) levels
+  ) INTO v_levels;
+
+  -- Sessions (the target's row wins where both played)
+  DELETE FROM session_players sp
+  WHERE sp.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM session_players t
+      WHERE t.session_id = sp.session_id AND t.player_id = p_target_id
+    );
+  UPDATE session_players SET player_id = p_target_id WHERE player_id = p_source_id;
+  GET DIAGNOSTICS v_sessions = ROW_COUNT;
+  UPDATE session_players SET score_reviewed_by = p_target_id WHERE score_reviewed_by = p_source_id;
+  UPDATE sessions SET host_player_id = p_target_id WHERE host_player_id = p_source_id;
+
+  -- Score history (same rule)
+  DELETE FROM score_history sh
+  WHERE sh.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM score_history t
+      WHERE t.session_id = sh.session_id AND t.player_id = p_target_id
+    );
+  UPDATE score_history SET player_id = p_target_id WHERE player_id = p_source_id;
+  GET DIAGNOSTICS v_scores = ROW_COUNT;
+
+  -- Bests are rebuilt from the merged history below
+  DELETE FROM progress_journal WHERE player_id = p_source_id;
+
+  -- Boxes and claims
+  UPDATE game_boxes SET owner_player_id = p_target_id WHERE owner_player_id = p_source_id;
+  UPDATE box_claims SET player_id = p_target_id WHERE player_id = p_source_id;
+  DELETE FROM magic_tokens WHERE player_id = p_source_id;
+
+  -- Corrections: close the duplicate's open requests, keep the target's responses
+  UPDATE score_corrections
+  SET status = 'rejected', resolved_at = NOW()
+  WHERE player_id = p_source_id AND status = 'pending';
+  UPDATE score_corrections SET player_id = p_target_id WHERE player_id = p_source_id;
+  DELETE FROM score_correction_responses r
+  WHERE r.player_id = p_source_id
+    AND EXISTS (
+      SELECT 1 FROM score_correction_responses t
+      WHERE t.correction_id = r.correction_id AND t.player_id = p_target_id
+    );
+  UPDATE score_correction_responses SET player_id = p_target_id WHERE player_id = p_source_id;
+
+  -- Moderation and audit trail
+  UPDATE score_flags SET player_id = p_target_id WHERE player_id = p_source_id;
+  UPDATE score_flags SET reviewed_by = p_target_id WHERE reviewed_by = p_source_id;
+  UPDATE audit_log SET actor_player_id = p_target_id WHERE actor_player_id = p_source_id;
+
+  FOREACH v_level IN ARRAY v_levels LOOP
+    PERFORM rederive_level_best(p_target_id, v_level);
+  END LOOP;
+
+  DELETE FROM players WHERE id = p_source_id;
+
+  -- A guest target keeps the duplicate's sign-in email
+  IF v_target.email IS NULL AND v_source.email IS NOT NULL THEN
+    UPDATE players
+    SET email = v_source.email, is_guest = FALSE
+    WHERE id = p_target_id
+    RETURNING * INTO v_target;
+  END IF;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'player.merged', 'player', p_target_id::TEXT,
+    jsonb_build_object(
+      'source_player_id', p_source_id,
+      'source_display_name', v_source.display_name,
+      'source_email', v_source.email,
+      'sessions_moved', v_sessions,
+      'scores_moved', v_scores
+    ));
+
+  RETURN jsonb_build_object(
+    'player', to_jsonb(v_target),
+    'sessions_moved', v_sessions,
+    'scores_moved', v_scores
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admin: remove a fraudulent best score. Every run of the player on the level
+-- is rejected (as in moderation) and the progress_journal entry deleted;
+-- player_totals follows via its trigger.
+-- Returns the new state as JSON, or { "error": <code> } for expected failures.
+CREATE OR REPLACE FUNCTION delete_progress_entry(p_player_id UUID, p_level INTEGER, p_admin_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_entry progress_journal%ROWTYPE;
+  v_runs INTEGER;
+BEGIN
+  DELETE FROM progress_journal
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+  RETURNING * INTO v_entry;
+
+  IF NOT FOUND THEN
+    RETURN jsonb_build_object('error', 'entry_not_found');
+  END IF;
+
+  UPDATE score_history
+  SET moderation_status = 'rejected', is_new_best = FALSE
+  WHERE player_id = p_player_id
+    AND universe_level = p_level
+    AND moderation_status <> 'rejected';
+  GET DIAGNOSTICS v_runs = ROW_COUNT;
+
+  INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+  VALUES (p_admin_id, 'progress.deleted', 'player', p_player_id::TEXT,
+    jsonb_build_object(
+      'universe_level', p_level,
+      'best_nn', v_entry.best_nn,
+      'session_id', v_entry.session_id,
+      'achieved_at', v_entry.achieved_at,
+      'runs_rejected', v_runs
+    ));
+
+  RETURN jsonb_build_object(
+    'entry', to_jsonb(v_entry),
+    'runs_rejected', v_runs
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Admin: abandon whatever open session holds a box (e.g. one stuck after a
+-- crash), so a new game can start right away.
+-- Returns one row per session abandoned.
+CREATE OR REPLACE FUNCTION reset_box_session(p_box_id VARCHAR, p_admin_id UUID)
+RETURNS TABLE (
+  session_id UUID,
+  universe_level INTEGER,
+  previous_status VARCHAR(20)
+) AS $$
+  WITH reset AS (
+    UPDATE sessions s
+    SET status = 'abandoned', ended_at = NOW()
+    FROM sessions prev
+    WHERE s.id = prev.id
+      AND s.box_id = p_box_id
+      AND s.status IN ('active', 'pending_end')
+    RETURNING s.id, s.universe_level, prev.status AS previous_status
+  ),
+  audit AS (
+    INSERT INTO audit_log (actor_player_id, action, entity_type, entity_id, details)
+    SELECT p_admin_id, 'box.session_reset', 'box', p_box_id,
+      jsonb_build_object('session_id', r.id, 'universe_level', r.universe_level, 'previous_status', r.previous_status)
+    FROM reset r
+  )
+  SELECT * FROM reset;
+$$ LANGUAGE sql;
+
+REVOKE EXECUTE ON FUNCTION merge_players(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION merge_players(UUID, UUID, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION delete_progress_entry(UUID, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION delete_progress_entry(UUID, INTEGER, UUID) TO service_role;
+REVOKE EXECUTE ON FUNCTION reset_box_session(VARCHAR, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION reset_box_session(VARCHAR, UUID) TO service_role;
+
+-- Per-level leaderboard over sessions completed since p_since.
+-- Uses each player's best final_nn in the window (first time reached as tiebreak);
+-- columns match level_leaderboard. Reads score_history, so held-back scores
+-- never count and runs hidden or rejected by moderation are skipped.
+CREATE OR REPLACE FUNCTION level_leaderboard_since(p_level INTEGER, p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  universe_level INTEGER,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  best_nn INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH bests AS (
+    SELECT DISTINCT ON (sh.player_id)
+      sh.player_id,
+      sh.final_nn AS best_nn,
+      sh.completed_at AS achieved_at
+    FROM score_history sh
+    WHERE sh.universe_level = p_level
+      AND sh.completed_at >= p_since
+      AND sh.moderation_status = 'visible'
+    ORDER BY sh.player_id, sh.final_nn DESC, sh.completed_at ASC
+  )
+  SELECT
+    RANK() OVER (ORDER BY b.best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY b.best_nn DESC),
+    COUNT(*) OVER (PARTITION BY b.best_nn),
+    p_level,
+    b.player_id,
+    p.display_name,
+    p.is_guest,
+    b.best_nn,
+    b.achieved_at
+  FROM bests b
+  JOIN players p ON p.id = b.player_id;
+$$ LANGUAGE sql STABLE;
+
+-- Global leaderboard over sessions completed since p_since.
+-- Totals sum each player's best final_nn per level in the window;
+-- columns match global_leaderboard. Like global_leaderboard it skips only
+-- runs rejected by moderation.
+CREATE OR REPLACE FUNCTION global_leaderboard_since(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  rank BIGINT,
+  dense_rank BIGINT,
+  tie_count BIGINT,
+  player_id UUID,
+  display_name VARCHAR(50),
+  is_guest BOOLEAN,
+  total_best_nn INTEGER,
+  levels_completed INTEGER,
+  highest_level INTEGER,
+  achieved_at TIMESTAMPTZ
+) AS $$
+  WITH level_bests AS (
+    SELECT DISTINCT ON (sh.player_id, sh.universe_level)
+      sh.player_id,
+      sh.universe_level,
+      sh.final_nn AS best_nn,
+      sh.completed_at AS achieved_at
+    FROM score_history sh
+    WHERE sh.completed_at >= p_since
+      AND sh.moderation_status <> 'rejected'
+    ORDER BY sh.player_id, sh.universe_level, sh.final_nn DESC, sh.completed_at ASC
+  ),
+  totals AS (
+    SELECT
+      lb.player_id,
+      SUM(lb.best_nn)::INTEGER AS total_best_nn,
+      COUNT(*)::INTEGER AS levels_completed,
+      MAX(lb.universe_level) AS highest_level,
+      MAX(lb.achieved_at) AS achieved_at
+    FROM level_bests lb
+    GROUP BY lb.player_id
+  )
+  SELECT
+    RANK() OVER (ORDER BY t.total_best_nn DESC),
+    DENSE_RANK() OVER (ORDER BY t.total_best_nn DESC),
+    COUNT(*) OVER (PARTITION BY t.total_best_nn),
+    t.player_id,
+    p.display_name,
+    p.is_guest,
+    t.total_best_nn,
+    t.levels_completed,
+    t.highest_level,
+    t.achieved_at
+  FROM totals t
+  JOIN players p ON p.id = t.player_id;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,74 @@
+/**
+ * Middleware for every request handled by Pages Functions
+ * API requests get a request ID (context.data.requestId, returned as
+ * X-Request-Id and in JSON error bodies as error.requestId, and logged with
+ * every entry), CORS preflight handling and CORS headers, and a JSON 500 for
+ * anything a handler throws. Static pages pass through.
+ */
+
+import { errorResponse, handleCors, withCors } from './_shared/response.js';
+import { createLogger } from './_shared/log.js';
+
+export async function onRequest(context) {
+  const { request, env } = context;
+  const { pathname } = new URL(request.url);
+
+  if (!pathname.startsWith('/api/')) {
+    return context.next();
+  }
+
+  const requestId = crypto.randomUUID();
+  context.data.requestId = requestId;
+
+  if (request.method === 'OPTIONS') {
+    const preflight = handleCors(request, env);
+    preflight.headers.set('X-Request-Id', requestId);
+    return preflight;
+  }
+
+  let response;
+  try {
+    response = await context.next();
+  } catch (error) {
+    createLogger({ requestId, method: request.method, path: pathname }).error('request-failed', { error });
+    response = errorResponse('Internal server error', 500);
+  }
+
+  // 101 responses carry a WebSocket and must be returned untouched
+  if (response.status === 101) {
+    return response;
+  }
+
+  if (response.status >= 400) {
+    response = await withErrorRequestId(response, requestId);
+  }
+
+  const corsResponse = withCors(response, request, env);
+  corsResponse.headers.set('X-Request-Id', requestId);
+  return corsResponse;
+}
+
+/**
+ * Add the request ID to a JSON error body ({ error: { ... } }), so users can
+ * quote it when reporting a problem
+ * @param {Response} response - Error response
+ * @param {string} requestId - Request ID
+ * @returns {Promise<Response>}
+ */
+async function withErrorRequestId(response, requestId) {
+  if (!response.headers.get('Content-Type')?.includes('application/json')) {
+    return response;
+  }
+
+  const data = await response.clone().json().catch(() => null);
+  if (!data?.error || typeof data.error !== 'object') {
+    return response;
+  }
+
+  data.error.requestId = requestId;
+  return new Response(JSON.stringify(data), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
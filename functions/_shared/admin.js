@@ -0,0 +1,38 @@
+/**
+ * Admin access for the /api/admin/* endpoints.
+ * Admins are signed-in players whose players.role is 'admin' (granted in the
+ * database). The role is read from the database on every request rather than
+ * trusted from the auth token, so revoking it takes effect immediately.
+ */
+
+import { getActingPlayer } from './auth.js';
+
+/**
+ * Resolve the signed-in admin
+ * @param {Object} supabase - Supabase client
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{player: Object|null, error: string|null, status: number}>}
+ */
+export async function requireAdmin(supabase, request, env) {
+  const acting = await getActingPlayer(request, env);
+  if (!acting.player) {
+    return acting;
+  }
+
+  const { data: player, error } = await supabase
+    .from('players')
+    .select('id, display_name, email, is_guest, role')
+    .eq('id', acting.player.id)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  if (!player || player.is_guest || player.role !== 'admin') {
+    return { player: null, error: 'Admin access required', status: 403 };
+  }
+
+  return { player, error: null, status: 200 };
+}
@@ -6,9 +6,14 @@ import * as jose from 'jose';
 
 const TOKEN_COOKIE_NAME = 'auth_token';
 const TOKEN_EXPIRY = '7d';
+const TOKEN_MAX_AGE = 7 * 24 * 60 * 60;
+
+// Guests have no email to sign back in with, so their identity lives longer
+const GUEST_TOKEN_EXPIRY = '365d';
+export const GUEST_TOKEN_MAX_AGE = 365 * 24 * 60 * 60;
 
 /**
- * Create a signed JWT token for a player
+ * Create a signed JWT token for a player (guests get a longer-lived token)
  * @param {Object} player - Player data
  * @param {string} secret - JWT secret
  * @returns {Promise<string>} - Signed JWT token
@@ -23,7 +28,7 @@ export async function createAuthToken(player, secret) {
   })
     .setProtectedHeader({ alg: 'HS256' })
     .setIssuedAt()
-    .setExpirationTime(TOKEN_EXPIRY)
+    .setExpirationTime(player.is_guest ? GUEST_TOKEN_EXPIRY : TOKEN_EXPIRY)
     .sign(secretKey);
 
   return token;
@@ -67,13 +72,14 @@ export function getTokenFromCookies(request) {
  * Create Set-Cookie header for auth token
  * @param {string} token - JWT token
  * @param {Object} env - Environment variables
+ * @param {number} maxAge - Cookie lifetime in seconds
  * @returns {string} - Set-Cookie header value
  */
-export function createAuthCookie(token, env) {
+export function createAuthCookie(token, env, maxAge = TOKEN_MAX_AGE) {
   const domain = env.COOKIE_DOMAIN || 'localhost';
   const secure = env.APP_URL?.startsWith('https') ? 'Secure; ' : '';
 
-  return `${TOKEN_COOKIE_NAME}=${token}; HttpOnly; ${secure}SameSite=Lax; Path=/; Max-Age=${7 * 24 * 60 * 60}${domain !== 'localhost' ? `; Domain=${domain}` : ''}`;
+  return `${TOKEN_COOKIE_NAME}=${token}; HttpOnly; ${secure}SameSite=Lax; Path=/; Max-Age=${maxAge}${domain !== 'localhost' ? `; Domain=${domain}` : ''}`;
 }
 
 /**
@@ -104,4 +110,27 @@ export async function getCurrentPlayer(request, env) {
     displayName: payload.name,
     isGuest: payload.isGuest,
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Resolve the player performing an action from the auth cookie.
+ * A playerId supplied by the client is only accepted when it matches the
+ * signed token, so one player cannot act on behalf of another.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string|null} claimedPlayerId - Optional playerId sent by the client
+ * @returns {Promise<{player: Object|null, error: string|null, status: number}>}
+ */
+export async function getActingPlayer(request, env, claimedPlayerId = null) {
+  const player = await getCurrentPlayer(request, env);
+
+  if (!player) {
+    return { player: null, error: 'Authentication required', status: 401 };
+  }
+
+  if (claimedPlayerId && claimedPlayerId !== player.id) {
+    return { player: null, error: 'playerId does not match the signed-in player', status: 403 };
+  }
+
+  return { player, error: null, status: 200 };
+}
@@ -0,0 +1,116 @@
+/**
+ * Box ID format and issuance checks
+ * Canonical format: NE-YYYY-NNNNN, where the last digit is a Luhn check
+ * digit over YYYY + the first four serial digits (e.g. NE-2026-00003).
+ * Boxes in use before the format existed are issued with batch 'legacy'
+ * (migration 007) and stay valid even though they fail the format check.
+ * Keep in sync with public/js/box-id.js.
+ */
+
+const BOX_ID_PATTERN = /^NE-(\d{4})-(\d{4})(\d)$/;
+
+// issued_box_ids.box_id is VARCHAR(20); nothing longer can have been issued
+const MAX_BOX_ID_LENGTH = 20;
+
+const UNKNOWN_BOX_MESSAGE = 'Unknown box ID - please double-check the code on your box';
+
+/**
+ * Normalize user or QR input: trim, uppercase, drop spaces
+ * @param {string} input - Raw box ID
+ * @returns {string} - Normalized box ID
+ */
+export function normalizeBoxId(input) {
+  return String(input || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Compute the Luhn check digit for a digit string
+ * @param {string} digits - Payload digits
+ * @returns {number} - Check digit (0-9)
+ */
+export function computeCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    // Double every second digit, starting with the rightmost payload digit
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Normalize and validate a box ID
+ * @param {string} input - Raw box ID
+ * @returns {{boxId: string, error: string|null}}
+ */
+export function validateBoxId(input) {
+  const boxId = normalizeBoxId(input);
+  const match = BOX_ID_PATTERN.exec(boxId);
+
+  if (!match) {
+    return { boxId, error: 'Invalid box ID format. Expected: NE-YYYY-NNNNN' };
+  }
+
+  const [, year, serial, check] = match;
+  if (computeCheckDigit(year + serial) !== Number(check)) {
+    return { boxId, error: 'Invalid box ID - please double-check the code on your box' };
+  }
+
+  return { boxId, error: null };
+}
+
+/**
+ * Build a box ID with its check digit
+ * @param {number} year - Print year
+ * @param {number} serial - Serial number (0-9999)
+ * @returns {string} - Box ID
+ */
+export function formatBoxId(year, serial) {
+  const payload = `${String(year).padStart(4, '0')}${String(serial).padStart(4, '0')}`;
+  return `NE-${payload.slice(0, 4)}-${payload.slice(4)}${computeCheckDigit(payload)}`;
+}
+
+/**
+ * Check whether the publisher issued (printed) a box ID
+ * @param {Object} supabase - Supabase client
+ * @param {string} boxId - Normalized box ID
+ * @returns {Promise<boolean>}
+ */
+export async function isIssuedBoxId(supabase, boxId) {
+  const { data, error } = await supabase
+    .from('issued_box_ids')
+    .select('box_id')
+    .eq('box_id', boxId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return !!data;
+}
+
+/**
+ * Normalize a box ID from a request and check the publisher issued it
+ * Issued IDs are accepted even when they fail the format check (legacy
+ * boxes); other IDs get the format error, or 404 if they are well formed
+ * but were never issued.
+ * @param {Object} supabase - Supabase client
+ * @param {string} input - Raw box ID
+ * @returns {Promise<{boxId: string, error: string|null, status: number}>}
+ */
+export async function resolveIssuedBoxId(supabase, input) {
+  const { boxId, error } = validateBoxId(input);
+
+  if (boxId && boxId.length <= MAX_BOX_ID_LENGTH && await isIssuedBoxId(supabase, boxId)) {
+    return { boxId, error: null, status: 200 };
+  }
+
+  return error
+    ? { boxId, error, status: 400 }
+    : { boxId, error: UNKNOWN_BOX_MESSAGE, status: 404 };
+}
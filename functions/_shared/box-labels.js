@@ -0,0 +1,84 @@
+/**
+ * Printable box QR codes and label sheets
+ * Each QR deep-links to the start page: `${APP_URL}/?box=NE-YYYY-NNNNN`.
+ */
+
+import { encodeQr, qrToSvgPath } from './qr.js';
+
+// Quiet zone around each code, in modules (spec minimum)
+const QR_BORDER = 4;
+
+// Label sheet layout in millimetres (fits A4 width)
+const SHEET_WIDTH_MM = 210;
+const SHEET_MARGIN_MM = 10;
+const SHEET_COLUMNS = 4;
+const LABEL_WIDTH_MM = 47.5;
+const LABEL_HEIGHT_MM = 57;
+const LABEL_QR_MM = 40;
+
+/**
+ * Build the join URL a box QR code points to
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string} boxId - Normalized box ID
+ * @returns {string} - Join URL
+ */
+export function getBoxJoinUrl(request, env, boxId) {
+  const appOrigin = env.APP_URL || new URL(request.url).origin;
+  return `${appOrigin}/?box=${encodeURIComponent(boxId)}`;
+}
+
+/**
+ * Render a single box QR code, optionally with the box ID printed below
+ * @param {string} boxId - Normalized box ID
+ * @param {string} joinUrl - URL encoded in the QR
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.label - Print the box ID under the code
+ * @returns {string} - SVG document
+ */
+export function renderBoxQrSvg(boxId, joinUrl, { label = false } = {}) {
+  const modules = encodeQr(joinUrl, 'M');
+  const size = modules.length + QR_BORDER * 2;
+  const labelHeight = label ? 6 : 0;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size + labelHeight}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<path d="${qrToSvgPath(modules, QR_BORDER, QR_BORDER)}" fill="#000000"/>`
+    + (label
+      ? `<text x="${size / 2}" y="${size + 2}" font-family="monospace" font-size="3.2" font-weight="bold" text-anchor="middle">${boxId}</text>`
+      : '')
+    + '</svg>';
+}
+
+/**
+ * Render a sheet of cut-out labels (QR + box ID) for printing
+ * @param {Array<{boxId: string, joinUrl: string}>} labels - Labels in print order
+ * @returns {string} - SVG document sized in millimetres
+ */
+export function renderLabelSheetSvg(labels) {
+  const rows = Math.ceil(labels.length / SHEET_COLUMNS);
+  const height = rows * LABEL_HEIGHT_MM + SHEET_MARGIN_MM * 2;
+
+  const cells = labels.map(({ boxId, joinUrl }, index) => {
+    const x = SHEET_MARGIN_MM + (index % SHEET_COLUMNS) * LABEL_WIDTH_MM;
+    const y = SHEET_MARGIN_MM + Math.floor(index / SHEET_COLUMNS) * LABEL_HEIGHT_MM;
+
+    const modules = encodeQr(joinUrl, 'M');
+    const size = modules.length + QR_BORDER * 2;
+    const scale = LABEL_QR_MM / size;
+    const qrX = x + (LABEL_WIDTH_MM - LABEL_QR_MM) / 2;
+    const qrY = y + 3;
+
+    return `<g>`
+      + `<rect x="${x}" y="${y}" width="${LABEL_WIDTH_MM}" height="${LABEL_HEIGHT_MM}" fill="none" stroke="#cccccc" stroke-width="0.2" stroke-dasharray="1,1"/>`
+      + `<path transform="translate(${qrX.toFixed(3)},${qrY.toFixed(3)}) scale(${scale.toFixed(5)})" d="${qrToSvgPath(modules, QR_BORDER, QR_BORDER)}" fill="#000000"/>`
+      + `<text x="${x + LABEL_WIDTH_MM / 2}" y="${qrY + LABEL_QR_MM + 6}" font-family="monospace" font-size="4" font-weight="bold" text-anchor="middle">${boxId}</text>`
+      + `<text x="${x + LABEL_WIDTH_MM / 2}" y="${qrY + LABEL_QR_MM + 10.5}" font-family="sans-serif" font-size="2.6" fill="#555555" text-anchor="middle">Scan to record your Nn</text>`
+      + `</g>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${SHEET_WIDTH_MM}mm" height="${height}mm" viewBox="0 0 ${SHEET_WIDTH_MM} ${height}">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + cells
+    + '</svg>';
+}
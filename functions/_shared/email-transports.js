@@ -0,0 +1,164 @@
+/**
+ * Email transports
+ * EMAIL_TRANSPORT picks how sendEmail (_shared/email.js) delivers a message:
+ *   - resend (default): Resend API (RESEND_API_KEY)
+ *   - smtp-http: an HTTP-to-SMTP relay (SMTP_HTTP_URL, optional
+ *     SMTP_HTTP_TOKEN) that accepts the message as JSON
+ *   - outbox: stored in the email_outbox table and listed by /api/dev/outbox,
+ *     so auth flows work offline and in CI. The outbox holds working sign-in
+ *     links, so it only runs with a localhost APP_URL or with DEV_OUTBOX_TOKEN
+ *     set (CI), which /api/dev/outbox then requires as a bearer token.
+ * A transport takes (message, env), where message is
+ * { from, to, subject, html, text }, and throws when the message was not sent.
+ */
+
+import { createSupabaseClient } from './supabase.js';
+import { log } from './log.js';
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+const TRANSPORTS = {
+  resend: sendWithResend,
+  'smtp-http': sendWithSmtpRelay,
+  outbox: saveToOutbox,
+};
+
+/**
+ * Get the transport selected by EMAIL_TRANSPORT
+ * @param {Object} env - Environment variables
+ * @returns {Function} - async (message, env) => { id }
+ */
+export function getEmailTransport(env) {
+  const name = env.EMAIL_TRANSPORT || 'resend';
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+
+  return transport;
+}
+
+/**
+ * Whether emails go to the database outbox (enables /api/dev/outbox)
+ * Needs EMAIL_TRANSPORT=outbox and either a localhost APP_URL or a
+ * DEV_OUTBOX_TOKEN, so a stray EMAIL_TRANSPORT alone never turns it on.
+ * @param {Object} env - Environment variables
+ * @returns {boolean}
+ */
+export function isOutboxEnabled(env) {
+  if (env.EMAIL_TRANSPORT !== 'outbox') {
+    return false;
+  }
+
+  return isLocalAppUrl(env.APP_URL) || !!env.DEV_OUTBOX_TOKEN;
+}
+
+/**
+ * Whether APP_URL points at the local machine
+ * @param {string|undefined} appUrl - APP_URL setting
+ * @returns {boolean}
+ */
+function isLocalAppUrl(appUrl) {
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(appUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Send via Resend
+ * https://resend.com/docs/api-reference/emails/send-email
+ * @param {Object} message - { from, to, subject, html, text }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{id: string}>} - Resend email ID
+ */
+async function sendWithResend({ from, to, subject, html, text }, env) {
+  const response = await fetch(RESEND_API_URL, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ from, to: [to], subject, html, text }),
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    log.error('resend-api-error', { status: response.status, response: data });
+    throw new Error(data.message || data.error?.message || 'Failed to send email');
+  }
+
+  return { id: data.id };
+}
+
+/**
+ * Send via an HTTP-to-SMTP relay
+ * The message is POSTed to SMTP_HTTP_URL as JSON; SMTP_HTTP_TOKEN, if set,
+ * goes in a bearer Authorization header. Any 2xx response counts as sent.
+ * @param {Object} message - { from, to, subject, html, text }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{id: string|null}>} - Relay message ID, if it returns one
+ */
+async function sendWithSmtpRelay(message, env) {
+  if (!env.SMTP_HTTP_URL) {
+    throw new Error('Missing SMTP_HTTP_URL configuration');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.SMTP_HTTP_TOKEN) {
+    headers['Authorization'] = `Bearer ${env.SMTP_HTTP_TOKEN}`;
+  }
+
+  const response = await fetch(env.SMTP_HTTP_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(message),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    log.error('smtp-relay-error', { status: response.status, response: data });
+    throw new Error(data.message || data.error?.message || 'Failed to send email');
+  }
+
+  return { id: data.id ?? data.messageId ?? null };
+}
+
+/**
+ * Store the message in the database outbox instead of sending it
+ * @param {Object} message - { from, to, subject, html, text }
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{id: string}>} - Outbox row ID
+ */
+async function saveToOutbox({ from, to, subject, html, text }, env) {
+  if (!isOutboxEnabled(env)) {
+    throw new Error('The outbox transport needs a localhost APP_URL or DEV_OUTBOX_TOKEN');
+  }
+
+  const supabase = createSupabaseClient(env);
+
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .insert({
+      from_email: from,
+      to_email: to.toLowerCase(),
+      subject,
+      html,
+      text,
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  log.info('email-saved-to-outbox', { id: data.id, subject });
+  return { id: data.id };
+}
@@ -1,44 +1,31 @@
 /**
- * Email utilities using Resend API
- * https://resend.com/docs/api-reference/emails/send-email
+ * Email utilities
+ * Messages are delivered by the transport EMAIL_TRANSPORT selects (see
+ * _shared/email-transports.js).
  */
 
-const RESEND_API_URL = 'https://api.resend.com/emails';
+import { getEmailTransport } from './email-transports.js';
 
 /**
- * Send an email via Resend
+ * Send an email with the configured transport
  * @param {Object} options - Email options
  * @param {string} options.to - Recipient email
  * @param {string} options.subject - Email subject
  * @param {string} options.html - HTML content
  * @param {string} options.text - Plain text content (optional)
  * @param {Object} env - Environment variables
- * @returns {Promise<Object>} - Resend API response
+ * @returns {Promise<{id: string|null}>} - Message ID from the transport
  */
 export async function sendEmail({ to, subject, html, text }, env) {
-  const response = await fetch(RESEND_API_URL, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${env.RESEND_API_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      from: env.FROM_EMAIL || 'Neutronium <noreply@resend.dev>',
-      to: [to],
-      subject,
-      html,
-      text,
-    }),
-  });
-
-  const data = await response.json();
-
-  if (!response.ok) {
-    console.error('Resend API error:', JSON.stringify(data));
-    throw new Error(data.message || data.error?.message || 'Failed to send email');
-  }
+  const transport = getEmailTransport(env);
 
-  return data;
+  return transport({
+    from: env.FROM_EMAIL || 'Neutronium <noreply@resend.dev>',
+    to,
+    subject,
+    html,
+    text,
+  }, env);
 }
 
 /**
@@ -55,30 +42,36 @@ export function generateToken(length = 32) {
 }
 
 /**
- * Send a magic link email for authentication
- * @param {string} email - Recipient email
- * @param {string} token - Magic link token
- * @param {Object} env - Environment variables
- * @param {string|null} returnUrl - Optional URL to redirect after sign in
- * @param {string|null} appOrigin - App origin derived from request (fallback to env.APP_URL)
- * @returns {Promise<Object>} - Resend API response
+ * Escape user-provided text for HTML email bodies
+ * @param {string} str - Text to escape
+ * @returns {string} - Escaped text
  */
-export async function sendMagicLinkEmail(email, token, env, returnUrl = null, appOrigin = null) {
-  const baseUrl = appOrigin || env.APP_URL || 'http://localhost:8788';
-  const verifyUrl = new URL(`${baseUrl}/api/auth/verify`);
-  verifyUrl.searchParams.set('token', token);
-  if (returnUrl) {
-    verifyUrl.searchParams.set('return_url', returnUrl);
-  }
-  const magicLink = verifyUrl.toString();
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
-  const html = `
+/**
+ * Build the branded HTML for an email with a single call-to-action link
+ * @param {Object} options - Email content
+ * @param {string} options.title - Document title
+ * @param {string} options.heading - Card heading
+ * @param {string} options.intro - Paragraph above the button
+ * @param {string} options.buttonLabel - Button text
+ * @param {string} options.link - Button / fallback link URL
+ * @returns {string} - HTML content
+ */
+function buildActionEmailHtml({ title, heading, intro, buttonLabel, link }) {
+  return `
 <!DOCTYPE html>
 <html>
 <head>
   <meta charset="utf-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Sign in to Neutronium</title>
+  <title>${title}</title>
 </head>
 <body style="margin: 0; padding: 0; background-color: #0a0a1a; font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;">
   <table role="presentation" style="width: 100%; border-collapse: collapse;">
@@ -101,18 +94,18 @@ export async function sendMagicLinkEmail(email, token, env, returnUrl = null, ap
           <tr>
             <td style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%); border-radius: 16px; padding: 40px 32px; border: 1px solid rgba(0, 240, 255, 0.2);">
               <h2 style="margin: 0 0 16px; font-size: 20px; font-weight: 600; color: #e6f1ff;">
-                Sign in to your account
+                ${heading}
               </h2>
               <p style="margin: 0 0 24px; font-size: 15px; line-height: 1.6; color: #8892b0;">
-                Click the button below to securely sign in to Neutronium Leaderboard. This link will expire in 15 minutes.
+                ${intro}
               </p>
 
               <!-- CTA Button -->
               <table role="presentation" style="width: 100%; border-collapse: collapse;">
                 <tr>
                   <td align="center" style="padding: 8px 0 24px;">
-                    <a href="${magicLink}" style="display: inline-block; background: linear-gradient(135deg, #00f0ff 0%, #0080ff 100%); color: #0a0a1a; font-size: 15px; font-weight: 600; text-decoration: none; padding: 14px 32px; border-radius: 8px; letter-spacing: 0.5px;">
-                      Sign In
+                    <a href="${link}" style="display: inline-block; background: linear-gradient(135deg, #00f0ff 0%, #0080ff 100%); color: #0a0a1a; font-size: 15px; font-weight: 600; text-decoration: none; padding: 14px 32px; border-radius: 8px; letter-spacing: 0.5px;">
+                      ${buttonLabel}
                     </a>
                   </td>
                 </tr>
@@ -122,7 +115,7 @@ export async function sendMagicLinkEmail(email, token, env, returnUrl = null, ap
                 If the button doesn't work, copy and paste this link into your browser:
               </p>
               <p style="margin: 8px 0 0; font-size: 12px; word-break: break-all; color: #00f0ff;">
-                ${magicLink}
+                ${link}
               </p>
             </td>
           </tr>
@@ -142,6 +135,33 @@ export async function sendMagicLinkEmail(email, token, env, returnUrl = null, ap
 </body>
 </html>
   `.trim();
+}
+
+/**
+ * Send a magic link email for authentication
+ * @param {string} email - Recipient email
+ * @param {string} token - Magic link token
+ * @param {Object} env - Environment variables
+ * @param {string|null} returnUrl - Optional URL to redirect after sign in
+ * @param {string|null} appOrigin - App origin derived from request (fallback to env.APP_URL)
+ * @returns {Promise<{id: string|null}>} - Message ID from the transport
+ */
+export async function sendMagicLinkEmail(email, token, env, returnUrl = null, appOrigin = null) {
+  const baseUrl = appOrigin || env.APP_URL || 'http://localhost:8788';
+  const verifyUrl = new URL(`${baseUrl}/api/auth/verify`);
+  verifyUrl.searchParams.set('token', token);
+  if (returnUrl) {
+    verifyUrl.searchParams.set('return_url', returnUrl);
+  }
+  const magicLink = verifyUrl.toString();
+
+  const html = buildActionEmailHtml({
+    title: 'Sign in to Neutronium',
+    heading: 'Sign in to your account',
+    intro: 'Click the button below to securely sign in to Neutronium Leaderboard. This link will expire in 15 minutes.',
+    buttonLabel: 'Sign In',
+    link: magicLink,
+  });
 
   const text = `
 Sign in to Neutronium Leaderboard
@@ -158,4 +178,39 @@ If you didn't request this email, you can safely ignore it.
     html,
     text,
   }, env);
-}
\ No newline at end of file
+}
+
+/**
+ * Send a box claim confirmation email to the box's registration email
+ * @param {string} email - Recipient email
+ * @param {string} boxId - Box being claimed
+ * @param {string} confirmLink - Claim confirmation URL
+ * @param {string} playerName - Display name of the claiming player
+ * @param {Object} env - Environment variables
+ * @returns {Promise<{id: string|null}>} - Message ID from the transport
+ */
+export async function sendBoxClaimEmail(email, boxId, confirmLink, playerName, env) {
+  const html = buildActionEmailHtml({
+    title: `Confirm ownership of ${boxId}`,
+    heading: `Confirm ownership of box ${boxId}`,
+    intro: `${escapeHtml(playerName)} asked to become the owner of Neutronium box ${boxId}. The owner can see every session played on this copy. This link will expire in 60 minutes.`,
+    buttonLabel: 'Confirm Ownership',
+    link: confirmLink,
+  });
+
+  const text = `
+Confirm ownership of Neutronium box ${boxId}
+
+${playerName} asked to become the owner of this box. Click the link below to confirm (expires in 60 minutes):
+${confirmLink}
+
+If you didn't request this email, you can safely ignore it.
+  `.trim();
+
+  return sendEmail({
+    to: email,
+    subject: `Confirm ownership of Neutronium box ${boxId}`,
+    html,
+    text,
+  }, env);
+}
@@ -0,0 +1,29 @@
+/**
+ * Session join codes and invite links
+ * Codes are generated by the database (generate_join_code) when a session
+ * is created: five consonants, unique among active sessions.
+ */
+
+const JOIN_CODE_PATTERN = /^[BCDFGHJKLMNPQRSTVWXZ]{5}$/;
+
+/**
+ * Normalize a typed join code (trim, uppercase, drop spaces/dashes)
+ * @param {string} input - Raw code
+ * @returns {string|null} - Normalized code, or null if malformed
+ */
+export function normalizeJoinCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[\s-]+/g, '');
+  return JOIN_CODE_PATTERN.test(code) ? code : null;
+}
+
+/**
+ * Build the shareable invite URL for a session
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string} joinCode - Session join code
+ * @returns {string} - Invite URL
+ */
+export function getInviteUrl(request, env, joinCode) {
+  const appOrigin = env.APP_URL || new URL(request.url).origin;
+  return `${appOrigin}/?join=${joinCode}`;
+}
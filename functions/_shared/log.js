@@ -0,0 +1,56 @@
+/**
+ * Structured logging
+ * Every entry is one JSON line - { level, event, ...fields } - so logs can be
+ * searched by field; requestId ties an entry to the X-Request-Id the client
+ * got back. Internal error details (database messages, stacks) belong here
+ * and never in a response.
+ */
+
+/**
+ * Create a logger whose entries all carry the given fields
+ * @param {Object} base - Fields for every entry (e.g. requestId, method, path)
+ * @returns {{info: Function, warn: Function, error: Function}} - Each takes
+ *   (event, fields); an `error` field is reduced to its loggable properties
+ */
+export function createLogger(base = {}) {
+  const write = (level, event, fields = {}) => {
+    const entry = { level, event, ...base, ...fields };
+    if (entry.error) {
+      entry.error = serializeError(entry.error);
+    }
+
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else {
+      console.log(line);
+    }
+  };
+
+  return {
+    info: (event, fields) => write('info', event, fields),
+    warn: (event, fields) => write('warn', event, fields),
+    error: (event, fields) => write('error', event, fields),
+  };
+}
+
+/**
+ * Logger for code that runs outside a request's route context
+ */
+export const log = createLogger();
+
+/**
+ * Reduce an Error (or a Supabase error object) to JSON-safe properties
+ * @param {*} error - Thrown or returned error
+ * @returns {Object|*}
+ */
+function serializeError(error) {
+  if (!error || typeof error !== 'object') {
+    return error;
+  }
+
+  const { name, message, code, details, hint, stack } = error;
+  return { name, message, code, details, hint, stack };
+}
@@ -0,0 +1,24 @@
+/**
+ * Pagination helpers for list endpoints
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+/**
+ * Parse and clamp limit/offset query parameters
+ * @param {URL} url - Request URL
+ * @param {Object} options - Optional defaults
+ * @param {number} options.defaultLimit - Limit when none is given
+ * @param {number} options.maxLimit - Upper bound for limit
+ * @returns {{limit: number, offset: number}}
+ */
+export function parsePagination(url, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  const limit = parseInt(url.searchParams.get('limit') || String(defaultLimit), 10);
+  const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+
+  return {
+    limit: Number.isNaN(limit) ? defaultLimit : Math.min(Math.max(limit, 1), maxLimit),
+    offset: Number.isNaN(offset) ? 0 : Math.max(offset, 0),
+  };
+}
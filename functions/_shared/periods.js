@@ -0,0 +1,44 @@
+/**
+ * Leaderboard time windows
+ * Windows are calendar-aligned in UTC: weeks start on Monday and
+ * seasons are calendar quarters (Jan, Apr, Jul, Oct).
+ */
+
+export const PERIODS = ['week', 'month', 'season', 'all'];
+
+const DEFAULT_PERIOD = 'all';
+
+/**
+ * Parse the period query parameter
+ * @param {URL} url - Request URL
+ * @returns {string|null} - Period, or null if invalid
+ */
+export function parsePeriod(url) {
+  const period = url.searchParams.get('period') || DEFAULT_PERIOD;
+  return PERIODS.includes(period) ? period : null;
+}
+
+/**
+ * Get the start of the current window for a period
+ * @param {string} period - One of PERIODS
+ * @param {Date} now - Reference time
+ * @returns {Date|null} - Window start, or null for all-time
+ */
+export function getPeriodStart(period, now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  switch (period) {
+    case 'week': {
+      // getUTCDay(): 0 = Sunday, so Monday is 6 days back on a Sunday
+      const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(year, month, now.getUTCDate() - daysSinceMonday));
+    }
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'season':
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Player identity helpers shared by session and auth endpoints
+ */
+
+import { getCurrentPlayer, createAuthToken, createAuthCookie, GUEST_TOKEN_MAX_AGE } from './auth.js';
+import { log } from './log.js';
+
+/**
+ * Longest display name a player can pick
+ */
+export const MAX_NAME_LENGTH = 50;
+
+/**
+ * Create a guest player and a signed auth cookie for it
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Object} env - Environment variables
+ * @param {string} displayName - Guest display name
+ * @returns {Promise<{player: Object, cookie: string}>} - Player row and Set-Cookie value
+ */
+export async function createGuestPlayer(supabase, env, displayName) {
+  const { data: newPlayer, error: createError } = await supabase
+    .from('players')
+    .insert({
+      display_name: displayName,
+      is_guest: true,
+    })
+    .select()
+    .single();
+
+  if (createError) {
+    throw createError;
+  }
+
+  const token = await createAuthToken(newPlayer, env.JWT_SECRET);
+  return { player: newPlayer, cookie: createAuthCookie(token, env, GUEST_TOKEN_MAX_AGE) };
+}
+
+/**
+ * Get the player row for the auth cookie, if it is valid and still exists
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object|null>} - Player row or null
+ */
+export async function getCookiePlayer(supabase, request, env) {
+  const current = await getCurrentPlayer(request, env);
+  if (!current) return null;
+
+  const { data: existingPlayer } = await supabase
+    .from('players')
+    .select('*')
+    .eq('id', current.id)
+    .single();
+
+  if (!existingPlayer) {
+    log.warn('cookie-player-not-found', { playerId: current.id });
+    return null;
+  }
+
+  return existingPlayer;
+}
+
+/**
+ * Get the player from the auth cookie, or create a guest player with a
+ * signed token when the request has no valid identity.
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @param {string} displayName - Name for a newly created guest
+ * @returns {Promise<{player: Object, cookie: string|null}>} - Player row and
+ *   a Set-Cookie value to send when a new guest token was issued
+ */
+export async function getOrCreateSessionPlayer(supabase, request, env, displayName) {
+  const existingPlayer = await getCookiePlayer(supabase, request, env);
+
+  if (existingPlayer) {
+    return { player: existingPlayer, cookie: null };
+  }
+
+  return createGuestPlayer(supabase, env, displayName);
+}
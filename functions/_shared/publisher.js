@@ -0,0 +1,44 @@
+/**
+ * Publisher API key check for box issuance endpoints
+ * Requests authenticate with `Authorization: Bearer <PUBLISHER_API_KEY>`.
+ */
+
+import { log } from './log.js';
+
+/**
+ * Verify the publisher API key on a request
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Environment variables
+ * @returns {{error: string|null, status: number}}
+ */
+export function checkPublisherKey(request, env) {
+  if (!env.PUBLISHER_API_KEY) {
+    log.error('publisher-api-key-missing');
+    return { error: 'Publisher API is not configured', status: 503 };
+  }
+
+  const authHeader = request.headers.get('Authorization') || '';
+  const providedKey = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  if (!timingSafeEqual(providedKey, env.PUBLISHER_API_KEY)) {
+    return { error: 'Invalid publisher API key', status: 401 };
+  }
+
+  return { error: null, status: 200 };
+}
+
+/**
+ * Compare two strings without short-circuiting on the first difference
+ * @param {string} a - Provided value
+ * @param {string} b - Expected value
+ * @returns {boolean}
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const left = encoder.encode(a);
+  const right = encoder.encode(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < right.length; i++) {
+    diff |= (left[i] ?? 0) ^ right[i];
+  }
+  return diff === 0;
+}
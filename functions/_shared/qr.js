@@ -0,0 +1,479 @@
+/**
+ * Minimal QR Code encoder (byte mode) rendering to SVG
+ * Runs inside the Worker so labels can be generated without external services.
+ * Follows ISO/IEC 18004: Reed-Solomon ECC, block interleaving, mask selection
+ * by penalty score, format and version information.
+ */
+
+const ECC_LEVELS = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 },
+};
+
+// Indexed by [ecc ordinal][version]; index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8, byte mode)
+ * @param {string} ecl - Error correction level: L, M, Q or H
+ * @returns {boolean[][]} - Module matrix, [row][column], true = dark
+ */
+export function encodeQr(text, ecl = 'M') {
+  const level = ECC_LEVELS[ecl];
+  if (!level) {
+    throw new Error(`Unknown error correction level: ${ecl}`);
+  }
+
+  const bytes = Array.from(new TextEncoder().encode(text));
+
+  // Pick the smallest version that fits
+  let version;
+  let dataCapacityBits;
+  for (version = MIN_VERSION; ; version++) {
+    dataCapacityBits = getNumDataCodewords(version, level) * 8;
+    const usedBits = 4 + getCharCountBits(version) + bytes.length * 8;
+    if (usedBits <= dataCapacityBits) break;
+    if (version >= MAX_VERSION) {
+      throw new Error('Text too long for a QR code');
+    }
+  }
+
+  // Mode indicator (byte), character count, data
+  const bits = [];
+  appendBits(bits, 0x4, 4);
+  appendBits(bits, bytes.length, getCharCountBits(version));
+  for (const b of bytes) {
+    appendBits(bits, b, 8);
+  }
+
+  // Terminator, byte alignment, then alternating pad bytes
+  appendBits(bits, 0, Math.min(4, dataCapacityBits - bits.length));
+  appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < dataCapacityBits; pad ^= 0xEC ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let byte = 0;
+    for (let j = 0; j < 8; j++) {
+      byte = (byte << 1) | bits[i + j];
+    }
+    dataCodewords.push(byte);
+  }
+
+  const codewords = addEccAndInterleave(dataCodewords, version, level);
+  return buildMatrix(codewords, version, level);
+}
+
+/**
+ * Render a module matrix as an SVG path (1 unit per module)
+ * @param {boolean[][]} modules - Matrix from encodeQr
+ * @param {number} offsetX - X offset in modules
+ * @param {number} offsetY - Y offset in modules
+ * @returns {string} - SVG path data
+ */
+export function qrToSvgPath(modules, offsetX = 0, offsetY = 0) {
+  const parts = [];
+  for (let y = 0; y < modules.length; y++) {
+    for (let x = 0; x < modules.length; x++) {
+      if (modules[y][x]) {
+        parts.push(`M${x + offsetX},${y + offsetY}h1v1h-1z`);
+      }
+    }
+  }
+  return parts.join('');
+}
+
+/**
+ * Render text as a standalone QR code SVG
+ * @param {string} text - Text to encode
+ * @param {Object} options - Rendering options
+ * @param {string} options.ecl - Error correction level
+ * @param {number} options.border - Quiet zone in modules (spec minimum is 4)
+ * @returns {string} - SVG document
+ */
+export function renderQrSvg(text, { ecl = 'M', border = 4 } = {}) {
+  const modules = encodeQr(text, ecl);
+  const size = modules.length + border * 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">`
+    + `<rect width="100%" height="100%" fill="#ffffff"/>`
+    + `<path d="${qrToSvgPath(modules, border, border)}" fill="#000000"/>`
+    + '</svg>';
+}
+
+// ---------------------------------------------------------------------------
+// Capacity helpers
+// ---------------------------------------------------------------------------
+
+function getCharCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, level) {
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+}
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Reed-Solomon error correction
+// ---------------------------------------------------------------------------
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function computeDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function computeRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+function addEccAndInterleave(data, version, level) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.ordinal][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level.ordinal][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  // Split into blocks (short blocks first) and append ECC to each
+  const blocks = [];
+  const divisor = computeDivisor(blockEccLen);
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = computeRemainder(dat, divisor);
+    if (i < numShortBlocks) {
+      dat.push(0);
+    }
+    blocks.push(dat.concat(ecc));
+  }
+
+  // Interleave column by column, skipping the short blocks' padding
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// Matrix construction
+// ---------------------------------------------------------------------------
+
+function buildMatrix(codewords, version, level) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  drawFunctionPatterns(size, version, setFunction);
+  drawCodewords(codewords, size, modules, isFunction);
+
+  // Try every mask and keep the one with the lowest penalty
+  let bestMask = 0;
+  let minPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(mask, size, modules, isFunction);
+    drawFormatBits(mask, level, size, setFunction);
+    const penalty = getPenaltyScore(modules);
+    if (penalty < minPenalty) {
+      bestMask = mask;
+      minPenalty = penalty;
+    }
+    applyMask(mask, size, modules, isFunction); // XOR again to undo
+  }
+
+  applyMask(bestMask, size, modules, isFunction);
+  drawFormatBits(bestMask, level, size, setFunction);
+  return modules;
+}
+
+function drawFunctionPatterns(size, version, setFunction) {
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  drawFinderPattern(3, 3, size, setFunction);
+  drawFinderPattern(size - 4, 3, size, setFunction);
+  drawFinderPattern(3, size - 4, size, setFunction);
+
+  // Alignment patterns, except where they would overlap the finders
+  const positions = getAlignmentPatternPositions(version, size);
+  const numAlign = positions.length;
+  for (let i = 0; i < numAlign; i++) {
+    for (let j = 0; j < numAlign; j++) {
+      const overlapsFinder = (i === 0 && j === 0)
+        || (i === 0 && j === numAlign - 1)
+        || (i === numAlign - 1 && j === 0);
+      if (!overlapsFinder) {
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            setFunction(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      }
+    }
+  }
+
+  // Reserve format areas (real bits are drawn after masking)
+  drawFormatBits(0, ECC_LEVELS.M, size, setFunction);
+  drawVersion(version, size, setFunction);
+}
+
+function drawFinderPattern(cx, cy, size, setFunction) {
+  for (let dy = -4; dy <= 4; dy++) {
+    for (let dx = -4; dx <= 4; dx++) {
+      const dist = Math.max(Math.abs(dx), Math.abs(dy));
+      const x = cx + dx;
+      const y = cy + dy;
+      if (x >= 0 && x < size && y >= 0 && y < size) {
+        setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+}
+
+function getAlignmentPatternPositions(version, size) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+function drawFormatBits(mask, level, size, setFunction) {
+  const data = (level.formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) {
+    rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  // Around the top-left finder
+  for (let i = 0; i <= 5; i++) {
+    setFunction(8, i, bit(i));
+  }
+  setFunction(8, 7, bit(6));
+  setFunction(8, 8, bit(7));
+  setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) {
+    setFunction(14 - i, 8, bit(i));
+  }
+
+  // Split between the other two finders
+  for (let i = 0; i < 8; i++) {
+    setFunction(size - 1 - i, 8, bit(i));
+  }
+  for (let i = 8; i < 15; i++) {
+    setFunction(8, size - 15 + i, bit(i));
+  }
+  setFunction(8, size - 8, true); // Always dark
+}
+
+function drawVersion(version, size, setFunction) {
+  if (version < 7) return;
+
+  let rem = version;
+  for (let i = 0; i < 12; i++) {
+    rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  }
+  const bits = (version << 12) | rem;
+
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) !== 0;
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    setFunction(a, b, dark);
+    setFunction(b, a, dark);
+  }
+}
+
+function drawCodewords(codewords, size, modules, isFunction) {
+  let i = 0;
+  // Zigzag in two-column strips from the bottom right, skipping the timing column
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(mask, size, modules, isFunction) {
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      let invert;
+      switch (mask) {
+        case 0: invert = (x + y) % 2 === 0; break;
+        case 1: invert = y % 2 === 0; break;
+        case 2: invert = x % 3 === 0; break;
+        case 3: invert = (x + y) % 3 === 0; break;
+        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: invert = ((x * y) % 2) + ((x * y) % 3) === 0; break;
+        case 6: invert = (((x * y) % 2) + ((x * y) % 3)) % 2 === 0; break;
+        default: invert = (((x + y) % 2) + ((x * y) % 3)) % 2 === 0; break;
+      }
+      if (!isFunction[y][x] && invert) {
+        modules[y][x] = !modules[y][x];
+      }
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Mask penalty (lower is easier to scan)
+// ---------------------------------------------------------------------------
+
+function getPenaltyScore(modules) {
+  const size = modules.length;
+  let result = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  for (const line of lines) {
+    // N1: runs of five or more same-colored modules
+    let runLength = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        runLength++;
+      } else {
+        if (runLength >= 5) {
+          result += PENALTY_N1 + (runLength - 5);
+        }
+        runLength = 1;
+      }
+    }
+
+    // N3: finder-like 1:1:3:1:1 patterns with four light modules on a side
+    for (let i = 0; i + 7 <= size; i++) {
+      const isFinderLike = line[i] && !line[i + 1] && line[i + 2] && line[i + 3]
+        && line[i + 4] && !line[i + 5] && line[i + 6];
+      if (!isFinderLike) continue;
+      const lightBefore = i >= 4 && !line[i - 1] && !line[i - 2] && !line[i - 3] && !line[i - 4];
+      const lightAfter = i + 11 <= size && !line[i + 7] && !line[i + 8] && !line[i + 9] && !line[i + 10];
+      if (lightBefore || lightAfter) {
+        result += PENALTY_N3;
+      }
+    }
+  }
+
+  // N2: 2x2 blocks of the same color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        result += PENALTY_N2;
+      }
+    }
+  }
+
+  // N4: dark/light balance
+  let dark = 0;
+  for (const row of modules) {
+    for (const module of row) {
+      if (module) dark++;
+    }
+  }
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  result += Math.max(k, 0) * PENALTY_N4;
+
+  return result;
+}
@@ -0,0 +1,36 @@
+/**
+ * Tie-aware ranking helpers for leaderboard endpoints
+ * Ranks come from the leaderboard views (rank / dense_rank / tie_count).
+ */
+
+/**
+ * Supported rank modes
+ * - competition: ties share a rank and the next rank is skipped (1, 1, 3)
+ * - dense: ties share a rank and no rank is skipped (1, 1, 2)
+ */
+export const RANK_MODES = ['competition', 'dense'];
+
+const DEFAULT_RANK_MODE = 'competition';
+
+/**
+ * Parse the rankMode query parameter
+ * @param {URL} url - Request URL
+ * @returns {string|null} - Rank mode, or null if invalid
+ */
+export function parseRankMode(url) {
+  const rankMode = url.searchParams.get('rankMode') || DEFAULT_RANK_MODE;
+  return RANK_MODES.includes(rankMode) ? rankMode : null;
+}
+
+/**
+ * Pick the rank fields for a leaderboard view row
+ * @param {Object} record - Row with rank, dense_rank and tie_count
+ * @param {string} rankMode - One of RANK_MODES
+ * @returns {{rank: number, tied: boolean}}
+ */
+export function formatRank(record, rankMode) {
+  return {
+    rank: rankMode === 'dense' ? record.dense_rank : record.rank,
+    tied: record.tie_count > 1,
+  };
+}
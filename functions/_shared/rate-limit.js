@@ -0,0 +1,117 @@
+/**
+ * Rate limiting for endpoints that send email, create rows or resolve short codes
+ * Routes list rules in their `rateLimit` option (see _shared/route.js):
+ *   { name, limit, windowSeconds, key: ctx => string|null }
+ * Hits are counted per rule and key in fixed windows by the RateLimiter
+ * Durable Object (workers/companion). Without the binding (e.g. plain
+ * `wrangler pages dev`) an in-memory counter per isolate stands in.
+ */
+
+import { errorResponse, ERROR_CODES } from './response.js';
+import { log } from './log.js';
+
+// In-memory windows by rule and key, for when RATE_LIMITER is not bound
+const localWindows = new Map();
+
+/**
+ * Rate limit key for the client's IP address
+ * @param {Object} ctx - Route context
+ * @returns {string}
+ */
+export function byIp({ request }) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+/**
+ * Count a hit against each rule
+ * @param {Object} ctx - Route context (env, request, body, player, log)
+ * @param {Object[]} rules - Rate limit rules
+ * @returns {Promise<number>} - Seconds until the caller may retry, 0 if allowed
+ */
+export async function checkRateLimits(ctx, rules) {
+  let retryAfter = 0;
+
+  for (const rule of rules) {
+    const key = rule.key(ctx);
+    if (!key) continue;
+
+    const result = await hit(ctx, rule, key);
+    if (!result.allowed) {
+      (ctx.log || log).warn('rate-limited', { rule: rule.name, retryAfter: result.retryAfter });
+      retryAfter = Math.max(retryAfter, result.retryAfter);
+    }
+  }
+
+  return retryAfter;
+}
+
+/**
+ * 429 response telling the caller when to retry
+ * @param {number} retryAfter - Seconds until the caller may retry
+ * @returns {Response}
+ */
+export function rateLimitedResponse(retryAfter) {
+  const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`;
+  const response = errorResponse(`Too many requests - please try again in ${wait}`, 429, {
+    code: ERROR_CODES.RATE_LIMITED,
+  });
+  response.headers.set('Retry-After', String(retryAfter));
+  return response;
+}
+
+/**
+ * Count a hit for one rule and key
+ * A limiter outage lets the request through rather than locking everyone out.
+ * @param {Object} ctx - Route context
+ * @param {Object} rule - Rate limit rule
+ * @param {string} key - Key from rule.key
+ * @returns {Promise<{allowed: boolean, retryAfter: number}>}
+ */
+async function hit(ctx, rule, key) {
+  const { env } = ctx;
+  const name = `${rule.name}:${key}`;
+
+  if (!env.RATE_LIMITER) {
+    return hitLocal(name, rule);
+  }
+
+  try {
+    const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(name));
+    const response = await limiter.fetch('https://rate-limiter/hit', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ limit: rule.limit, windowSeconds: rule.windowSeconds }),
+    });
+    return await response.json();
+  } catch (error) {
+    (ctx.log || log).error('rate-limiter-unavailable', { rule: rule.name, error });
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+/**
+ * In-memory stand-in for the RateLimiter Durable Object
+ * @param {string} name - Rule and key
+ * @param {Object} rule - Rate limit rule
+ * @returns {{allowed: boolean, retryAfter: number}}
+ */
+function hitLocal(name, rule) {
+  const windowMs = rule.windowSeconds * 1000;
+  const now = Date.now();
+  const windowStart = now - (now % windowMs);
+
+  // Forget finished windows so the map does not grow without bound
+  for (const [storedName, stored] of localWindows) {
+    if (stored.end <= now) localWindows.delete(storedName);
+  }
+
+  const stored = localWindows.get(name);
+  const count = stored?.start === windowStart ? stored.count : 0;
+
+  if (count >= rule.limit) {
+    return { allowed: false, retryAfter: Math.ceil((windowStart + windowMs - now) / 1000) };
+  }
+
+  localWindows.set(name, { start: windowStart, end: windowStart + windowMs, count: count + 1 });
+  return { allowed: true, retryAfter: 0 };
+}
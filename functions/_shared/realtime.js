@@ -0,0 +1,80 @@
+/**
+ * Real-time session events via the SessionRoom Durable Object
+ * The binding is optional: without it (e.g. plain `wrangler pages dev`)
+ * events are dropped and clients keep polling.
+ */
+
+import { log } from './log.js';
+
+/**
+ * Event types pushed to session clients
+ */
+export const SESSION_EVENTS = {
+  PLAYER_JOINED: 'player-joined',
+  SCORE_SUBMITTED: 'score-submitted',
+  SCORE_REVIEWED: 'score-reviewed',
+  VOTE_END: 'vote-end',
+  VOTE_RETRACTED: 'vote-retracted',
+  LEVEL_CHANGED: 'level-changed',
+  NEXT_SESSION: 'next-session',
+  PLAYER_REMOVED: 'player-removed',
+  HOST_CHANGED: 'host-changed',
+  SESSION_ENDED: 'session-ended',
+  SESSION_IDLE: 'session-idle', // sent by the companion worker's stale session sweep
+};
+
+/**
+ * Get the Durable Object stub for a session
+ * @param {Object} env - Environment variables
+ * @param {string} sessionId - Session ID
+ * @returns {DurableObjectStub|null} - Stub or null if not configured
+ */
+function getSessionRoom(env, sessionId) {
+  if (!env.SESSION_ROOMS) return null;
+  const id = env.SESSION_ROOMS.idFromName(sessionId);
+  return env.SESSION_ROOMS.get(id);
+}
+
+/**
+ * Forward a WebSocket upgrade request to the session's room
+ * @param {Request} request - Incoming upgrade request
+ * @param {Object} env - Environment variables
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Response|null>} - Upgrade response or null if not configured
+ */
+export async function connectToSessionRoom(request, env, sessionId) {
+  const room = getSessionRoom(env, sessionId);
+  if (!room) return null;
+  return room.fetch(request);
+}
+
+/**
+ * Broadcast an event to everyone connected to a session.
+ * Runs after the response is sent (via waitUntil) and never throws,
+ * so a realtime outage cannot fail a score submission.
+ * @param {Object} context - Route context (env, waitUntil, log)
+ * @param {string} sessionId - Session ID
+ * @param {string} type - One of SESSION_EVENTS
+ * @param {Object} data - Event data
+ */
+export function publishSessionEvent(context, sessionId, type, data = {}) {
+  const room = getSessionRoom(context.env, sessionId);
+  if (!room) return;
+
+  const delivery = room.fetch('https://session-room/broadcast', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      type,
+      sessionId,
+      data,
+      at: new Date().toISOString(),
+    }),
+  }).catch(error => {
+    (context.log || log).error('session-event-publish-failed', { sessionId, type, error });
+  });
+
+  if (context.waitUntil) {
+    context.waitUntil(delivery);
+  }
+}
@@ -20,13 +20,64 @@ export function jsonResponse(data, status = 200, headers = {}) {
 }
 
 /**
- * Create an error response
+ * Stable error codes (error.code), by kind of failure. Clients branch on
+ * these; messages are for people and may change.
+ *   validation - VALIDATION_FAILED (see error.fields), BAD_REQUEST,
+ *                METHOD_NOT_ALLOWED, UPGRADE_REQUIRED
+ *   not found  - NOT_FOUND
+ *   conflict   - CONFLICT: the current state does not allow it (e.g. the session has ended)
+ *   auth       - UNAUTHORIZED (no or invalid credentials), FORBIDDEN (not allowed)
+ *   rate limit - RATE_LIMITED (see the Retry-After header)
+ *   internal   - INTERNAL_ERROR (details only in the logs), UNAVAILABLE (not configured)
+ */
+export const ERROR_CODES = {
+  VALIDATION_FAILED: 'validation_failed',
+  BAD_REQUEST: 'bad_request',
+  METHOD_NOT_ALLOWED: 'method_not_allowed',
+  UPGRADE_REQUIRED: 'upgrade_required',
+  NOT_FOUND: 'not_found',
+  CONFLICT: 'conflict',
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  RATE_LIMITED: 'rate_limited',
+  INTERNAL_ERROR: 'internal_error',
+  UNAVAILABLE: 'unavailable',
+};
+
+// Error code for a status when the endpoint does not pass one
+const STATUS_ERROR_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  405: ERROR_CODES.METHOD_NOT_ALLOWED,
+  409: ERROR_CODES.CONFLICT,
+  426: ERROR_CODES.UPGRADE_REQUIRED,
+  429: ERROR_CODES.RATE_LIMITED,
+  500: ERROR_CODES.INTERNAL_ERROR,
+  503: ERROR_CODES.UNAVAILABLE,
+};
+
+/**
+ * Create an error response: { error: { code, message, fields } }
+ * The middleware adds error.requestId (see functions/_middleware.js).
  * @param {string} message - Error message
  * @param {number} status - HTTP status code
+ * @param {Object} options - `code` (one of ERROR_CODES; defaults to the
+ *   status's), `fields` (message per invalid body field, see
+ *   _shared/validation.js); anything else is returned next to `error`,
+ *   e.g. the conflicting sessionId
  * @returns {Response}
  */
-export function errorResponse(message, status = 400) {
-  return jsonResponse({ error: message }, status);
+export function errorResponse(message, status = 400, { code, fields = null, ...extra } = {}) {
+  return jsonResponse({
+    error: {
+      code: code || STATUS_ERROR_CODES[status] || ERROR_CODES.INTERNAL_ERROR,
+      message,
+      fields,
+    },
+    ...extra,
+  }, status);
 }
 
 /**
@@ -39,6 +90,22 @@ export function successResponse(data, status = 200) {
   return jsonResponse({ success: true, ...data }, status);
 }
 
+/**
+ * Create an SVG image response
+ * @param {string} svg - SVG document
+ * @param {Object} headers - Additional headers
+ * @returns {Response}
+ */
+export function svgResponse(svg, headers = {}) {
+  return new Response(svg, {
+    status: 200,
+    headers: {
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      ...headers,
+    },
+  });
+}
+
 /**
  * Resolve the allowed origin for a request.
  * Checks the request Origin header against APP_URL, ALLOWED_ORIGINS env var,
@@ -101,6 +168,7 @@ export function withCors(response, request, env) {
 
   newHeaders.set('Access-Control-Allow-Origin', allowedOrigin);
   newHeaders.set('Access-Control-Allow-Credentials', 'true');
+  newHeaders.set('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After');
 
   return new Response(response.body, {
     status: response.status,
@@ -0,0 +1,176 @@
+/**
+ * Route helper for the API endpoints
+ * Takes care of what every endpoint needs - method dispatch, JSON body
+ * parsing and validation, auth resolution, a request logger and mapping
+ * thrown errors to a JSON 500 - so the handlers only contain business logic.
+ * CORS headers and request IDs are added for every /api response by
+ * functions/_middleware.js.
+ *
+ *   export const onRequest = route({
+ *     auth: 'player',
+ *     schema: { sessionId: { type: 'uuid', required: true } },
+ *     POST: async ({ supabase, body, player, params }) => jsonResponse({ ... }),
+ *   });
+ */
+
+import { createSupabaseClient } from './supabase.js';
+import { errorResponse, ERROR_CODES } from './response.js';
+import { validateBody } from './validation.js';
+import { createLogger } from './log.js';
+import { checkRateLimits, rateLimitedResponse } from './rate-limit.js';
+import { getActingPlayer, getCurrentPlayer } from './auth.js';
+import { requireAdmin } from './admin.js';
+import { checkPublisherKey } from './publisher.js';
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE'];
+
+// Methods whose request body is parsed as JSON
+const BODY_METHODS = ['POST', 'PUT', 'DELETE'];
+
+/**
+ * Build a Pages Functions onRequest handler from per-method handlers
+ * @param {Object} definition - Handlers keyed by HTTP method, plus defaults
+ *   for all of them:
+ *   - auth: who may call the route (see resolveAuth); default anyone
+ *   - matchPlayerId: reject a body.playerId other than the cookie player's
+ *   - schema: body schema (see _shared/validation.js), checked once the caller
+ *     is authorized; invalid bodies get a 400 validation_failed error listing
+ *     the fields
+ *   - rateLimit: rules checked once the body is valid (see _shared/rate-limit.js);
+ *     over the limit the caller gets a 429 with Retry-After
+ *   A method can override the defaults with { auth, matchPlayerId, schema, rateLimit, handler }.
+ *   Handlers get the function context plus `supabase` (created on first use),
+ *   `body` (parsed JSON object, {} when empty; only the schema's fields when
+ *   there is one), `player` and `log` (see _shared/log.js; entries carry the
+ *   request ID) and return a Response. Thrown errors are logged and answered
+ *   with a generic 500, so their messages never reach the client.
+ * @returns {Function} - onRequest handler
+ */
+export function route(definition) {
+  return async function onRequest(context) {
+    const { request, env } = context;
+    const entry = definition[request.method];
+
+    if (!METHODS.includes(request.method) || !entry) {
+      const allowed = METHODS.filter(method => definition[method]).join(', ');
+      const response = errorResponse('Method not allowed', 405);
+      response.headers.set('Allow', allowed);
+      return response;
+    }
+
+    const { handler, ...overrides } = typeof entry === 'function' ? { handler: entry } : entry;
+    const options = {
+      auth: definition.auth,
+      matchPlayerId: definition.matchPlayerId,
+      schema: definition.schema,
+      rateLimit: definition.rateLimit,
+      ...overrides,
+    };
+
+    let supabase = null;
+    const ctx = {
+      ...context,
+      get supabase() {
+        supabase ??= createSupabaseClient(env);
+        return supabase;
+      },
+      body: {},
+      player: null,
+      log: createLogger({
+        requestId: context.data?.requestId,
+        method: request.method,
+        path: new URL(request.url).pathname,
+      }),
+    };
+
+    try {
+      if (BODY_METHODS.includes(request.method)) {
+        ctx.body = await readJsonBody(request);
+        if (!ctx.body) {
+          return errorResponse('Request body must be a JSON object');
+        }
+      }
+
+      const access = await resolveAuth(ctx, options);
+      if (access.error) {
+        return errorResponse(access.error, access.status);
+      }
+      ctx.player = access.player;
+
+      if (options.schema && BODY_METHODS.includes(request.method)) {
+        const { value, fields } = validateBody(options.schema, ctx.body);
+        if (fields) {
+          return errorResponse(Object.values(fields)[0], 400, { code: ERROR_CODES.VALIDATION_FAILED, fields });
+        }
+        ctx.body = value;
+      }
+
+      if (options.rateLimit) {
+        const retryAfter = await checkRateLimits(ctx, options.rateLimit);
+        if (retryAfter) {
+          return rateLimitedResponse(retryAfter);
+        }
+      }
+
+      return await handler(ctx);
+    } catch (error) {
+      ctx.log.error('request-failed', { error });
+      return errorResponse('Internal server error', 500);
+    }
+  };
+}
+
+/**
+ * Resolve who is calling a route
+ * - 'player': signed-in player or guest from the auth cookie (401 without one)
+ * - 'optional': the cookie player if there is one, otherwise null
+ * - 'admin': signed-in player with the admin role (see _shared/admin.js)
+ * - 'publisher': request carries the publisher API key; player stays null
+ * @param {Object} ctx - Route context (request, env, supabase, body)
+ * @param {{auth: string|undefined, matchPlayerId: boolean|undefined}} options - Route options
+ * @returns {Promise<{player: Object|null, error: string|null, status: number}>}
+ */
+async function resolveAuth(ctx, { auth, matchPlayerId }) {
+  const { request, env } = ctx;
+
+  if (auth === 'player') {
+    return getActingPlayer(request, env, matchPlayerId ? ctx.body.playerId : null);
+  }
+
+  if (auth === 'optional') {
+    const player = await getCurrentPlayer(request, env);
+    if (matchPlayerId && player && ctx.body.playerId && ctx.body.playerId !== player.id) {
+      return { player: null, error: 'playerId does not match the signed-in player', status: 403 };
+    }
+    return { player, error: null, status: 200 };
+  }
+
+  if (auth === 'admin') {
+    return requireAdmin(ctx.supabase, request, env);
+  }
+
+  if (auth === 'publisher') {
+    return { player: null, ...checkPublisherKey(request, env) };
+  }
+
+  return { player: null, error: null, status: 200 };
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} - Body object ({} when empty) or null if it is not a JSON object
+ */
+async function readJsonBody(request) {
+  const text = await request.text();
+  if (!text.trim()) {
+    return {};
+  }
+
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Score validation shared by score submission and corrections.
+ * Per-level plausibility bounds live in the level_score_bounds table and are
+ * enforced by the database (check_score_bounds in database/schema.sql).
+ */
+
+// Largest value a Postgres INTEGER column holds
+const MAX_NN = 2147483647;
+
+/**
+ * Body schema rule for an Nn value: a whole, non-negative number
+ * (see _shared/validation.js)
+ */
+export const NN_RULE = {
+  type: 'integer',
+  min: 0,
+  max: MAX_NN,
+  message: `must be a whole number between 0 and ${MAX_NN}`,
+};
+
+/**
+ * Error message for a { error: 'score_out_of_bounds' } database result
+ * @param {Object} result - RPC result carrying min_nn and max_nn
+ * @returns {string}
+ */
+export function describeScoreBounds(result) {
+  return `finalNn must be between ${result.min_nn} and ${result.max_nn} on this level`;
+}
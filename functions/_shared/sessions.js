@@ -0,0 +1,120 @@
+/**
+ * Session helpers shared by the session endpoints
+ */
+
+/**
+ * Statuses of a session that can still be played. pending_end means an end
+ * vote is open, or the session is idle and about to be abandoned.
+ */
+export const OPEN_SESSION_STATUSES = ['active', 'pending_end'];
+
+/**
+ * How an end vote passes (see end_vote_passes in database/schema.sql)
+ */
+export const END_RULES = ['unanimous', 'majority', 'host_plus_one', 'timeout'];
+
+/**
+ * Player figure colors (stored in session_players.race)
+ */
+export const PLAYER_COLORS = ['gray', 'pink', 'purple', 'green'];
+
+/**
+ * Body schema of the session actions that only name the session
+ * (end vote, vote retraction, level recalculation)
+ */
+export const SESSION_ACTION_SCHEMA = {
+  sessionId: { type: 'uuid', required: true },
+  playerId: { type: 'uuid' },
+};
+
+/**
+ * Whether a session can still be played
+ * @param {Object} session - Session row
+ * @returns {boolean}
+ */
+export function isSessionOpen(session) {
+  return OPEN_SESSION_STATUSES.includes(session?.status);
+}
+
+/**
+ * Describe the end vote for clients: how many votes pass it and, for the
+ * timeout rule, when it passes regardless
+ * @param {Object} session - Session row
+ * @param {number} totalPlayers - Players in the session
+ * @returns {{rule: string, votesRequired: number, startedAt: string|null, deadline: string|null}}
+ */
+export function describeEndVote(session, totalPlayers) {
+  const votesRequired = {
+    majority: Math.floor(totalPlayers / 2) + 1,
+    host_plus_one: Math.min(2, totalPlayers),
+  }[session.end_rule] ?? totalPlayers;
+
+  const startedAt = session.end_vote_started_at || null;
+  const deadline = session.end_rule === 'timeout' && startedAt
+    ? new Date(new Date(startedAt).getTime() + session.end_vote_timeout_minutes * 60 * 1000).toISOString()
+    : null;
+
+  return {
+    rule: session.end_rule,
+    votesRequired,
+    startedAt,
+    deadline,
+  };
+}
+
+/**
+ * Record activity on a session so the stale session sweep leaves it alone.
+ * Revives a session idling in its pending_end grace window.
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {string|null} playerId - Acting player; the session is only touched
+ *   if they are in it (null when the caller already checked, e.g. the host)
+ * @returns {Promise<string|null>} - Session status afterwards, or null if not found
+ */
+export async function touchSession(supabase, sessionId, playerId = null) {
+  const { data: status, error } = await supabase.rpc('touch_session', {
+    p_session_id: sessionId,
+    p_player_id: playerId,
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  return status;
+}
+
+/**
+ * Load an open session and check that the given player hosts it
+ * @param {SupabaseClient} supabase - Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {string} playerId - Acting player ID (from the auth cookie)
+ * @returns {Promise<{session: Object|null, error: string|null, status: number}>}
+ */
+export async function getHostedSession(supabase, sessionId, playerId) {
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  if (!session) {
+    return { session: null, error: 'Session not found', status: 404 };
+  }
+
+  if (session.host_player_id !== playerId) {
+    return { session: null, error: 'Only the host can do this', status: 403 };
+  }
+
+  session.status = await touchSession(supabase, sessionId);
+
+  if (!isSessionOpen(session)) {
+    return { session: null, error: 'Session is not active', status: 409 };
+  }
+
+  return { session, error: null, status: 200 };
+}
@@ -0,0 +1,140 @@
+/**
+ * Declarative request body validation
+ * A schema maps each accepted body field to a rule:
+ *   - type: 'string' | 'integer' | 'boolean' | 'uuid' | 'email' | 'array'
+ *   - required: reject the body when the field is missing
+ *   - default: value used when the field is missing
+ *   - enum: allowed values
+ *   - min / max: bounds for integers
+ *   - maxLength: longest allowed string (after trimming)
+ *   - minItems / maxItems: bounds for arrays
+ *   - message: replaces the generated type/range message (prefixed with the field name)
+ *   - check: value => error message or null, for rules a schema cannot express
+ * Strings are trimmed and an empty string counts as missing. Fields that are
+ * not in the schema are dropped.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Rules keyed by field name
+ * @param {Object} input - Parsed JSON body
+ * @returns {{value: Object, fields: Object|null}} - Validated body, and an
+ *   error message per invalid field (null when the body is valid)
+ */
+export function validateBody(schema, input) {
+  const value = {};
+  const fields = {};
+
+  for (const [name, rule] of Object.entries(schema)) {
+    let fieldValue = input[name];
+    if (typeof fieldValue === 'string') {
+      fieldValue = fieldValue.trim();
+      if (!fieldValue) fieldValue = undefined;
+    }
+
+    if (fieldValue === undefined || fieldValue === null) {
+      if (rule.required) {
+        fields[name] = `${name} is required`;
+      } else if (rule.default !== undefined) {
+        value[name] = rule.default;
+      }
+      continue;
+    }
+
+    const error = checkRule(name, rule, fieldValue);
+    if (error) {
+      fields[name] = error;
+    } else {
+      value[name] = fieldValue;
+    }
+  }
+
+  return { value, fields: Object.keys(fields).length ? fields : null };
+}
+
+/**
+ * Check a present field value against its rule
+ * @param {string} name - Field name
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Field value (strings already trimmed)
+ * @returns {string|null} - Error message or null if valid
+ */
+function checkRule(name, rule, value) {
+  const typeError = checkType(name, rule, value);
+  if (typeError) {
+    return rule.message ? `${name} ${rule.message}` : typeError;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  return rule.check ? rule.check(value) || null : null;
+}
+
+/**
+ * Check a field's type and range
+ * @param {string} name - Field name
+ * @param {Object} rule - Schema rule
+ * @param {*} value - Field value
+ * @returns {string|null} - Error message or null if valid
+ */
+function checkType(name, rule, value) {
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      return `${name} must be a string`;
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return `${name} must be at most ${rule.maxLength} characters`;
+    }
+  }
+
+  if (rule.type === 'integer') {
+    const tooSmall = rule.min !== undefined && value < rule.min;
+    const tooLarge = rule.max !== undefined && value > rule.max;
+    if (!Number.isInteger(value) || tooSmall || tooLarge) {
+      if (rule.min !== undefined && rule.max !== undefined) {
+        return `${name} must be a whole number between ${rule.min} and ${rule.max}`;
+      }
+      if (rule.min !== undefined) {
+        return `${name} must be a whole number of at least ${rule.min}`;
+      }
+      if (rule.max !== undefined) {
+        return `${name} must be a whole number of at most ${rule.max}`;
+      }
+      return `${name} must be a whole number`;
+    }
+  }
+
+  if (rule.type === 'boolean' && typeof value !== 'boolean') {
+    return `${name} must be true or false`;
+  }
+
+  if (rule.type === 'uuid' && (typeof value !== 'string' || !UUID_PATTERN.test(value))) {
+    return `${name} must be a valid ID`;
+  }
+
+  if (rule.type === 'email') {
+    if (typeof value !== 'string' || value.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(value)) {
+      return `${name} must be a valid email address`;
+    }
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      return `${name} must be an array`;
+    }
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return `${name} must contain at least ${rule.minItems} item(s)`;
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return `${name} must contain at most ${rule.maxItems} items`;
+    }
+  }
+
+  return null;
+}
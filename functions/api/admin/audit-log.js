@@ -0,0 +1,64 @@
+/**
+ * GET /api/admin/audit-log
+ * Audit trail, newest first (admins only).
+ * Query: entityType, entityId, actorId, action (prefix, e.g. "score_flag."), limit, offset
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse } from '../../_shared/response.js';
+import { parsePagination } from '../../_shared/pagination.js';
+
+export const onRequest = route({
+  auth: 'admin',
+  GET: listAuditLog,
+});
+
+async function listAuditLog({ supabase, request }) {
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url);
+  const entityType = url.searchParams.get('entityType');
+  const entityId = url.searchParams.get('entityId');
+  const actorId = url.searchParams.get('actorId');
+  const action = url.searchParams.get('action');
+
+  let query = supabase
+    .from('audit_log')
+    .select('*, actor:players(id, display_name)', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (entityType) {
+    query = query.eq('entity_type', entityType);
+  }
+  if (entityId) {
+    query = query.eq('entity_id', entityId);
+  }
+  if (actorId) {
+    query = query.eq('actor_player_id', actorId);
+  }
+  if (action) {
+    query = query.like('action', `${action.replace(/[%_\\]/g, '\\$&')}%`);
+  }
+
+  const { data: entries, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({
+    entries: entries.map(entry => ({
+      id: entry.id,
+      action: entry.action,
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      actorId: entry.actor_player_id,
+      actorName: entry.actor?.display_name ?? null,
+      details: entry.details,
+      createdAt: entry.created_at,
+    })),
+    total: count || 0,
+    limit,
+    offset,
+  });
+}
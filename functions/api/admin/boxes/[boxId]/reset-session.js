@@ -0,0 +1,46 @@
+/**
+ * POST /api/admin/boxes/[boxId]/reset-session
+ * Abandon the open session holding a box so a new game can start (admins only)
+ */
+
+import { route } from '../../../../_shared/route.js';
+import { jsonResponse } from '../../../../_shared/response.js';
+import { normalizeBoxId } from '../../../../_shared/box-id.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../../../_shared/realtime.js';
+
+export const onRequest = route({
+  auth: 'admin',
+  POST: resetSession,
+});
+
+async function resetSession(context) {
+  const { supabase, params, player: admin } = context;
+  const boxId = normalizeBoxId(params.boxId);
+
+  const { data: reset, error: rpcError } = await supabase.rpc('reset_box_session', {
+    p_box_id: boxId,
+    p_admin_id: admin.id,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  for (const session of reset) {
+    publishSessionEvent(context, session.session_id, SESSION_EVENTS.SESSION_ENDED, {
+      status: 'abandoned',
+      endedBy: admin.id,
+    });
+  }
+
+  return jsonResponse({
+    success: true,
+    boxId,
+    sessions: reset.map(session => ({
+      id: session.session_id,
+      universeLevel: session.universe_level,
+      previousStatus: session.previous_status,
+    })),
+    message: reset.length > 0 ? 'Open session abandoned' : 'The box has no open session',
+  });
+}
@@ -0,0 +1,86 @@
+/**
+ * GET /api/admin/moderation
+ * Moderation queue: scores flagged as outliers for their level (admins only).
+ * Query: status (pending (default), approved, hidden, rejected or all), level, limit, offset
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { parsePagination } from '../../_shared/pagination.js';
+
+const FLAG_STATUSES = ['pending', 'approved', 'hidden', 'rejected'];
+
+export const onRequest = route({
+  auth: 'admin',
+  GET: listFlags,
+});
+
+async function listFlags({ supabase, request }) {
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url);
+  const status = url.searchParams.get('status') || 'pending';
+  const levelParam = url.searchParams.get('level');
+  const level = levelParam ? parseInt(levelParam, 10) : null;
+
+  if (status !== 'all' && !FLAG_STATUSES.includes(status)) {
+    return errorResponse(`status must be one of: ${FLAG_STATUSES.join(', ')}, all`);
+  }
+  if (levelParam && (isNaN(level) || level < 1 || level > 13)) {
+    return errorResponse('level must be between 1 and 13');
+  }
+
+  let query = supabase
+    .from('score_flags')
+    .select(`
+      *,
+      player:players!score_flags_player_id_fkey(id, display_name, is_guest),
+      reviewer:players!score_flags_reviewed_by_fkey(id, display_name)
+    `, { count: 'exact' })
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (level) {
+    query = query.eq('universe_level', level);
+  }
+
+  const { data: flags, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({
+    flags: flags.map(formatFlag),
+    total: count || 0,
+    status,
+    level,
+    limit,
+    offset,
+  });
+}
+
+function formatFlag(flag) {
+  return {
+    id: flag.id,
+    scoreHistoryId: flag.score_history_id,
+    sessionId: flag.session_id,
+    playerId: flag.player_id,
+    playerName: flag.player?.display_name ?? null,
+    isGuest: flag.player?.is_guest ?? null,
+    level: flag.universe_level,
+    finalNn: flag.final_nn,
+    reason: flag.reason,
+    zScore: flag.z_score !== null ? Number(flag.z_score) : null,
+    levelMean: flag.level_mean !== null ? Number(flag.level_mean) : null,
+    levelStddev: flag.level_stddev !== null ? Number(flag.level_stddev) : null,
+    sampleSize: flag.sample_size,
+    status: flag.status,
+    createdAt: flag.created_at,
+    reviewedBy: flag.reviewer?.display_name ?? flag.reviewed_by ?? null,
+    reviewedAt: flag.reviewed_at,
+    reviewNote: flag.review_note,
+  };
+}
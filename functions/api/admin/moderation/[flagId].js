@@ -0,0 +1,59 @@
+/**
+ * POST /api/admin/moderation/[flagId]
+ * Decide a flagged score (admins only): { action: "approve" | "hide" | "reject", note? }
+ *   approve - the score stays on the leaderboards
+ *   hide    - shadow-hidden from the level leaderboards; the player still sees it
+ *   reject  - the run stops counting and the player's best is re-derived
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+
+const ACTIONS = ['approve', 'hide', 'reject'];
+const MAX_NOTE_LENGTH = 200;
+
+const DECISION_SCHEMA = {
+  action: { type: 'string', required: true, enum: ACTIONS },
+  note: { type: 'string', maxLength: MAX_NOTE_LENGTH },
+};
+
+export const onRequest = route({
+  auth: 'admin',
+  schema: DECISION_SCHEMA,
+  POST: decideFlag,
+});
+
+async function decideFlag({ supabase, params, body, player: admin }) {
+  const flagId = params.flagId;
+  const { action } = body;
+  const note = body.note || null;
+
+  // Updates the run, re-derives the player's best and writes the audit
+  // entry in one transaction (see moderate_score_flag)
+  const { data: result, error: rpcError } = await supabase.rpc('moderate_score_flag', {
+    p_flag_id: flagId,
+    p_admin_id: admin.id,
+    p_action: action,
+    p_note: note,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'flag_not_found') {
+    return errorResponse('Flag not found', 404);
+  }
+  if (result.error === 'invalid_action') {
+    return errorResponse(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  return jsonResponse({
+    success: true,
+    flagId,
+    status: result.flag.status,
+    playerId: result.flag.player_id,
+    level: result.flag.universe_level,
+    bestNn: result.best_nn,
+  });
+}
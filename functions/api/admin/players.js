@@ -0,0 +1,67 @@
+/**
+ * GET /api/admin/players
+ * Search players by display name, email or exact ID (admins only).
+ * Query: q, limit, offset
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse } from '../../_shared/response.js';
+import { parsePagination } from '../../_shared/pagination.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const onRequest = route({
+  auth: 'admin',
+  GET: searchPlayers,
+});
+
+async function searchPlayers({ supabase, request }) {
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url, { defaultLimit: 20 });
+  const q = (url.searchParams.get('q') || '').trim();
+
+  let query = supabase
+    .from('players')
+    .select(`
+      id, display_name, email, is_guest, role, created_at,
+      totals:player_totals(total_best_nn, levels_completed)
+    `, { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (UUID_PATTERN.test(q)) {
+    query = query.eq('id', q);
+  } else if (q) {
+    // Characters with a meaning in PostgREST filters are dropped
+    const term = q.replace(/[,()*%\\]/g, '');
+    query = query.or(`display_name.ilike.*${term}*,email.ilike.*${term}*`);
+  }
+
+  const { data: players, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({
+    players: players.map(formatAdminPlayer),
+    total: count || 0,
+    q,
+    limit,
+    offset,
+  });
+}
+
+function formatAdminPlayer(player) {
+  const totals = Array.isArray(player.totals) ? player.totals[0] : player.totals;
+  return {
+    id: player.id,
+    displayName: player.display_name,
+    email: player.email,
+    isGuest: player.is_guest,
+    role: player.role,
+    createdAt: player.created_at,
+    totalBestNn: totals?.total_best_nn ?? 0,
+    levelsCompleted: totals?.levels_completed ?? 0,
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * /api/admin/players/[playerId] (admins only)
+ * GET - Player with their best score per level and owned boxes
+ * PUT - Rename the player: { displayName } (e.g. an offensive name)
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { MAX_NAME_LENGTH } from '../../../_shared/players.js';
+
+const RENAME_SCHEMA = {
+  displayName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+};
+
+export const onRequest = route({
+  auth: 'admin',
+  GET: getPlayer,
+  PUT: { schema: RENAME_SCHEMA, handler: renamePlayer },
+});
+
+async function getPlayer({ supabase, params }) {
+  const playerId = params.playerId;
+
+  const { data: player, error: playerError } = await supabase
+    .from('players')
+    .select('id, display_name, email, is_guest, role, created_at')
+    .eq('id', playerId)
+    .single();
+
+  if (playerError && playerError.code !== 'PGRST116') {
+    throw playerError;
+  }
+
+  if (!player) {
+    return errorResponse('Player not found', 404);
+  }
+
+  const [progressResult, boxesResult, sessionsResult] = await Promise.all([
+    supabase
+      .from('progress_journal')
+      .select('universe_level, best_nn, achieved_at, session_id')
+      .eq('player_id', playerId)
+      .order('universe_level', { ascending: true }),
+    supabase
+      .from('game_boxes')
+      .select('box_id, registered_at')
+      .eq('owner_player_id', playerId),
+    supabase
+      .from('session_players')
+      .select('id', { count: 'exact', head: true })
+      .eq('player_id', playerId),
+  ]);
+
+  for (const result of [progressResult, boxesResult, sessionsResult]) {
+    if (result.error) {
+      throw result.error;
+    }
+  }
+
+  return jsonResponse({
+    player: {
+      id: player.id,
+      displayName: player.display_name,
+      email: player.email,
+      isGuest: player.is_guest,
+      role: player.role,
+      createdAt: player.created_at,
+    },
+    progress: progressResult.data.map(entry => ({
+      level: entry.universe_level,
+      bestNn: entry.best_nn,
+      achievedAt: entry.achieved_at,
+      sessionId: entry.session_id,
+    })),
+    boxes: boxesResult.data.map(box => ({
+      boxId: box.box_id,
+      registeredAt: box.registered_at,
+    })),
+    sessionsPlayed: sessionsResult.count || 0,
+  });
+}
+
+async function renamePlayer({ supabase, params, body, player: admin }) {
+  const playerId = params.playerId;
+  const { displayName } = body;
+
+  const { data: previous, error: previousError } = await supabase
+    .from('players')
+    .select('display_name')
+    .eq('id', playerId)
+    .single();
+
+  if (previousError && previousError.code !== 'PGRST116') {
+    throw previousError;
+  }
+
+  if (!previous) {
+    return errorResponse('Player not found', 404);
+  }
+
+  const { error: updateError } = await supabase
+    .from('players')
+    .update({ display_name: displayName })
+    .eq('id', playerId);
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  const { error: auditError } = await supabase
+    .from('audit_log')
+    .insert({
+      actor_player_id: admin.id,
+      action: 'player.renamed',
+      entity_type: 'player',
+      entity_id: playerId,
+      details: { previous_display_name: previous.display_name, display_name: displayName },
+    });
+
+  if (auditError) {
+    throw auditError;
+  }
+
+  return jsonResponse({
+    success: true,
+    playerId,
+    displayName,
+    previousDisplayName: previous.display_name,
+  });
+}
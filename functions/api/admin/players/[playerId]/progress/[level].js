@@ -0,0 +1,44 @@
+/**
+ * DELETE /api/admin/players/[playerId]/progress/[level]
+ * Delete a fraudulent best score (admins only). The player's runs on the
+ * level are rejected so the entry is not rebuilt from score history.
+ */
+
+import { route } from '../../../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../../../_shared/response.js';
+
+export const onRequest = route({
+  auth: 'admin',
+  DELETE: deleteProgress,
+});
+
+async function deleteProgress({ supabase, params, player: admin }) {
+  const playerId = params.playerId;
+  const level = parseInt(params.level, 10);
+
+  if (isNaN(level) || level < 1 || level > 13) {
+    return errorResponse('Level must be between 1 and 13', 400);
+  }
+
+  const { data: result, error: rpcError } = await supabase.rpc('delete_progress_entry', {
+    p_player_id: playerId,
+    p_level: level,
+    p_admin_id: admin.id,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'entry_not_found') {
+    return errorResponse('The player has no best score on this level', 404);
+  }
+
+  return jsonResponse({
+    success: true,
+    playerId,
+    level,
+    deletedBestNn: result.entry.best_nn,
+    runsRejected: result.runs_rejected,
+  });
+}
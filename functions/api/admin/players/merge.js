@@ -0,0 +1,60 @@
+/**
+ * POST /api/admin/players/merge
+ * Merge a duplicate player into another and delete the duplicate (admins only).
+ * Body: { sourcePlayerId, targetPlayerId }
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+
+const MERGE_SCHEMA = {
+  sourcePlayerId: { type: 'uuid', required: true },
+  targetPlayerId: { type: 'uuid', required: true },
+};
+
+export const onRequest = route({
+  auth: 'admin',
+  schema: MERGE_SCHEMA,
+  POST: mergePlayers,
+});
+
+async function mergePlayers({ supabase, body, player: admin }) {
+  const { sourcePlayerId, targetPlayerId } = body;
+
+  if (sourcePlayerId === admin.id) {
+    return errorResponse('You cannot merge away your own account');
+  }
+
+  // Moves everything and re-derives bests in one transaction (see merge_players)
+  const { data: result, error: rpcError } = await supabase.rpc('merge_players', {
+    p_source_id: sourcePlayerId,
+    p_target_id: targetPlayerId,
+    p_admin_id: admin.id,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'same_player') {
+    return errorResponse('Cannot merge a player into itself');
+  }
+  if (result.error === 'source_not_found') {
+    return errorResponse('Source player not found', 404);
+  }
+  if (result.error === 'target_not_found') {
+    return errorResponse('Target player not found', 404);
+  }
+
+  return jsonResponse({
+    success: true,
+    player: {
+      id: result.player.id,
+      displayName: result.player.display_name,
+      email: result.player.email,
+      isGuest: result.player.is_guest,
+    },
+    sessionsMoved: result.sessions_moved,
+    scoresMoved: result.scores_moved,
+  });
+}
@@ -0,0 +1,49 @@
+/**
+ * POST /api/auth/guest
+ * Issue a signed guest identity (HttpOnly cookie) or return the current one.
+ * The guest can later be upgraded to a full account via magic link.
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse } from '../../_shared/response.js';
+import { createGuestPlayer, getCookiePlayer, MAX_NAME_LENGTH } from '../../_shared/players.js';
+
+const DEFAULT_GUEST_NAME = 'Guest';
+
+const GUEST_SCHEMA = {
+  displayName: { type: 'string', maxLength: MAX_NAME_LENGTH, default: DEFAULT_GUEST_NAME },
+};
+
+export const onRequest = route({
+  schema: GUEST_SCHEMA,
+  POST: issueGuest,
+});
+
+async function issueGuest({ supabase, request, env, body }) {
+  const { displayName } = body;
+
+  // Reuse an existing identity (guest or signed-in) from the cookie
+  const existingPlayer = await getCookiePlayer(supabase, request, env);
+  if (existingPlayer) {
+    return jsonResponse({
+      player: formatPlayer(existingPlayer),
+      created: false,
+    });
+  }
+
+  const { player, cookie } = await createGuestPlayer(supabase, env, displayName);
+
+  return jsonResponse({
+    player: formatPlayer(player),
+    created: true,
+  }, 201, { 'Set-Cookie': cookie });
+}
+
+function formatPlayer(player) {
+  return {
+    id: player.id,
+    displayName: player.display_name,
+    isGuest: player.is_guest,
+    createdAt: player.created_at,
+  };
+}
@@ -1,69 +1,52 @@
 /**
  * GET /api/auth/me
- * Get current authenticated user from cookie
+ * Get current authenticated user from cookie.
+ * Guests also carry a signed cookie: their player is returned with
+ * `authenticated: false` so callers can still tell them apart.
  */
 
-import { getCurrentPlayer } from '../../_shared/auth.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
-import { createSupabaseClient } from '../../_shared/supabase.js';
-
-export async function onRequestOptions(context) {
-  return handleCors(context.request, context.env);
-}
-
-export async function onRequestGet(context) {
-  const { request, env } = context;
-
-  try {
-    // Get player from auth cookie
-    const player = await getCurrentPlayer(request, env);
-
-    if (!player) {
-      // Not authenticated - return unauthenticated response
-      return withCors(
-        jsonResponse({
-          player: null,
-          authenticated: false,
-        }),
-        request, env
-      );
-    }
-
-    // Optionally fetch fresh player data from database
-    const supabase = createSupabaseClient(env);
-    const { data: dbPlayer, error } = await supabase
-      .from('players')
-      .select('id, display_name, email, is_guest, created_at')
-      .eq('id', player.id)
-      .single();
-
-    if (error || !dbPlayer) {
-      // Player not found in DB (deleted?) - return unauthenticated
-      return withCors(
-        jsonResponse({
-          player: null,
-          authenticated: false,
-        }),
-        request, env
-      );
-    }
+import { route } from '../../_shared/route.js';
+import { jsonResponse } from '../../_shared/response.js';
+
+export const onRequest = route({
+  auth: 'optional',
+  GET: getMe,
+});
+
+async function getMe({ supabase, player }) {
+  if (!player) {
+    // Not authenticated - return unauthenticated response
+    return jsonResponse({
+      player: null,
+      authenticated: false,
+    });
+  }
 
-    // Return authenticated player data
-    return withCors(
-      jsonResponse({
-        player: {
-          id: dbPlayer.id,
-          displayName: dbPlayer.display_name,
-          email: dbPlayer.email,
-          isGuest: dbPlayer.is_guest,
-          createdAt: dbPlayer.created_at,
-        },
-        authenticated: true,
-      }),
-      request, env
-    );
-  } catch (error) {
-    console.error('Error in /api/auth/me:', error);
-    return withCors(errorResponse('Internal server error', 500), request, env);
+  // Optionally fetch fresh player data from database
+  const { data: dbPlayer, error } = await supabase
+    .from('players')
+    .select('id, display_name, email, is_guest, role, created_at')
+    .eq('id', player.id)
+    .single();
+
+  if (error || !dbPlayer) {
+    // Player not found in DB (deleted?) - return unauthenticated
+    return jsonResponse({
+      player: null,
+      authenticated: false,
+    });
   }
-}
\ No newline at end of file
+
+  // Return player data (authenticated only for non-guests)
+  return jsonResponse({
+    player: {
+      id: dbPlayer.id,
+      displayName: dbPlayer.display_name,
+      email: dbPlayer.email,
+      isGuest: dbPlayer.is_guest,
+      role: dbPlayer.role,
+      createdAt: dbPlayer.created_at,
+    },
+    authenticated: !dbPlayer.is_guest,
+  });
+}
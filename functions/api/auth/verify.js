@@ -1,8 +1,12 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
+import { route } from '../../_shared/route.js';
 import { createAuthToken, createAuthCookie } from '../../_shared/auth.js';
 
-export async function onRequest(context) {
-  const { env, request } = context;
+export const onRequest = route({
+  GET: verifyMagicLink,
+});
+
+async function verifyMagicLink(context) {
+  const { env, request, log } = context;
   const url = new URL(request.url);
   const token = url.searchParams.get('token');
   const returnUrl = url.searchParams.get('return_url');
@@ -32,12 +36,12 @@ export async function onRequest(context) {
   }
 
   if (!env.JWT_SECRET) {
-    console.error('JWT_SECRET environment variable is not set');
+    log.error('jwt-secret-missing');
     return errorRedirect('Server configuration error. Please contact support.');
   }
 
   try {
-    const supabase = createSupabaseClient(env);
+    const supabase = context.supabase;
 
     // Find the magic token
     const { data: magicToken, error: findError } = await supabase
@@ -48,7 +52,7 @@ export async function onRequest(context) {
       .single();
 
     if (findError || !magicToken) {
-      console.log('Token lookup failed:', findError?.message || 'Token not found or already used');
+      log.info('magic-token-not-found', { error: findError });
       // Check if token exists but was used
       const { data: usedToken } = await supabase
         .from('magic_tokens')
@@ -86,7 +90,7 @@ export async function onRequest(context) {
     if (emailPlayer) {
       // Use the existing account - this player may have progress/levels unlocked
       player = emailPlayer;
-      console.log('Using existing account for email:', magicToken.email, 'player_id:', player.id);
+      log.info('magic-link-existing-account', { playerId: player.id });
     }
     // SECOND: If no existing account for this email, check if we should upgrade a guest
     else if (magicToken.player_id) {
@@ -109,7 +113,7 @@ export async function onRequest(context) {
         player = guestPlayer;
         player.is_guest = false;
         player.email = magicToken.email;
-        console.log('Upgraded guest player:', player.id, 'with email:', magicToken.email);
+        log.info('guest-upgraded', { playerId: player.id });
       }
     }
 
@@ -127,7 +131,7 @@ export async function onRequest(context) {
         .single();
 
       if (createError) {
-        console.error('Create player error:', createError);
+        log.error('player-create-failed', { error: createError });
         return errorRedirect('Failed to create account');
       }
 
@@ -139,12 +143,12 @@ export async function onRequest(context) {
     try {
       authToken = await createAuthToken(player, env.JWT_SECRET);
     } catch (jwtError) {
-      console.error('JWT creation failed:', jwtError.message);
+      log.error('auth-token-create-failed', { playerId: player.id, error: jwtError });
       return errorRedirect('Authentication error. Please contact support.');
     }
     const cookie = createAuthCookie(authToken, env);
 
-    console.log('Verify success - Player:', player.id, player.display_name);
+    log.info('magic-link-verified', { playerId: player.id });
 
     // Redirect to return URL (if valid) or profile page
     let redirectUrl;
@@ -165,7 +169,7 @@ export async function onRequest(context) {
       },
     });
   } catch (error) {
-    console.error('Verify error:', error.name, error.message, error.stack);
-    return errorRedirect(`Something went wrong: ${error.message || 'Unknown error'}. Please try again.`);
+    log.error('magic-link-verify-failed', { error });
+    return errorRedirect(`Something went wrong. Please try again (reference ${context.data?.requestId}).`);
   }
 }
\ No newline at end of file
@@ -1,38 +1,28 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
-
-export async function onRequest(context) {
-  const { params, env, request } = context;
-  const boxId = params.boxId;
-
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { resolveIssuedBoxId } from '../../_shared/box-id.js';
+import { OPEN_SESSION_STATUSES } from '../../_shared/sessions.js';
+
+const REGISTER_SCHEMA = {
+  email: { type: 'email' },
+};
+
+export const onRequest = route({
+  GET: getBox,
+  POST: { schema: REGISTER_SCHEMA, handler: registerBox },
+});
+
+async function getBox({ supabase, params }) {
+  // Only printed boxes exist as far as players are concerned
+  const { boxId, error: boxIdError, status } = await resolveIssuedBoxId(supabase, params.boxId);
+  if (boxIdError) {
+    return errorResponse(boxIdError, status);
   }
 
-  try {
-    const supabase = createSupabaseClient(env);
-
-    if (request.method === 'GET') {
-      return withCors(await handleGet(supabase, boxId), request, env);
-    }
-
-    if (request.method === 'POST') {
-      const body = await request.json();
-      return withCors(await handlePost(supabase, boxId, body), request, env);
-    }
-
-    return withCors(errorResponse('Method not allowed', 405), request, env);
-  } catch (error) {
-    console.error('Box API error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
-  }
-}
-
-async function handleGet(supabase, boxId) {
   // Check if box exists
-  const { data: box, error: boxError } = await supabase
+  const { data: boxRow, error: boxError } = await supabase
     .from('game_boxes')
-    .select('box_id, registered_at, owner_player_id')
+    .select('box_id, registered_at, owner_player_id, registration_email')
     .eq('box_id', boxId)
     .single();
 
@@ -40,12 +30,19 @@ async function handleGet(supabase, boxId) {
     throw boxError;
   }
 
-  // Check for active session
+  // The registration email itself stays private; claims are confirmed by
+  // mailing it, so only boxes that have one can be claimed
+  const { registration_email: registrationEmail, ...box } = boxRow || {};
+  const claimable = !!boxRow && !box.owner_player_id && !!registrationEmail;
+
+  // Check for an open session (active, or with an end vote in progress).
+  // Idle sessions are left out: starting a new game abandons them.
   const { data: activeSession, error: sessionError } = await supabase
     .from('sessions')
     .select('id, universe_level, status, started_at, host_player_id')
     .eq('box_id', boxId)
-    .eq('status', 'active')
+    .in('status', OPEN_SESSION_STATUSES)
+    .is('pending_end_at', null)
     .single();
 
   if (sessionError && sessionError.code !== 'PGRST116') {
@@ -71,8 +68,9 @@ async function handleGet(supabase, boxId) {
 
   return jsonResponse({
     boxId,
-    registered: !!box,
-    box: box || null,
+    registered: !!boxRow,
+    box: boxRow ? box : null,
+    claimable,
     activeSession: activeSession ? {
       ...activeSession,
       playerCount,
@@ -81,7 +79,12 @@ async function handleGet(supabase, boxId) {
   });
 }
 
-async function handlePost(supabase, boxId, body) {
+async function registerBox({ supabase, params, body }) {
+  const { boxId, error: boxIdError, status } = await resolveIssuedBoxId(supabase, params.boxId);
+  if (boxIdError) {
+    return errorResponse(boxIdError, status);
+  }
+
   const { email } = body;
 
   // Check if box already exists
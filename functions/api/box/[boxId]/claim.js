@@ -0,0 +1,182 @@
+/**
+ * /api/box/[boxId]/claim
+ * POST: signed-in player requests ownership; a confirmation link is emailed
+ *       to the box's registration email; boxes without one cannot be claimed
+ * GET ?token=...: confirmation link target, assigns the owner and redirects
+ *       to the box page
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { generateToken, sendBoxClaimEmail } from '../../../_shared/email.js';
+import { normalizeBoxId } from '../../../_shared/box-id.js';
+
+const CLAIM_EXPIRY_MINUTES = 60;
+
+export const onRequest = route({
+  GET: confirmClaim,
+  POST: { auth: 'player', handler: requestClaim },
+});
+
+async function requestClaim({ supabase, params, request, env, player: actor, log }) {
+  const boxId = normalizeBoxId(params.boxId);
+
+  if (actor.isGuest) {
+    return errorResponse('Sign in with your email to claim a box', 403);
+  }
+
+  const { data: box, error: boxError } = await supabase
+    .from('game_boxes')
+    .select('box_id, owner_player_id, registration_email')
+    .eq('box_id', boxId)
+    .single();
+
+  if (boxError && boxError.code !== 'PGRST116') {
+    throw boxError;
+  }
+
+  if (!box) {
+    return errorResponse('Box not found', 404);
+  }
+
+  if (box.owner_player_id === actor.id) {
+    return jsonResponse({
+      success: true,
+      alreadyOwner: true,
+      message: 'You already own this box',
+    });
+  }
+
+  if (box.owner_player_id) {
+    return errorResponse('This box already has an owner', 409);
+  }
+
+  // Only whoever registered the box may confirm; a claimant must never
+  // approve their own claim
+  if (!box.registration_email) {
+    return errorResponse('This box has no registration email, so ownership cannot be confirmed', 409);
+  }
+
+  const { data: player, error: playerError } = await supabase
+    .from('players')
+    .select('id, display_name')
+    .eq('id', actor.id)
+    .single();
+
+  if (playerError) {
+    throw playerError;
+  }
+
+  const confirmEmail = box.registration_email;
+
+  const token = generateToken(32);
+  const expiresAt = new Date(Date.now() + CLAIM_EXPIRY_MINUTES * 60 * 1000).toISOString();
+
+  const { error: claimError } = await supabase
+    .from('box_claims')
+    .insert({
+      box_id: boxId,
+      player_id: player.id,
+      email: confirmEmail,
+      token,
+      expires_at: expiresAt,
+    });
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  const appOrigin = env.APP_URL || new URL(request.url).origin;
+  const confirmUrl = new URL(`${appOrigin}/api/box/${encodeURIComponent(boxId)}/claim`);
+  confirmUrl.searchParams.set('token', token);
+  const confirmLink = confirmUrl.toString();
+
+  try {
+    await sendBoxClaimEmail(confirmEmail, boxId, confirmLink, player.display_name, env);
+  } catch (emailError) {
+    log.error('box-claim-email-failed', { boxId, error: emailError });
+
+    await supabase
+      .from('box_claims')
+      .delete()
+      .eq('token', token);
+
+    return errorResponse('Could not send the confirmation email - please try again later', 503);
+  }
+
+  return jsonResponse({
+    success: true,
+    message: 'Check the email this box was registered with to confirm ownership.',
+  });
+}
+
+/**
+ * Confirm a claim from the emailed link and redirect to the box page
+ * @param {Object} context - Route context
+ * @returns {Promise<Response>} - Redirect response
+ */
+async function confirmClaim(context) {
+  const { params, request, env, log } = context;
+  const boxId = normalizeBoxId(params.boxId);
+  const url = new URL(request.url);
+  const token = url.searchParams.get('token');
+  const appUrl = env.APP_URL || url.origin;
+  const boxPage = `${appUrl}/box.html?id=${encodeURIComponent(boxId)}`;
+
+  const errorRedirect = (message) => {
+    return Response.redirect(`${boxPage}&claim_error=${encodeURIComponent(message)}`, 302);
+  };
+
+  if (!token) {
+    return errorRedirect('Invalid link');
+  }
+
+  try {
+    const supabase = context.supabase;
+
+    const { data: claim, error: claimError } = await supabase
+      .from('box_claims')
+      .select('*')
+      .eq('token', token)
+      .eq('box_id', boxId)
+      .single();
+
+    if (claimError || !claim) {
+      return errorRedirect('Link is invalid. Please request a new one.');
+    }
+
+    if (claim.confirmed_at) {
+      return errorRedirect('This link has already been used.');
+    }
+
+    if (new Date(claim.expires_at) < new Date()) {
+      return errorRedirect('Link has expired. Please request a new one.');
+    }
+
+    // Only take unowned boxes, so two pending claims cannot both win
+    const { data: updatedBoxes, error: updateError } = await supabase
+      .from('game_boxes')
+      .update({ owner_player_id: claim.player_id })
+      .eq('box_id', boxId)
+      .is('owner_player_id', null)
+      .select('box_id');
+
+    if (updateError) {
+      throw updateError;
+    }
+
+    if (!updatedBoxes || updatedBoxes.length === 0) {
+      return errorRedirect('This box already has an owner');
+    }
+
+    await supabase
+      .from('box_claims')
+      .update({ confirmed_at: new Date().toISOString() })
+      .eq('id', claim.id);
+
+    return Response.redirect(`${boxPage}&claimed=1`, 302);
+  } catch (error) {
+    log.error('box-claim-confirm-failed', { boxId, error });
+    return errorRedirect(`Something went wrong. Please try again (reference ${context.data?.requestId}).`);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * GET /api/box/[boxId]/qr.svg
+ * QR code deep-linking to the join page for a box, for reprinting lost labels.
+ * Query: label=1 to print the box ID under the code
+ */
+
+import { route } from '../../../_shared/route.js';
+import { errorResponse, svgResponse } from '../../../_shared/response.js';
+import { resolveIssuedBoxId } from '../../../_shared/box-id.js';
+import { getBoxJoinUrl, renderBoxQrSvg } from '../../../_shared/box-labels.js';
+
+export const onRequest = route({
+  GET: renderBoxQr,
+});
+
+async function renderBoxQr({ supabase, params, request, env }) {
+  const { boxId, error: boxIdError, status } = await resolveIssuedBoxId(supabase, params.boxId);
+  if (boxIdError) {
+    return errorResponse(boxIdError, status);
+  }
+
+  const url = new URL(request.url);
+  const svg = renderBoxQrSvg(boxId, getBoxJoinUrl(request, env, boxId), {
+    label: url.searchParams.get('label') === '1',
+  });
+
+  return svgResponse(svg, {
+    'Cache-Control': 'public, max-age=86400',
+    'Content-Disposition': `inline; filename="${boxId}.svg"`,
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * GET /api/box/[boxId]/sessions
+ * Every session played on a box with its players and scores (owner only)
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { parsePagination } from '../../../_shared/pagination.js';
+import { normalizeBoxId } from '../../../_shared/box-id.js';
+
+export const onRequest = route({
+  auth: 'player',
+  GET: listBoxSessions,
+});
+
+async function listBoxSessions({ supabase, params, request, player: actor }) {
+  const boxId = normalizeBoxId(params.boxId);
+
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url, { defaultLimit: 20 });
+
+  const { data: box, error: boxError } = await supabase
+    .from('game_boxes')
+    .select('box_id, owner_player_id')
+    .eq('box_id', boxId)
+    .single();
+
+  if (boxError && boxError.code !== 'PGRST116') {
+    throw boxError;
+  }
+
+  if (!box) {
+    return errorResponse('Box not found', 404);
+  }
+
+  if (box.owner_player_id !== actor.id) {
+    return errorResponse('Only the box owner can view its sessions', 403);
+  }
+
+  const { data: sessions, error: sessionsError, count } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      universe_level,
+      status,
+      started_at,
+      ended_at,
+      host_player_id,
+      session_players(
+        player_id,
+        race,
+        starting_nn,
+        final_nn,
+        players(display_name, is_guest)
+      )
+    `, { count: 'exact' })
+    .eq('box_id', boxId)
+    .order('started_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (sessionsError) {
+    throw sessionsError;
+  }
+
+  const formattedSessions = (sessions || []).map(session => ({
+    id: session.id,
+    universeLevel: session.universe_level,
+    status: session.status,
+    startedAt: session.started_at,
+    endedAt: session.ended_at,
+    players: (session.session_players || [])
+      .map(sp => ({
+        playerId: sp.player_id,
+        name: sp.players?.display_name || 'Unknown',
+        isGuest: sp.players?.is_guest,
+        isHost: sp.player_id === session.host_player_id,
+        color: sp.race,
+        startingNn: sp.starting_nn,
+        finalNn: sp.final_nn,
+      }))
+      .sort((a, b) => (b.finalNn ?? -Infinity) - (a.finalNn ?? -Infinity)),
+  }));
+
+  return jsonResponse({
+    boxId,
+    sessions: formattedSessions,
+    total: count || 0,
+    limit,
+    offset,
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * POST /api/box/import
+ * Publisher-side import of printed box IDs into the issued allowlist.
+ * Auth: `Authorization: Bearer <PUBLISHER_API_KEY>`
+ * Body: { boxIds: string[], batch?: string }
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse, ERROR_CODES } from '../../_shared/response.js';
+import { validateBoxId } from '../../_shared/box-id.js';
+
+const MAX_IMPORT_SIZE = 1000;
+
+const IMPORT_SCHEMA = {
+  boxIds: { type: 'array', required: true, minItems: 1, maxItems: MAX_IMPORT_SIZE },
+  batch: { type: 'string', maxLength: 100 },
+};
+
+export const onRequest = route({
+  auth: 'publisher',
+  schema: IMPORT_SCHEMA,
+  POST: importBoxIds,
+});
+
+async function importBoxIds({ supabase, body }) {
+  const { boxIds, batch } = body;
+
+  // Reject the whole import if any ID is malformed, so a bad print file is noticed
+  const invalid = [];
+  const validIds = new Set();
+  for (const input of boxIds) {
+    const { boxId, error } = validateBoxId(input);
+    if (error) {
+      invalid.push({ boxId: input, error });
+    } else {
+      validIds.add(boxId);
+    }
+  }
+
+  if (invalid.length > 0) {
+    const message = `${invalid.length} invalid box ID(s)`;
+    return errorResponse(message, 400, {
+      code: ERROR_CODES.VALIDATION_FAILED,
+      fields: { boxIds: message },
+      invalid,
+    });
+  }
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('issued_box_ids')
+    .upsert(
+      Array.from(validIds, boxId => ({ box_id: boxId, batch: batch || null })),
+      { onConflict: 'box_id', ignoreDuplicates: true }
+    )
+    .select('box_id');
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  const importedCount = inserted?.length || 0;
+
+  return jsonResponse({
+    success: true,
+    imported: importedCount,
+    alreadyIssued: validIds.size - importedCount,
+  }, 201);
+}
@@ -0,0 +1,60 @@
+/**
+ * GET /api/box/labels.svg?from=NE-2026-00003&to=NE-2026-00999
+ * Printable label sheet for every issued box ID in a range (publisher only).
+ * Auth: `Authorization: Bearer <PUBLISHER_API_KEY>`
+ */
+
+import { route } from '../../_shared/route.js';
+import { errorResponse, svgResponse } from '../../_shared/response.js';
+import { validateBoxId } from '../../_shared/box-id.js';
+import { getBoxJoinUrl, renderLabelSheetSvg } from '../../_shared/box-labels.js';
+
+const MAX_LABELS_PER_SHEET = 100;
+
+export const onRequest = route({
+  auth: 'publisher',
+  GET: renderLabelSheet,
+});
+
+async function renderLabelSheet({ supabase, request, env }) {
+  const url = new URL(request.url);
+  const from = validateBoxId(url.searchParams.get('from'));
+  const to = validateBoxId(url.searchParams.get('to') || url.searchParams.get('from'));
+  if (from.error || to.error) {
+    return errorResponse(`from/to: ${from.error || to.error}`, 400);
+  }
+  if (from.boxId > to.boxId) {
+    return errorResponse('from must not be after to', 400);
+  }
+
+  // The fixed-width format sorts lexically in serial order
+  const { data: issued, error } = await supabase
+    .from('issued_box_ids')
+    .select('box_id')
+    .gte('box_id', from.boxId)
+    .lte('box_id', to.boxId)
+    .order('box_id', { ascending: true })
+    .limit(MAX_LABELS_PER_SHEET + 1);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!issued || issued.length === 0) {
+    return errorResponse('No issued box IDs in this range', 404);
+  }
+
+  if (issued.length > MAX_LABELS_PER_SHEET) {
+    return errorResponse(`At most ${MAX_LABELS_PER_SHEET} labels per sheet - narrow the range`, 400);
+  }
+
+  const svg = renderLabelSheetSvg(issued.map(({ box_id: boxId }) => ({
+    boxId,
+    joinUrl: getBoxJoinUrl(request, env, boxId),
+  })));
+
+  return svgResponse(svg, {
+    'Cache-Control': 'no-store',
+    'Content-Disposition': `inline; filename="labels-${from.boxId}-${to.boxId}.svg"`,
+  });
+}
@@ -0,0 +1,103 @@
+/**
+ * /api/dev/outbox
+ * Emails stored by the outbox transport (EMAIL_TRANSPORT=outbox), for
+ * following magic links and claim links in development and CI. Not found
+ * unless the outbox is enabled (see isOutboxEnabled) and, when
+ * DEV_OUTBOX_TOKEN is set, the request carries it as a bearer token.
+ * GET: messages, newest first. Query: to (recipient), limit, offset
+ * DELETE: empty the outbox (or only the messages to ?to=)
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { parsePagination } from '../../_shared/pagination.js';
+import { isOutboxEnabled } from '../../_shared/email-transports.js';
+import { timingSafeEqual } from '../../_shared/publisher.js';
+
+const LINK_PATTERN = /https?:\/\/[^\s"'<>]+/g;
+
+const outboxRoute = route({
+  GET: listOutbox,
+  DELETE: clearOutbox,
+});
+
+export async function onRequest(context) {
+  // Disabled or unauthorized look the same, so nothing reveals the endpoint
+  if (!isOutboxEnabled(context.env) || !hasOutboxToken(context)) {
+    return errorResponse('Not found', 404);
+  }
+  return outboxRoute(context);
+}
+
+/**
+ * Check the DEV_OUTBOX_TOKEN bearer token (not needed locally without one)
+ * @param {Object} context - Function context
+ * @returns {boolean}
+ */
+function hasOutboxToken({ request, env }) {
+  if (!env.DEV_OUTBOX_TOKEN) {
+    return true;
+  }
+
+  const authHeader = request.headers.get('Authorization') || '';
+  const providedToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  return timingSafeEqual(providedToken, env.DEV_OUTBOX_TOKEN);
+}
+
+async function listOutbox({ supabase, request }) {
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url);
+  const to = url.searchParams.get('to');
+
+  let query = supabase
+    .from('email_outbox')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (to) {
+    query = query.eq('to_email', to.trim().toLowerCase());
+  }
+
+  const { data: messages, error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({
+    messages: messages.map(message => ({
+      id: message.id,
+      from: message.from_email,
+      to: message.to_email,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      links: (message.text || '').match(LINK_PATTERN) || [],
+      createdAt: message.created_at,
+    })),
+    total: count || 0,
+    limit,
+    offset,
+  });
+}
+
+async function clearOutbox({ supabase, request }) {
+  const to = new URL(request.url).searchParams.get('to');
+
+  let query = supabase
+    .from('email_outbox')
+    .delete({ count: 'exact' });
+
+  query = to
+    ? query.eq('to_email', to.trim().toLowerCase())
+    : query.not('id', 'is', null);
+
+  const { error, count } = await query;
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({ success: true, deleted: count || 0 });
+}
@@ -1,74 +1,66 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { parsePagination } from '../../_shared/pagination.js';
+import { RANK_MODES, parseRankMode, formatRank } from '../../_shared/ranking.js';
+import { PERIODS, parsePeriod, getPeriodStart } from '../../_shared/periods.js';
 
-export async function onRequest(context) {
-  const { env, request } = context;
+const COLUMNS = 'rank, dense_rank, tie_count, player_id, display_name, is_guest, total_best_nn, levels_completed, highest_level, achieved_at';
 
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
-  }
+export const onRequest = route({
+  GET: getGlobalLeaderboard,
+});
 
-  if (request.method !== 'GET') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
+async function getGlobalLeaderboard({ supabase, request }) {
+  const url = new URL(request.url);
+  const rankMode = parseRankMode(url);
+  if (!rankMode) {
+    return errorResponse(`rankMode must be one of: ${RANK_MODES.join(', ')}`, 400);
   }
 
-  try {
-    const supabase = createSupabaseClient(env);
-    const url = new URL(request.url);
-    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
-    const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+  const period = parsePeriod(url);
+  if (!period) {
+    return errorResponse(`period must be one of: ${PERIODS.join(', ')}`, 400);
+  }
 
-    // Aggregate best scores across all levels for each player
-    // Total Nn = sum of best_nn from all levels
-    const { data: rankings, error } = await supabase
-      .from('progress_journal')
-      .select(`
-        player_id,
-        best_nn,
-        players!inner(id, display_name, is_guest)
-      `)
-      .order('best_nn', { ascending: false });
+  const { limit, offset } = parsePagination(url);
+  const periodStart = getPeriodStart(period);
 
-    if (error) {
-      throw error;
-    }
+  // All-time totals and ranks are maintained in the database (player_totals +
+  // global_leaderboard view); windowed boards are computed from the
+  // session scores completed since the window start.
+  // Either way only the requested page is read, ties broken by who reached the total first.
+  const source = periodStart
+    ? supabase.rpc('global_leaderboard_since', { p_since: periodStart.toISOString() }, { count: 'exact' }).select(COLUMNS)
+    : supabase.from('global_leaderboard').select(COLUMNS, { count: 'exact' });
 
-    // Aggregate by player: sum their best_nn across all levels
-    const playerScores = new Map();
+  const { data: rankings, error, count } = await source
+    .order('rank', { ascending: true })
+    .order('achieved_at', { ascending: true, nullsFirst: false })
+    .order('player_id', { ascending: true })
+    .range(offset, offset + limit - 1);
 
-    for (const record of rankings || []) {
-      const playerId = record.player_id;
-      if (!playerScores.has(playerId)) {
-        playerScores.set(playerId, {
-          playerId,
-          name: record.players.display_name,
-          isGuest: record.players.is_guest,
-          totalBestNn: 0,
-          levelsCompleted: 0,
-        });
-      }
-      const player = playerScores.get(playerId);
-      player.totalBestNn += record.best_nn || 0;
-      player.levelsCompleted += 1;
-    }
+  if (error) {
+    throw error;
+  }
 
-    // Sort by total Nn descending
-    const sortedRankings = Array.from(playerScores.values())
-      .sort((a, b) => b.totalBestNn - a.totalBestNn)
-      .slice(offset, offset + limit)
-      .map((player, index) => ({
-        rank: offset + index + 1,
-        ...player,
-      }));
+  const formattedRankings = (rankings || []).map(record => ({
+    ...formatRank(record, rankMode),
+    playerId: record.player_id,
+    name: record.display_name,
+    isGuest: record.is_guest,
+    totalBestNn: record.total_best_nn,
+    levelsCompleted: record.levels_completed,
+    highestLevel: record.highest_level,
+    achievedAt: record.achieved_at,
+  }));
 
-    return withCors(jsonResponse({
-      rankings: sortedRankings,
-      total: playerScores.size,
-      limit,
-      offset,
-    }), request, env);
-  } catch (error) {
-    console.error('Leaderboard API error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
-  }
-}
\ No newline at end of file
+  return jsonResponse({
+    rankings: formattedRankings,
+    total: count || 0,
+    period,
+    periodStart: periodStart ? periodStart.toISOString() : null,
+    rankMode,
+    limit,
+    offset,
+  });
+}
@@ -1,64 +1,72 @@
-import { createSupabaseClient } from '../../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../../_shared/response.js';
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { parsePagination } from '../../../_shared/pagination.js';
+import { RANK_MODES, parseRankMode, formatRank } from '../../../_shared/ranking.js';
+import { PERIODS, parsePeriod, getPeriodStart } from '../../../_shared/periods.js';
 
-export async function onRequest(context) {
-  const { params, env, request } = context;
-  const level = parseInt(params.level, 10);
+const COLUMNS = 'rank, dense_rank, tie_count, player_id, display_name, is_guest, best_nn, achieved_at';
 
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
-  }
+export const onRequest = route({
+  GET: getLevelLeaderboard,
+});
 
-  if (request.method !== 'GET') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
-  }
+async function getLevelLeaderboard({ supabase, params, request }) {
+  const level = parseInt(params.level, 10);
 
   // Validate level
   if (isNaN(level) || level < 1 || level > 13) {
-    return withCors(errorResponse('Level must be between 1 and 13', 400), request, env);
+    return errorResponse('Level must be between 1 and 13', 400);
   }
 
-  try {
-    const supabase = createSupabaseClient(env);
-    const url = new URL(request.url);
-    const limit = parseInt(url.searchParams.get('limit') || '50', 10);
-    const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+  const url = new URL(request.url);
+  const rankMode = parseRankMode(url);
+  if (!rankMode) {
+    return errorResponse(`rankMode must be one of: ${RANK_MODES.join(', ')}`, 400);
+  }
 
-    // Get rankings for specific level
-    const { data: rankings, error, count } = await supabase
-      .from('progress_journal')
-      .select(`
-        player_id,
-        best_nn,
-        achieved_at,
-        players!inner(id, display_name, is_guest)
-      `, { count: 'exact' })
-      .eq('universe_level', level)
-      .order('best_nn', { ascending: false })
-      .range(offset, offset + limit - 1);
+  const period = parsePeriod(url);
+  if (!period) {
+    return errorResponse(`period must be one of: ${PERIODS.join(', ')}`, 400);
+  }
+
+  const { limit, offset } = parsePagination(url);
+  const periodStart = getPeriodStart(period);
 
-    if (error) {
-      throw error;
-    }
+  // Get rankings for specific level (all-time from progress_journal, windowed
+  // from score history); equal scores share a rank and the earliest
+  // achiever is listed first. Scores hidden or rejected by moderation are
+  // left out by the view and the function.
+  const source = periodStart
+    ? supabase.rpc('level_leaderboard_since', { p_level: level, p_since: periodStart.toISOString() }, { count: 'exact' }).select(COLUMNS)
+    : supabase.from('level_leaderboard').select(COLUMNS, { count: 'exact' }).eq('universe_level', level);
 
-    const formattedRankings = (rankings || []).map((record, index) => ({
-      rank: offset + index + 1,
-      playerId: record.player_id,
-      name: record.players.display_name,
-      isGuest: record.players.is_guest,
-      bestNn: record.best_nn,
-      achievedAt: record.achieved_at,
-    }));
+  const { data: rankings, error, count } = await source
+    .order('rank', { ascending: true })
+    .order('achieved_at', { ascending: true })
+    .order('player_id', { ascending: true })
+    .range(offset, offset + limit - 1);
 
-    return withCors(jsonResponse({
-      rankings: formattedRankings,
-      total: count || 0,
-      level,
-      limit,
-      offset,
-    }), request, env);
-  } catch (error) {
-    console.error('Level leaderboard API error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
+  if (error) {
+    throw error;
   }
-}
\ No newline at end of file
+
+  const formattedRankings = (rankings || []).map(record => ({
+    ...formatRank(record, rankMode),
+    playerId: record.player_id,
+    name: record.display_name,
+    isGuest: record.is_guest,
+    bestNn: record.best_nn,
+    achievedAt: record.achieved_at,
+  }));
+
+  return jsonResponse({
+    rankings: formattedRankings,
+    total: count || 0,
+    level,
+    period,
+    periodStart: periodStart ? periodStart.toISOString() : null,
+    rankMode,
+    limit,
+    offset,
+  });
+}
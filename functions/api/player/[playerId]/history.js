@@ -0,0 +1,110 @@
+/**
+ * GET /api/player/[playerId]/history
+ * Every completed session result for a player, newest first by default.
+ * Query: level, from, to (ISO dates), newBest=true, order=asc|desc, limit, offset
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { parsePagination } from '../../../_shared/pagination.js';
+
+export const onRequest = route({
+  GET: getPlayerHistory,
+});
+
+async function getPlayerHistory({ supabase, params, request }) {
+  const playerId = params.playerId;
+
+  const url = new URL(request.url);
+  const { limit, offset } = parsePagination(url);
+
+  // Validate filters
+  const levelParam = url.searchParams.get('level');
+  const level = levelParam ? parseInt(levelParam, 10) : null;
+  if (levelParam && (isNaN(level) || level < 1 || level > 13)) {
+    return errorResponse('Level must be between 1 and 13', 400);
+  }
+
+  const from = parseDateParam(url, 'from');
+  const to = parseDateParam(url, 'to');
+  if (from === undefined || to === undefined) {
+    return errorResponse('from and to must be valid dates', 400);
+  }
+
+  const order = url.searchParams.get('order') || 'desc';
+  if (order !== 'asc' && order !== 'desc') {
+    return errorResponse('order must be asc or desc', 400);
+  }
+
+  const newBestOnly = url.searchParams.get('newBest') === 'true';
+
+  const { data: player, error: playerError } = await supabase
+    .from('players')
+    .select('id')
+    .eq('id', playerId)
+    .single();
+
+  if (playerError && playerError.code !== 'PGRST116') {
+    throw playerError;
+  }
+
+  if (!player) {
+    return errorResponse('Player not found', 404);
+  }
+
+  let query = supabase
+    .from('score_history')
+    .select('session_id, universe_level, box_id, starting_nn, final_nn, nn_delta, color, is_new_best, completed_at', { count: 'exact' })
+    .eq('player_id', playerId);
+
+  if (level) {
+    query = query.eq('universe_level', level);
+  }
+  if (from) {
+    query = query.gte('completed_at', from.toISOString());
+  }
+  if (to) {
+    query = query.lte('completed_at', to.toISOString());
+  }
+  if (newBestOnly) {
+    query = query.eq('is_new_best', true);
+  }
+
+  const { data: history, error, count } = await query
+    .order('completed_at', { ascending: order === 'asc' })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    throw error;
+  }
+
+  return jsonResponse({
+    history: (history || []).map(record => ({
+      sessionId: record.session_id,
+      level: record.universe_level,
+      boxId: record.box_id,
+      startingNn: record.starting_nn,
+      finalNn: record.final_nn,
+      delta: record.nn_delta,
+      color: record.color,
+      isNewBest: record.is_new_best,
+      completedAt: record.completed_at,
+    })),
+    total: count || 0,
+    limit,
+    offset,
+  });
+}
+
+/**
+ * Parse an optional date query parameter
+ * @param {URL} url - Request URL
+ * @param {string} name - Parameter name
+ * @returns {Date|null|undefined} - Date, null if absent, undefined if invalid
+ */
+function parseDateParam(url, name) {
+  const value = url.searchParams.get(name);
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
@@ -1,144 +1,160 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { getInviteUrl } from '../../_shared/invites.js';
+import { isSessionOpen, describeEndVote, OPEN_SESSION_STATUSES } from '../../_shared/sessions.js';
 
-export async function onRequest(context) {
-  const { params, env, request } = context;
+export const onRequest = route({
+  auth: 'optional',
+  GET: getSession,
+});
+
+async function getSession({ supabase, params, request, env, player }) {
   const sessionId = params.sessionId;
 
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
+  // Get session with all players
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select(`
+      *,
+      game_boxes(box_id, registered_at),
+      host:players!sessions_host_player_id_fkey(id, display_name)
+    `)
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError) {
+    if (sessionError.code === 'PGRST116') {
+      return errorResponse('Session not found', 404);
+    }
+    throw sessionError;
   }
 
-  if (request.method !== 'GET') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
-  }
+  // A timeout-rule end vote passes on its own once the deadline is reached;
+  // settle it here so players see the result without waiting for the cron sweep
+  const endVote = describeEndVote(session, 0);
+  if (session.status === 'pending_end' && endVote.deadline && new Date(endVote.deadline) <= new Date()) {
+    const { data: resolved, error: resolveError } = await supabase.rpc('resolve_timed_out_end_votes', {
+      p_session_id: sessionId,
+    });
 
-  try {
-    const supabase = createSupabaseClient(env);
-
-    // Get session with all players
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select(`
-        *,
-        game_boxes(box_id, registered_at),
-        host:players!sessions_host_player_id_fkey(id, display_name)
-      `)
-      .eq('id', sessionId)
-      .single();
-
-    if (sessionError) {
-      if (sessionError.code === 'PGRST116') {
-        return withCors(errorResponse('Session not found', 404), request, env);
-      }
-      throw sessionError;
+    if (resolveError) {
+      throw resolveError;
     }
 
-    // Get all players in session
-    const { data: sessionPlayers, error: playersError } = await supabase
-      .from('session_players')
-      .select(`
-        *,
-        player:players(id, display_name, is_guest)
-      `)
-      .eq('session_id', sessionId)
-      .order('joined_at', { ascending: true });
-
-    if (playersError) {
-      throw playersError;
+    if (resolved.length > 0) {
+      session.status = 'completed';
     }
+  }
 
-    // Calculate session stats
-    const totalPlayers = sessionPlayers.length;
-    const playersVotedEnd = sessionPlayers.filter(sp => sp.voted_end).length;
-    const playersSubmittedScore = sessionPlayers.filter(sp => sp.final_nn !== null).length;
-
-    // Fetch reference scores from progress_journal if playerId provided
-    const url = new URL(request.url);
-    const playerId = url.searchParams.get('playerId');
-    let refScores = null;
-
-    if (playerId && session.universe_level) {
-      const level = session.universe_level;
-      const queries = [];
-
-      // Best score from previous level (N-1)
-      if (level > 1) {
-        queries.push(
-          supabase
-            .from('progress_journal')
-            .select('best_nn')
-            .eq('player_id', playerId)
-            .eq('universe_level', level - 1)
-            .single()
-        );
-      } else {
-        queries.push(Promise.resolve({ data: null }));
-      }
+  // Get all players in session
+  const { data: sessionPlayers, error: playersError } = await supabase
+    .from('session_players')
+    .select(`
+      *,
+      player:players(id, display_name, is_guest)
+    `)
+    .eq('session_id', sessionId)
+    .order('joined_at', { ascending: true });
+
+  if (playersError) {
+    throw playersError;
+  }
 
-      // Best score at current level (from previous games)
+  // Calculate session stats
+  const totalPlayers = sessionPlayers.length;
+  const playersVotedEnd = sessionPlayers.filter(sp => sp.voted_end).length;
+  const playersSubmittedScore = sessionPlayers.filter(sp => sp.final_nn !== null).length;
+  // Table confirmation: scores waiting for another player, and disputed
+  // scores held back for the host
+  const scoresPendingConfirmation = sessionPlayers.filter(sp => sp.final_nn !== null && sp.score_status === 'pending').length;
+  const scoresDisputed = sessionPlayers.filter(sp => sp.final_nn !== null && sp.score_status === 'disputed').length;
+
+  // Fetch reference scores from progress_journal for the signed-in player
+  const playerId = player?.id || null;
+  let refScores = null;
+
+  if (playerId && session.universe_level) {
+    const level = session.universe_level;
+    const queries = [];
+
+    // Best score from previous level (N-1)
+    if (level > 1) {
       queries.push(
         supabase
           .from('progress_journal')
           .select('best_nn')
           .eq('player_id', playerId)
-          .eq('universe_level', level)
+          .eq('universe_level', level - 1)
           .single()
       );
-
-      const [prevResult, currResult] = await Promise.all(queries);
-
-      refScores = {
-        previousLevelBest: prevResult.data?.best_nn ?? null,
-        currentLevelBest: currResult.data?.best_nn ?? null,
-      };
-    }
-
-    // Check for next session if this one is completed
-    let nextSession = null;
-    if (session.status === 'completed') {
-      const nextLevel = session.universe_level + 1;
-      if (nextLevel <= 13) {
-        // Look for an active session at the next level for the same box
-        const { data: nextActiveSession } = await supabase
-          .from('sessions')
-          .select('id, universe_level, status')
-          .eq('box_id', session.box_id)
-          .eq('universe_level', nextLevel)
-          .eq('status', 'active')
-          .single();
-
-        if (nextActiveSession) {
-          nextSession = {
-            id: nextActiveSession.id,
-            universeLevel: nextActiveSession.universe_level,
-          };
-        }
-      }
+    } else {
+      queries.push(Promise.resolve({ data: null }));
     }
 
-    const responsePayload = {
-      session: {
-        ...session,
-        players: sessionPlayers,
-      },
-      stats: {
-        totalPlayers,
-        playersVotedEnd,
-        playersSubmittedScore,
-        allVotedEnd: totalPlayers > 0 && playersVotedEnd === totalPlayers,
-        allSubmittedScore: totalPlayers > 0 && playersSubmittedScore === totalPlayers,
-      },
-      nextSession,
+    // Best score at current level (from previous games)
+    queries.push(
+      supabase
+        .from('progress_journal')
+        .select('best_nn')
+        .eq('player_id', playerId)
+        .eq('universe_level', level)
+        .single()
+    );
+
+    const [prevResult, currResult] = await Promise.all(queries);
+
+    refScores = {
+      previousLevelBest: prevResult.data?.best_nn ?? null,
+      currentLevelBest: currResult.data?.best_nn ?? null,
     };
+  }
 
-    if (refScores) {
-      responsePayload.referenceScores = refScores;
+  // Check for next session if this one is completed
+  let nextSession = null;
+  if (session.status === 'completed') {
+    const nextLevel = session.universe_level + 1;
+    if (nextLevel <= 13) {
+      // Look for an active session at the next level for the same box
+      const { data: nextActiveSession } = await supabase
+        .from('sessions')
+        .select('id, universe_level, status')
+        .eq('box_id', session.box_id)
+        .eq('universe_level', nextLevel)
+        .in('status', OPEN_SESSION_STATUSES)
+        .single();
+
+      if (nextActiveSession) {
+        nextSession = {
+          id: nextActiveSession.id,
+          universeLevel: nextActiveSession.universe_level,
+        };
+      }
     }
+  }
 
-    return withCors(jsonResponse(responsePayload), request, env);
-  } catch (error) {
-    console.error('Session get error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
+  const responsePayload = {
+    session: {
+      ...session,
+      players: sessionPlayers,
+      // Invites only make sense while the session can still be joined
+      inviteUrl: isSessionOpen(session) ? getInviteUrl(request, env, session.join_code) : null,
+    },
+    stats: {
+      totalPlayers,
+      playersVotedEnd,
+      playersSubmittedScore,
+      allVotedEnd: totalPlayers > 0 && playersVotedEnd === totalPlayers,
+      allSubmittedScore: totalPlayers > 0 && playersSubmittedScore === totalPlayers,
+      scoresPendingConfirmation,
+      scoresDisputed,
+      endVote: describeEndVote(session, totalPlayers),
+    },
+    nextSession,
+  };
+
+  if (refScores) {
+    responsePayload.referenceScores = refScores;
   }
-}
\ No newline at end of file
+
+  return jsonResponse(responsePayload);
+}
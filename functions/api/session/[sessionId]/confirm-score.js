@@ -0,0 +1,102 @@
+/**
+ * POST /api/session/[sessionId]/confirm-score
+ * Table confirmation: confirm (or dispute) another player's submitted score.
+ * Disputed scores are held back from the leaderboards until the host confirms them.
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { touchSession } from '../../../_shared/sessions.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../../_shared/realtime.js';
+
+const MAX_REASON_LENGTH = 200;
+
+const REVIEW_SCHEMA = {
+  playerId: { type: 'uuid', required: true },
+  confirm: { type: 'boolean', required: true },
+  reason: { type: 'string', maxLength: MAX_REASON_LENGTH },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  schema: REVIEW_SCHEMA,
+  POST: reviewScore,
+});
+
+async function reviewScore(context) {
+  const { supabase, params, body, player } = context;
+  const sessionId = params.sessionId;
+  const { playerId, confirm, reason } = body;
+
+  await touchSession(supabase, sessionId, player.id);
+
+  // Confirming the last pending score completes the session (see review_session_score)
+  const { data: result, error: rpcError } = await supabase.rpc('review_session_score', {
+    p_session_id: sessionId,
+    p_reviewer_id: player.id,
+    p_player_id: playerId,
+    p_confirm: confirm,
+    p_reason: reason || null,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'session_not_found') {
+    return errorResponse('Session not found', 404);
+  }
+  if (result.error === 'session_not_active') {
+    return errorResponse('Session is not active', 409);
+  }
+  if (result.error === 'reviewer_not_in_session') {
+    return errorResponse('Only players in this session can confirm scores', 403);
+  }
+  if (result.error === 'cannot_review_own_score') {
+    return errorResponse('Another player has to confirm your score', 400);
+  }
+  if (result.error === 'player_not_in_session') {
+    return errorResponse('Player not in session', 404);
+  }
+  if (result.error === 'score_not_submitted') {
+    return errorResponse('This player has not submitted a score yet', 409);
+  }
+  if (result.error === 'score_already_confirmed') {
+    return errorResponse('This score is already confirmed', 409);
+  }
+  if (result.error === 'score_already_disputed') {
+    return errorResponse('This score is already disputed', 409);
+  }
+  if (result.error === 'not_host') {
+    return errorResponse('Only the host can confirm a disputed score', 403);
+  }
+
+  const scoreStatus = result.session_player.score_status;
+  const nextSession = result.next_session ? {
+    id: result.next_session.id,
+    universeLevel: result.next_session.universe_level,
+  } : null;
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.SCORE_REVIEWED, {
+    playerId,
+    reviewerId: player.id,
+    scoreStatus,
+    pendingCount: result.pending_count,
+    sessionCompleted: result.session_completed,
+  });
+
+  if (nextSession) {
+    publishSessionEvent(context, sessionId, SESSION_EVENTS.NEXT_SESSION, { nextSession });
+  }
+
+  return jsonResponse({
+    success: true,
+    scoreStatus,
+    pendingCount: result.pending_count,
+    sessionCompleted: result.session_completed,
+    nextSession,
+    message: scoreStatus === 'confirmed'
+      ? 'Score confirmed'
+      : 'Score disputed - the host has been asked to check it',
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * /api/session/[sessionId]/corrections
+ * GET  - Score correction requests for a completed session (session players only)
+ * POST - Request a correction of your own final Nn: { finalNn, reason? }
+ *        Applied once every other player of the session confirms it.
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse, ERROR_CODES } from '../../../_shared/response.js';
+import { NN_RULE, describeScoreBounds } from '../../../_shared/scores.js';
+
+const MAX_REASON_LENGTH = 200;
+
+const CORRECTION_SCHEMA = {
+  finalNn: { ...NN_RULE, required: true },
+  reason: { type: 'string', maxLength: MAX_REASON_LENGTH },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  GET: listCorrections,
+  POST: { schema: CORRECTION_SCHEMA, handler: requestCorrection },
+});
+
+async function listCorrections({ supabase, params, player }) {
+  const sessionId = params.sessionId;
+
+  // Only players of the session see its corrections
+  const { data: sessionPlayer } = await supabase
+    .from('session_players')
+    .select('player_id')
+    .eq('session_id', sessionId)
+    .eq('player_id', player.id)
+    .single();
+
+  if (!sessionPlayer) {
+    return errorResponse('Player not in session', 403);
+  }
+
+  const { data: corrections, error: correctionsError } = await supabase
+    .from('score_corrections')
+    .select(`
+      *,
+      player:players(display_name),
+      responses:score_correction_responses(player_id, approved, responded_at)
+    `)
+    .eq('session_id', sessionId)
+    .order('created_at', { ascending: false });
+
+  if (correctionsError) {
+    throw correctionsError;
+  }
+
+  return jsonResponse({
+    corrections: corrections.map(formatCorrection),
+  });
+}
+
+async function requestCorrection({ supabase, params, body, player }) {
+  const sessionId = params.sessionId;
+  const { finalNn } = body;
+  const reason = body.reason || null;
+
+  const { data: result, error: rpcError } = await supabase.rpc('request_score_correction', {
+    p_session_id: sessionId,
+    p_player_id: player.id,
+    p_final_nn: finalNn,
+    p_reason: reason,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'session_not_found') {
+    return errorResponse('Session not found', 404);
+  }
+  if (result.error === 'session_not_completed') {
+    return errorResponse('The game is still running - update your score directly', 409);
+  }
+  if (result.error === 'player_not_in_session') {
+    return errorResponse('Player not in session', 404);
+  }
+  if (result.error === 'score_out_of_bounds') {
+    const message = describeScoreBounds(result);
+    return errorResponse(message, 400, { code: ERROR_CODES.VALIDATION_FAILED, fields: { finalNn: message } });
+  }
+  if (result.error === 'score_unchanged') {
+    return errorResponse('That is already your recorded score', 400);
+  }
+  if (result.error === 'no_confirmers') {
+    return errorResponse('There are no other players to confirm a correction', 400);
+  }
+  if (result.error === 'correction_pending') {
+    return errorResponse('You already have a correction waiting for confirmation', 409);
+  }
+
+  return jsonResponse({
+    success: true,
+    correction: formatCorrection(result.correction),
+    confirmationsRequired: result.confirmations_required,
+  }, 201);
+}
+
+function formatCorrection(correction) {
+  return {
+    id: correction.id,
+    sessionId: correction.session_id,
+    playerId: correction.player_id,
+    playerName: correction.player?.display_name ?? null,
+    previousFinalNn: correction.previous_final_nn,
+    requestedFinalNn: correction.requested_final_nn,
+    reason: correction.reason,
+    status: correction.status,
+    createdAt: correction.created_at,
+    resolvedAt: correction.resolved_at,
+    responses: (correction.responses || []).map(r => ({
+      playerId: r.player_id,
+      approved: r.approved,
+      respondedAt: r.responded_at,
+    })),
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * POST /api/session/[sessionId]/corrections/[correctionId]
+ * Another player of the session approves or rejects a correction: { approve }
+ * The last approval applies it and re-derives the player's best score.
+ */
+
+import { route } from '../../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../../_shared/response.js';
+
+const RESPONSE_SCHEMA = {
+  approve: { type: 'boolean', required: true },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  schema: RESPONSE_SCHEMA,
+  POST: respondToCorrection,
+});
+
+async function respondToCorrection(context) {
+  const { supabase, params, body, player } = context;
+  const { sessionId, correctionId } = params;
+
+  // The correction must belong to this session
+  const { data: correction } = await supabase
+    .from('score_corrections')
+    .select('id')
+    .eq('id', correctionId)
+    .eq('session_id', sessionId)
+    .single();
+
+  if (!correction) {
+    return errorResponse('Correction not found', 404);
+  }
+
+  const { data: result, error: rpcError } = await supabase.rpc('respond_to_score_correction', {
+    p_correction_id: correctionId,
+    p_player_id: player.id,
+    p_approve: body.approve,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'correction_not_found') {
+    return errorResponse('Correction not found', 404);
+  }
+  if (result.error === 'correction_closed') {
+    return errorResponse('This correction has already been resolved', 409);
+  }
+  if (result.error === 'not_a_confirmer') {
+    return errorResponse('Only the other players of this game can confirm a correction', 403);
+  }
+
+  const status = result.correction.status;
+
+  return jsonResponse({
+    success: true,
+    status,
+    approvals: result.approvals,
+    confirmationsRequired: result.confirmations_required,
+    message: {
+      applied: 'Correction confirmed and applied',
+      rejected: 'Correction rejected',
+    }[status] || `Approval recorded (${result.approvals}/${result.confirmations_required})`,
+  });
+}
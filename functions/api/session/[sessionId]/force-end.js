@@ -0,0 +1,68 @@
+/**
+ * POST /api/session/[sessionId]/force-end
+ * Host ends the session without waiting for every score or vote.
+ * Body: { outcome: 'completed' | 'abandoned' }
+ *   completed - submitted scores count (progress and leaderboards update)
+ *   abandoned - the game is discarded; no scores are recorded
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { getHostedSession, OPEN_SESSION_STATUSES } from '../../../_shared/sessions.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../../_shared/realtime.js';
+
+const OUTCOMES = ['completed', 'abandoned'];
+
+const FORCE_END_SCHEMA = {
+  outcome: { type: 'string', enum: OUTCOMES, default: 'completed' },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  schema: FORCE_END_SCHEMA,
+  POST: forceEnd,
+});
+
+async function forceEnd(context) {
+  const { supabase, params, body, player } = context;
+  const sessionId = params.sessionId;
+  const { outcome } = body;
+
+  const hosted = await getHostedSession(supabase, sessionId, player.id);
+  if (!hosted.session) {
+    return errorResponse(hosted.error, hosted.status);
+  }
+
+  // session_completed_trigger records progress for players with a final score
+  const { data: updated, error: updateError } = await supabase
+    .from('sessions')
+    .update({
+      status: outcome,
+      ended_at: new Date().toISOString(),
+    })
+    .eq('id', sessionId)
+    .eq('host_player_id', player.id)
+    .in('status', OPEN_SESSION_STATUSES)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated || updated.length === 0) {
+    return errorResponse('Session changed - please refresh and try again', 409);
+  }
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.SESSION_ENDED, {
+    status: outcome,
+    endedBy: player.id,
+  });
+
+  return jsonResponse({
+    success: true,
+    status: outcome,
+    message: outcome === 'completed'
+      ? 'Session completed by the host'
+      : 'Session abandoned by the host',
+  });
+}
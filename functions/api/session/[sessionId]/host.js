@@ -0,0 +1,72 @@
+/**
+ * POST /api/session/[sessionId]/host
+ * Host hands the host role to another player in the session
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { getHostedSession, OPEN_SESSION_STATUSES } from '../../../_shared/sessions.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../../_shared/realtime.js';
+
+const HOST_SCHEMA = {
+  playerId: { type: 'uuid', required: true },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  schema: HOST_SCHEMA,
+  POST: transferHost,
+});
+
+async function transferHost(context) {
+  const { supabase, params, body, player } = context;
+  const sessionId = params.sessionId;
+  const newHostId = body.playerId;
+
+  const hosted = await getHostedSession(supabase, sessionId, player.id);
+  if (!hosted.session) {
+    return errorResponse(hosted.error, hosted.status);
+  }
+
+  if (newHostId === player.id) {
+    return errorResponse('You are already the host');
+  }
+
+  const { data: sessionPlayer } = await supabase
+    .from('session_players')
+    .select('player_id')
+    .eq('session_id', sessionId)
+    .eq('player_id', newHostId)
+    .single();
+
+  if (!sessionPlayer) {
+    return errorResponse('Player not in session', 404);
+  }
+
+  // Conditional on the current host so two concurrent transfers cannot both win
+  const { data: updated, error: updateError } = await supabase
+    .from('sessions')
+    .update({ host_player_id: newHostId })
+    .eq('id', sessionId)
+    .eq('host_player_id', player.id)
+    .in('status', OPEN_SESSION_STATUSES)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  if (!updated || updated.length === 0) {
+    return errorResponse('Session changed - please refresh and try again', 409);
+  }
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.HOST_CHANGED, {
+    previousHostId: player.id,
+    hostPlayerId: newHostId,
+  });
+
+  return jsonResponse({
+    success: true,
+    hostPlayerId: newHostId,
+  });
+}
@@ -0,0 +1,83 @@
+/**
+ * POST /api/session/[sessionId]/kick
+ * Host removes a player (e.g. someone who left without submitting a score).
+ * Completes the session if everyone remaining has already submitted or voted.
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { getHostedSession } from '../../../_shared/sessions.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../../_shared/realtime.js';
+
+const KICK_SCHEMA = {
+  playerId: { type: 'uuid', required: true },
+};
+
+export const onRequest = route({
+  auth: 'player',
+  schema: KICK_SCHEMA,
+  POST: kickPlayer,
+});
+
+async function kickPlayer(context) {
+  const { supabase, params, body, player } = context;
+  const sessionId = params.sessionId;
+  const targetPlayerId = body.playerId;
+
+  const hosted = await getHostedSession(supabase, sessionId, player.id);
+  if (!hosted.session) {
+    return errorResponse(hosted.error, hosted.status);
+  }
+
+  // Re-checks the host under the session lock (see remove_session_player)
+  const { data: result, error: rpcError } = await supabase.rpc('remove_session_player', {
+    p_session_id: sessionId,
+    p_host_player_id: player.id,
+    p_player_id: targetPlayerId,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'session_not_found') {
+    return errorResponse('Session not found', 404);
+  }
+  if (result.error === 'session_not_active') {
+    return errorResponse('Session is not active', 409);
+  }
+  if (result.error === 'not_host') {
+    return errorResponse('Only the host can do this', 403);
+  }
+  if (result.error === 'cannot_remove_host') {
+    return errorResponse('Transfer the host role before leaving the session', 400);
+  }
+  if (result.error === 'player_not_in_session') {
+    return errorResponse('Player not in session', 404);
+  }
+
+  const nextSession = result.next_session ? {
+    id: result.next_session.id,
+    universeLevel: result.next_session.universe_level,
+  } : null;
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.PLAYER_REMOVED, {
+    playerId: targetPlayerId,
+    totalPlayers: result.total_players,
+    sessionCompleted: result.session_completed,
+  });
+
+  if (nextSession) {
+    publishSessionEvent(context, sessionId, SESSION_EVENTS.NEXT_SESSION, { nextSession });
+  }
+
+  return jsonResponse({
+    success: true,
+    removedPlayerId: targetPlayerId,
+    totalPlayers: result.total_players,
+    submittedCount: result.submitted_count,
+    votedCount: result.voted_count,
+    sessionCompleted: result.session_completed,
+    nextSession,
+  });
+}
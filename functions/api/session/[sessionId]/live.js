@@ -0,0 +1,40 @@
+/**
+ * GET /api/session/[sessionId]/live
+ * WebSocket channel pushing session events (joins, scores, votes, level changes)
+ */
+
+import { route } from '../../../_shared/route.js';
+import { errorResponse } from '../../../_shared/response.js';
+import { connectToSessionRoom } from '../../../_shared/realtime.js';
+
+export const onRequest = route({
+  GET: connectLive,
+});
+
+async function connectLive({ supabase, params, request, env }) {
+  const sessionId = params.sessionId;
+
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return errorResponse('Expected WebSocket upgrade', 426);
+  }
+
+  // Only open rooms for sessions that exist
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError || !session) {
+    return errorResponse('Session not found', 404);
+  }
+
+  const response = await connectToSessionRoom(request, env, sessionId);
+  if (!response) {
+    // No Durable Object binding (local dev) - client falls back to polling
+    return errorResponse('Live updates are not available', 503);
+  }
+
+  // 101 responses carry the socket and are passed through by the middleware
+  return response;
+}
@@ -0,0 +1,68 @@
+/**
+ * GET /api/session/code/[code]
+ * Resolve an invite code to its open session
+ */
+
+import { route } from '../../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../../_shared/response.js';
+import { normalizeJoinCode, getInviteUrl } from '../../../_shared/invites.js';
+import { OPEN_SESSION_STATUSES } from '../../../_shared/sessions.js';
+import { byIp } from '../../../_shared/rate-limit.js';
+
+// Codes are short, so lookups are limited to keep the code space from being enumerated
+const JOIN_CODE_LIMITS = [
+  { name: 'join-code-ip', limit: 30, windowSeconds: 10 * 60, key: byIp },
+];
+
+export const onRequest = route({
+  rateLimit: JOIN_CODE_LIMITS,
+  GET: resolveJoinCode,
+});
+
+async function resolveJoinCode({ supabase, params, request, env }) {
+  const code = normalizeJoinCode(params.code);
+  if (!code) {
+    return errorResponse('Join codes are 5 letters', 400);
+  }
+
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select(`
+      id,
+      box_id,
+      universe_level,
+      status,
+      join_code,
+      started_at,
+      host:players!sessions_host_player_id_fkey(display_name),
+      session_players(race)
+    `)
+    .eq('join_code', code)
+    .in('status', OPEN_SESSION_STATUSES)
+    .single();
+
+  if (sessionError && sessionError.code !== 'PGRST116') {
+    throw sessionError;
+  }
+
+  if (!session) {
+    return errorResponse('No active game with this code', 404);
+  }
+
+  const sessionPlayers = session.session_players || [];
+
+  return jsonResponse({
+    session: {
+      id: session.id,
+      boxId: session.box_id,
+      universeLevel: session.universe_level,
+      status: session.status,
+      joinCode: session.join_code,
+      inviteUrl: getInviteUrl(request, env, session.join_code),
+      startedAt: session.started_at,
+      hostName: session.host?.display_name || null,
+      playerCount: sessionPlayers.length,
+      takenColors: sessionPlayers.map(sp => sp.race).filter(color => color !== null),
+    },
+  });
+}
@@ -1,152 +1,133 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
-
-export async function onRequest(context) {
-  const { env, request } = context;
-
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse, ERROR_CODES } from '../../_shared/response.js';
+import { getOrCreateSessionPlayer, MAX_NAME_LENGTH } from '../../_shared/players.js';
+import { normalizeBoxId, resolveIssuedBoxId } from '../../_shared/box-id.js';
+import { getInviteUrl } from '../../_shared/invites.js';
+import { END_RULES, PLAYER_COLORS, OPEN_SESSION_STATUSES } from '../../_shared/sessions.js';
+import { byIp } from '../../_shared/rate-limit.js';
+
+const CREATE_SESSION_SCHEMA = {
+  boxId: { type: 'string', required: true, maxLength: 50 },
+  universeLevel: { type: 'integer', required: true, min: 1, max: 13 },
+  playerName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+  playerColor: { type: 'string', enum: PLAYER_COLORS },
+  playerId: { type: 'uuid' },
+  endRule: { type: 'string', enum: END_RULES, default: 'unanimous' },
+  endVoteTimeoutMinutes: { type: 'integer', min: 1, max: 120, default: 10 },
+  requireConfirmation: { type: 'boolean', default: false },
+};
+
+// Creating a session can create a box row and a guest player
+const CREATE_SESSION_LIMITS = [
+  { name: 'session-create-ip', limit: 20, windowSeconds: 60 * 60, key: byIp },
+  { name: 'session-create-box', limit: 10, windowSeconds: 60 * 60, key: ({ body }) => normalizeBoxId(body.boxId) },
+];
+
+export const onRequest = route({
+  auth: 'optional',
+  matchPlayerId: true,
+  schema: CREATE_SESSION_SCHEMA,
+  rateLimit: CREATE_SESSION_LIMITS,
+  POST: createSession,
+});
+
+async function createSession(context) {
+  const { supabase, request, env, body } = context;
+  const { universeLevel, playerName, playerColor, endRule, endVoteTimeoutMinutes, requireConfirmation } = body;
+
+  // Only boxes issued by the publisher can host sessions
+  const { boxId, error: boxIdError, status } = await resolveIssuedBoxId(supabase, body.boxId);
+  if (boxIdError) {
+    return status === 400
+      ? errorResponse(boxIdError, 400, { code: ERROR_CODES.VALIDATION_FAILED, fields: { boxId: boxIdError } })
+      : errorResponse(boxIdError, status);
   }
 
-  if (request.method !== 'POST') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
-  }
-
-  try {
-    const supabase = createSupabaseClient(env);
-    const body = await request.json();
-    const { boxId, universeLevel, playerName, playerColor, playerId } = body;
-
-    // Validate required fields
-    if (!boxId) {
-      return withCors(errorResponse('boxId is required'), request, env);
-    }
-    if (!universeLevel || universeLevel < 1 || universeLevel > 13) {
-      return withCors(errorResponse('universeLevel must be between 1 and 13'), request, env);
-    }
-    if (!playerName) {
-      return withCors(errorResponse('playerName is required'), request, env);
-    }
-
-    // Validate color if provided
-    const validColors = ['gray', 'pink', 'purple', 'green'];
-    if (playerColor && !validColors.includes(playerColor)) {
-      return withCors(errorResponse(`playerColor must be one of: ${validColors.join(', ')}`), request, env);
-    }
+  // Check if box exists, create if not
+  const { data: existingBox } = await supabase
+    .from('game_boxes')
+    .select('box_id')
+    .eq('box_id', boxId)
+    .single();
 
-    // Check if box exists, create if not
-    const { data: existingBox } = await supabase
+  if (!existingBox) {
+    const { error: boxError } = await supabase
       .from('game_boxes')
-      .select('box_id')
-      .eq('box_id', boxId)
-      .single();
-
-    if (!existingBox) {
-      const { error: boxError } = await supabase
-        .from('game_boxes')
-        .insert({ box_id: boxId });
-
-      if (boxError) {
-        throw boxError;
-      }
-    }
+      .insert({ box_id: boxId });
 
-    // Check for existing active session
-    const { data: existingSession } = await supabase
-      .from('sessions')
-      .select('id')
-      .eq('box_id', boxId)
-      .eq('status', 'active')
-      .single();
-
-    if (existingSession) {
-      return withCors(jsonResponse({
-        error: 'Box already has an active session',
-        sessionId: existingSession.id,
-      }, 409), request, env);
+    if (boxError) {
+      throw boxError;
     }
+  }
 
-    // Get or create player
-    let player;
-    if (playerId) {
-      // Try to find existing player
-      const { data: existingPlayer } = await supabase
-        .from('players')
-        .select('*')
-        .eq('id', playerId)
-        .single();
-
-      if (existingPlayer) {
-        player = existingPlayer;
-      } else {
-        // Player ID provided but not found - create new player
-        const { data: newPlayer, error: createError } = await supabase
-          .from('players')
-          .insert({
-            display_name: playerName,
-            is_guest: true,
-          })
-          .select()
-          .single();
-
-        if (createError) {
-          throw createError;
-        }
-        player = newPlayer;
-      }
-    } else {
-      // No player ID - create guest player
-      const { data: newPlayer, error: createError } = await supabase
-        .from('players')
-        .insert({
-          display_name: playerName,
-          is_guest: true,
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        throw createError;
-      }
-      player = newPlayer;
-    }
+  // A session idling in its grace window gives way to a new game on the box
+  const { error: staleError } = await supabase
+    .from('sessions')
+    .update({
+      status: 'abandoned',
+      ended_at: new Date().toISOString(),
+    })
+    .eq('box_id', boxId)
+    .eq('status', 'pending_end')
+    .not('pending_end_at', 'is', null);
+
+  if (staleError) {
+    throw staleError;
+  }
 
-    // Create the session
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .insert({
-        box_id: boxId,
-        universe_level: universeLevel,
-        host_player_id: player.id,
-        status: 'active',
-      })
-      .select()
-      .single();
-
-    if (sessionError) {
-      throw sessionError;
-    }
+  // Check for existing open session
+  const { data: existingSession } = await supabase
+    .from('sessions')
+    .select('id')
+    .eq('box_id', boxId)
+    .in('status', OPEN_SESSION_STATUSES)
+    .single();
+
+  if (existingSession) {
+    return errorResponse('Box already has an active session', 409, {
+      sessionId: existingSession.id,
+    });
+  }
 
-    // Add host as first session player
-    const { error: joinError } = await supabase
-      .from('session_players')
-      .insert({
-        session_id: session.id,
-        player_id: player.id,
-        race: playerColor || null, // Store color in race field
-      });
-
-    if (joinError) {
-      throw joinError;
-    }
+  // Get player from auth cookie, or create a guest with a signed token
+  const { player, cookie } = await getOrCreateSessionPlayer(supabase, request, env, playerName);
+
+  // Create the session
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .insert({
+      box_id: boxId,
+      universe_level: universeLevel,
+      host_player_id: player.id,
+      status: 'active',
+      end_rule: endRule,
+      end_vote_timeout_minutes: endVoteTimeoutMinutes,
+      require_confirmation: requireConfirmation,
+    })
+    .select()
+    .single();
+
+  if (sessionError) {
+    throw sessionError;
+  }
 
-    return withCors(jsonResponse({
-      success: true,
-      session,
-      player,
-    }, 201), request, env);
-  } catch (error) {
-    console.error('Session create error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
+  // Add host as first session player
+  const { error: joinError } = await supabase
+    .from('session_players')
+    .insert({
+      session_id: session.id,
+      player_id: player.id,
+      race: playerColor || null, // Store color in race field
+    });
+
+  if (joinError) {
+    throw joinError;
   }
-}
\ No newline at end of file
+
+  return jsonResponse({
+    success: true,
+    session,
+    player,
+    inviteUrl: getInviteUrl(request, env, session.join_code),
+  }, 201, cookie ? { 'Set-Cookie': cookie } : {});
+}
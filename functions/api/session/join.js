@@ -1,13 +1,17 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../_shared/realtime.js';
+import { touchSession, isSessionOpen, PLAYER_COLORS } from '../../_shared/sessions.js';
+import { getOrCreateSessionPlayer, MAX_NAME_LENGTH } from '../../_shared/players.js';
 
 /**
  * Get a player's max unlocked level based on their progress
  * @param {object} supabase - Supabase client
  * @param {string} playerId - Player ID
+ * @param {Object} log - Request logger
  * @returns {number} Max unlocked level (1-13)
  */
-async function getPlayerMaxLevel(supabase, playerId) {
+async function getPlayerMaxLevel(supabase, playerId, log) {
   try {
     // First, check if player is a guest
     const { data: player, error: playerError } = await supabase
@@ -17,13 +21,13 @@ async function getPlayerMaxLevel(supabase, playerId) {
       .single();
 
     if (playerError) {
-      console.error('Error fetching player:', playerError);
+      log.error('player-lookup-failed', { playerId, error: playerError });
       return 1;
     }
 
     // Guests always start at level 1
     if (player?.is_guest === true) {
-      console.log(`Player ${playerId} is guest, max level = 1`);
+      log.info('player-max-level', { playerId, maxLevel: 1, reason: 'guest' });
       return 1;
     }
 
@@ -34,22 +38,22 @@ async function getPlayerMaxLevel(supabase, playerId) {
       .eq('player_id', playerId);
 
     if (progressError) {
-      console.error('Error fetching progress:', progressError);
+      log.error('progress-lookup-failed', { playerId, error: progressError });
       return 1;
     }
 
     if (!progress || progress.length === 0) {
-      console.log(`Player ${playerId} has no progress, max level = 1`);
+      log.info('player-max-level', { playerId, maxLevel: 1, reason: 'no-progress' });
       return 1;
     }
 
     const maxCompletedLevel = Math.max(...progress.map(p => p.universe_level));
     // Can play up to max completed + 1, capped at 13
     const maxLevel = Math.min(maxCompletedLevel + 1, 13);
-    console.log(`Player ${playerId} max completed level = ${maxCompletedLevel}, max level = ${maxLevel}`);
+    log.info('player-max-level', { playerId, maxCompletedLevel, maxLevel });
     return maxLevel;
   } catch (error) {
-    console.error('Error getting player max level:', error);
+    log.error('player-max-level-failed', { playerId, error });
     return 1;
   }
 }
@@ -68,9 +72,10 @@ async function getPlayerMaxLevel(supabase, playerId) {
  *
  * @param {object} supabase - Supabase client
  * @param {string} sessionId - Session ID
+ * @param {Object} log - Request logger
  * @returns {object|null} Updated session or null on error
  */
-async function recalculateSessionLevel(supabase, sessionId) {
+async function recalculateSessionLevel(supabase, sessionId, log) {
   // Get current session level
   const { data: session, error: sessionError } = await supabase
     .from('sessions')
@@ -79,7 +84,7 @@ async function recalculateSessionLevel(supabase, sessionId) {
     .single();
 
   if (sessionError || !session) {
-    console.error('Error getting session:', sessionError);
+    log.error('session-lookup-failed', { sessionId, error: sessionError });
     return null;
   }
 
@@ -92,24 +97,25 @@ async function recalculateSessionLevel(supabase, sessionId) {
     .eq('session_id', sessionId);
 
   if (playersError || !sessionPlayers || sessionPlayers.length === 0) {
-    console.error('Error getting session players:', playersError);
+    log.error('session-players-lookup-failed', { sessionId, error: playersError });
     return null;
   }
 
-  console.log(`Recalculating level for session ${sessionId} with ${sessionPlayers.length} players`);
-
   // Get max level for each player
   const playerMaxLevels = await Promise.all(
-    sessionPlayers.map(sp => getPlayerMaxLevel(supabase, sp.player_id))
+    sessionPlayers.map(sp => getPlayerMaxLevel(supabase, sp.player_id, log))
   );
 
-  console.log(`Player max levels: ${JSON.stringify(playerMaxLevels)}, current session level: ${currentSessionLevel}`);
-
   // Session level is the minimum of all players' max levels
   // This allows the level to go UP when a guest signs in with a higher-level account
   const newSessionLevel = Math.min(...playerMaxLevels);
 
-  console.log(`Calculated new session level: min(${playerMaxLevels.join(', ')}) = ${newSessionLevel}`);
+  log.info('session-level-recalculated', {
+    sessionId,
+    playerMaxLevels,
+    previousLevel: currentSessionLevel,
+    newLevel: newSessionLevel,
+  });
 
   // Only update if level changed
   if (newSessionLevel === currentSessionLevel) {
@@ -131,188 +137,175 @@ async function recalculateSessionLevel(supabase, sessionId) {
     .single();
 
   if (updateError) {
-    console.error('Error updating session level:', updateError);
+    log.error('session-level-update-failed', { sessionId, error: updateError });
     return null;
   }
 
   return updatedSession;
 }
 
-export async function onRequest(context) {
-  const { env, request } = context;
+/**
+ * Remove the guest entries a signed-in player just replaced.
+ * When a guest signs in with an email that already has an account, the
+ * magic token records the guest's player_id; those guests are the only
+ * entries this player is allowed to take over.
+ * @param {object} supabase - Supabase client
+ * @param {string} sessionId - Session ID
+ * @param {object} player - Signed-in (non-guest) player row
+ * @param {Object} log - Request logger
+ */
+async function replaceSignedInGuests(supabase, sessionId, player, log) {
+  if (player.is_guest || !player.email) return;
 
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
-  }
+  const { data: tokens, error: tokensError } = await supabase
+    .from('magic_tokens')
+    .select('player_id')
+    .eq('email', player.email)
+    .not('used_at', 'is', null)
+    .not('player_id', 'is', null)
+    .neq('player_id', player.id);
 
-  if (request.method !== 'POST') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
-  }
+  if (tokensError || !tokens || tokens.length === 0) return;
 
-  try {
-    const supabase = createSupabaseClient(env);
-    const body = await request.json();
-    const { sessionId, playerName, playerColor, playerId, replacePlayerId } = body;
+  const guestIds = [...new Set(tokens.map(t => t.player_id))];
 
-    // Validate required fields
-    if (!sessionId) {
-      return withCors(errorResponse('sessionId is required'), request, env);
-    }
-    if (!playerName) {
-      return withCors(errorResponse('playerName is required'), request, env);
-    }
+  const { data: guestEntries } = await supabase
+    .from('session_players')
+    .select('player_id, player:players!inner(is_guest)')
+    .eq('session_id', sessionId)
+    .in('player_id', guestIds)
+    .eq('player.is_guest', true);
 
-    // Validate color if provided
-    const validColors = ['gray', 'pink', 'purple', 'green'];
-    if (playerColor && !validColors.includes(playerColor)) {
-      return withCors(errorResponse(`playerColor must be one of: ${validColors.join(', ')}`), request, env);
-    }
+  if (!guestEntries || guestEntries.length === 0) return;
 
-    // Check if session exists and is active
-    let { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('id', sessionId)
-      .single();
+  const replacedIds = guestEntries.map(e => e.player_id);
+  log.info('signed-in-guests-replaced', { sessionId, playerId: player.id, replacedIds });
 
-    if (sessionError || !session) {
-      return withCors(errorResponse('Session not found', 404), request, env);
-    }
+  const { error: removeError } = await supabase
+    .from('session_players')
+    .delete()
+    .eq('session_id', sessionId)
+    .in('player_id', replacedIds);
 
-    if (session.status !== 'active') {
-      return withCors(errorResponse('Session is not active', 400), request, env);
-    }
+  if (removeError) {
+    log.error('signed-in-guests-remove-failed', { sessionId, replacedIds, error: removeError });
+  }
+}
 
-    // Get or create player
-    let player;
-    console.log(`Join request - playerId: ${playerId}, playerName: ${playerName}`);
-
-    if (playerId) {
-      // Try to find existing player
-      const { data: existingPlayer, error: findError } = await supabase
-        .from('players')
-        .select('*')
-        .eq('id', playerId)
-        .single();
-
-      if (existingPlayer) {
-        player = existingPlayer;
-        console.log(`Found existing player: ${player.id}, is_guest: ${player.is_guest}, name: ${player.display_name}`);
-      } else {
-        // Player ID provided but not found - create new player
-        console.log(`Player ID ${playerId} not found, creating new guest player. Find error: ${findError?.message}`);
-        const { data: newPlayer, error: createError } = await supabase
-          .from('players')
-          .insert({
-            display_name: playerName,
-            is_guest: true,
-          })
-          .select()
-          .single();
-
-        if (createError) {
-          throw createError;
-        }
-        player = newPlayer;
-        console.log(`Created new guest player: ${player.id}`);
-      }
-    } else {
-      // No player ID - create guest player
-      console.log('No playerId provided, creating new guest player');
-      const { data: newPlayer, error: createError } = await supabase
-        .from('players')
-        .insert({
-          display_name: playerName,
-          is_guest: true,
-        })
-        .select()
-        .single();
-
-      if (createError) {
-        throw createError;
-      }
-      player = newPlayer;
-      console.log(`Created new guest player: ${player.id}`);
-    }
+const JOIN_SESSION_SCHEMA = {
+  sessionId: { type: 'uuid', required: true },
+  playerName: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+  playerColor: { type: 'string', enum: PLAYER_COLORS },
+  playerId: { type: 'uuid' },
+};
+
+export const onRequest = route({
+  auth: 'optional',
+  matchPlayerId: true,
+  schema: JOIN_SESSION_SCHEMA,
+  POST: joinSession,
+});
+
+async function joinSession(context) {
+  const { supabase, request, env, body, log } = context;
+  const { sessionId, playerName, playerColor } = body;
+
+  // Check if session exists and is active
+  let { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
 
-    // If replacing an old player (e.g., guest signed in and became authenticated),
-    // remove the old player from the session first
-    if (replacePlayerId && replacePlayerId !== player.id) {
-      console.log(`Replacing old player ${replacePlayerId} with authenticated player ${player.id}`);
-      const { error: removeError } = await supabase
-        .from('session_players')
-        .delete()
-        .eq('session_id', sessionId)
-        .eq('player_id', replacePlayerId);
-
-      if (removeError) {
-        console.error('Error removing old player from session:', removeError);
-        // Continue anyway - the old player might not have been in the session
-      }
-    }
+  if (sessionError || !session) {
+    return errorResponse('Session not found', 404);
+  }
 
-    // Check if player already in session
-    const { data: existingEntry } = await supabase
-      .from('session_players')
-      .select('*')
-      .eq('session_id', sessionId)
-      .eq('player_id', player.id)
-      .single();
+  // Activity keeps the session alive (and revives one in its grace window)
+  session.status = await touchSession(supabase, sessionId);
 
-    if (existingEntry) {
-      // Player already in session - recalculate level (in case they signed in)
-      const previousLevel = session.universe_level;
-      const updatedSession = await recalculateSessionLevel(supabase, sessionId);
-      const newLevel = updatedSession?.universe_level || previousLevel;
-      const levelChanged = newLevel !== previousLevel;
-
-      console.log(`Rejoin: previousLevel=${previousLevel}, newLevel=${newLevel}, levelChanged=${levelChanged}`);
-
-      return withCors(jsonResponse({
-        success: true,
-        session: updatedSession || session,
-        player,
-        sessionPlayer: existingEntry,
-        rejoined: true,
-        levelChanged,
-        previousLevel: levelChanged ? previousLevel : undefined,
-        newLevel: levelChanged ? newLevel : undefined,
-      }), request, env);
-    }
+  if (!isSessionOpen(session)) {
+    return errorResponse('Session is not active', 409);
+  }
 
-    // Add player to session
-    const { data: sessionPlayer, error: joinError } = await supabase
-      .from('session_players')
-      .insert({
-        session_id: sessionId,
-        player_id: player.id,
-        race: playerColor || null, // Store color in race field
-      })
-      .select()
-      .single();
+  // Get player from auth cookie, or create a guest with a signed token
+  const { player, cookie } = await getOrCreateSessionPlayer(supabase, request, env, playerName);
+  const cookieHeaders = cookie ? { 'Set-Cookie': cookie } : {};
+  log.info('session-join', { sessionId, playerId: player.id, isGuest: player.is_guest });
 
-    if (joinError) {
-      throw joinError;
-    }
+  // If a guest just signed in (e.g. into an existing account),
+  // remove their old guest entry from the session first
+  await replaceSignedInGuests(supabase, sessionId, player, log);
+
+  // Check if player already in session
+  const { data: existingEntry } = await supabase
+    .from('session_players')
+    .select('*')
+    .eq('session_id', sessionId)
+    .eq('player_id', player.id)
+    .single();
 
-    // Recalculate session level after adding new player
-    const updatedSession = await recalculateSessionLevel(supabase, sessionId);
+  if (existingEntry) {
+    // Player already in session - recalculate level (in case they signed in)
     const previousLevel = session.universe_level;
+    const updatedSession = await recalculateSessionLevel(supabase, sessionId, log);
     const newLevel = updatedSession?.universe_level || previousLevel;
     const levelChanged = newLevel !== previousLevel;
 
-    return withCors(jsonResponse({
+    if (levelChanged) {
+      publishSessionEvent(context, sessionId, SESSION_EVENTS.LEVEL_CHANGED, { previousLevel, newLevel });
+    }
+
+    return jsonResponse({
       success: true,
       session: updatedSession || session,
       player,
-      sessionPlayer,
-      rejoined: false,
+      sessionPlayer: existingEntry,
+      rejoined: true,
       levelChanged,
       previousLevel: levelChanged ? previousLevel : undefined,
       newLevel: levelChanged ? newLevel : undefined,
-    }), request, env);
-  } catch (error) {
-    console.error('Session join error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
+    }, 200, cookieHeaders);
   }
-}
\ No newline at end of file
+
+  // Add player to session
+  const { data: sessionPlayer, error: joinError } = await supabase
+    .from('session_players')
+    .insert({
+      session_id: sessionId,
+      player_id: player.id,
+      race: playerColor || null, // Store color in race field
+    })
+    .select()
+    .single();
+
+  if (joinError) {
+    throw joinError;
+  }
+
+  // Recalculate session level after adding new player
+  const updatedSession = await recalculateSessionLevel(supabase, sessionId, log);
+  const previousLevel = session.universe_level;
+  const newLevel = updatedSession?.universe_level || previousLevel;
+  const levelChanged = newLevel !== previousLevel;
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.PLAYER_JOINED, {
+    playerId: player.id,
+    name: player.display_name,
+    color: sessionPlayer.race,
+  });
+  if (levelChanged) {
+    publishSessionEvent(context, sessionId, SESSION_EVENTS.LEVEL_CHANGED, { previousLevel, newLevel });
+  }
+
+  return jsonResponse({
+    success: true,
+    session: updatedSession || session,
+    player,
+    sessionPlayer,
+    rejoined: false,
+    levelChanged,
+    previousLevel: levelChanged ? previousLevel : undefined,
+    newLevel: levelChanged ? newLevel : undefined,
+  }, 200, cookieHeaders);
+}
@@ -1,13 +1,16 @@
-import { createSupabaseClient } from '../../_shared/supabase.js';
-import { jsonResponse, errorResponse, handleCors, withCors } from '../../_shared/response.js';
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../_shared/realtime.js';
+import { touchSession, isSessionOpen, SESSION_ACTION_SCHEMA } from '../../_shared/sessions.js';
 
 /**
  * Get a player's max unlocked level based on their progress
  * @param {object} supabase - Supabase client
  * @param {string} playerId - Player ID
+ * @param {Object} log - Request logger
  * @returns {number} Max unlocked level (1-13)
  */
-async function getPlayerMaxLevel(supabase, playerId) {
+async function getPlayerMaxLevel(supabase, playerId, log) {
   try {
     // First, check if player is a guest
     const { data: player, error: playerError } = await supabase
@@ -17,13 +20,13 @@ async function getPlayerMaxLevel(supabase, playerId) {
       .single();
 
     if (playerError) {
-      console.error('Error fetching player:', playerError);
+      log.error('player-lookup-failed', { playerId, error: playerError });
       return 1;
     }
 
     // Guests always start at level 1
     if (player?.is_guest === true) {
-      console.log(`Player ${playerId} is guest, max level = 1`);
+      log.info('player-max-level', { playerId, maxLevel: 1, reason: 'guest' });
       return 1;
     }
 
@@ -34,22 +37,22 @@ async function getPlayerMaxLevel(supabase, playerId) {
       .eq('player_id', playerId);
 
     if (progressError) {
-      console.error('Error fetching progress:', progressError);
+      log.error('progress-lookup-failed', { playerId, error: progressError });
       return 1;
     }
 
     if (!progress || progress.length === 0) {
-      console.log(`Player ${playerId} has no progress, max level = 1`);
+      log.info('player-max-level', { playerId, maxLevel: 1, reason: 'no-progress' });
       return 1;
     }
 
     const maxCompletedLevel = Math.max(...progress.map(p => p.universe_level));
     // Can play up to max completed + 1, capped at 13
     const maxLevel = Math.min(maxCompletedLevel + 1, 13);
-    console.log(`Player ${playerId} max completed level = ${maxCompletedLevel}, max level = ${maxLevel}`);
+    log.info('player-max-level', { playerId, maxCompletedLevel, maxLevel });
     return maxLevel;
   } catch (error) {
-    console.error('Error getting player max level:', error);
+    log.error('player-max-level-failed', { playerId, error });
     return 1;
   }
 }
@@ -58,112 +61,111 @@ async function getPlayerMaxLevel(supabase, playerId) {
  * Recalculate session level based on all players' max levels
  * Called when a player signs in while in a session
  */
-export async function onRequest(context) {
-  const { env, request } = context;
+export const onRequest = route({
+  auth: 'player',
+  matchPlayerId: true,
+  schema: SESSION_ACTION_SCHEMA,
+  POST: recalculateLevel,
+});
+
+async function recalculateLevel(context) {
+  const { supabase, body, player, log } = context;
+  const { sessionId } = body;
+
+  // Check if session exists and is active
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('id', sessionId)
+    .single();
+
+  if (sessionError || !session) {
+    return errorResponse('Session not found', 404);
+  }
+
+  // Get all players in the session
+  const { data: sessionPlayers, error: playersError } = await supabase
+    .from('session_players')
+    .select('player_id')
+    .eq('session_id', sessionId);
 
-  if (request.method === 'OPTIONS') {
-    return handleCors(request, env);
+  if (playersError || !sessionPlayers || sessionPlayers.length === 0) {
+    log.error('session-players-lookup-failed', { sessionId, error: playersError });
+    return jsonResponse({
+      success: true,
+      session,
+      levelChanged: false,
+    });
   }
 
-  if (request.method !== 'POST') {
-    return withCors(errorResponse('Method not allowed', 405), request, env);
+  // Only players at the table can trigger a recalculation
+  if (!sessionPlayers.some(sp => sp.player_id === player.id)) {
+    return errorResponse('Player not in session', 403);
   }
 
-  try {
-    const supabase = createSupabaseClient(env);
-    const body = await request.json();
-    const { sessionId, playerId } = body;
+  // Activity keeps the session alive (and revives one in its grace window)
+  session.status = await touchSession(supabase, sessionId);
 
-    // Validate required fields
-    if (!sessionId) {
-      return withCors(errorResponse('sessionId is required'), request, env);
-    }
+  if (!isSessionOpen(session)) {
+    return errorResponse('Session is not active', 409);
+  }
 
-    // Check if session exists and is active
-    const { data: session, error: sessionError } = await supabase
+  const previousLevel = session.universe_level;
+
+  // Get max level for each player
+  const playerMaxLevels = await Promise.all(
+    sessionPlayers.map(async (sp) => {
+      const maxLevel = await getPlayerMaxLevel(supabase, sp.player_id, log);
+      return {
+        playerId: sp.player_id,
+        maxLevel,
+      };
+    })
+  );
+
+  // Session level is the minimum of all players' max levels
+  // This allows the level to go UP when a guest signs in with a higher-level account
+  const newSessionLevel = Math.min(...playerMaxLevels.map(p => p.maxLevel));
+
+  log.info('session-level-recalculated', {
+    sessionId,
+    playerMaxLevels,
+    previousLevel,
+    newLevel: newSessionLevel,
+  });
+
+  // Update the session level if changed
+  if (newSessionLevel !== previousLevel) {
+    const { data: updatedSession, error: updateError } = await supabase
       .from('sessions')
-      .select('*')
+      .update({ universe_level: newSessionLevel })
       .eq('id', sessionId)
+      .select()
       .single();
 
-    if (sessionError || !session) {
-      return withCors(errorResponse('Session not found', 404), request, env);
-    }
-
-    if (session.status !== 'active') {
-      return withCors(errorResponse('Session is not active', 400), request, env);
+    if (updateError) {
+      throw updateError;
     }
 
-    const previousLevel = session.universe_level;
-
-    // Get all players in the session
-    const { data: sessionPlayers, error: playersError } = await supabase
-      .from('session_players')
-      .select('player_id')
-      .eq('session_id', sessionId);
-
-    if (playersError || !sessionPlayers || sessionPlayers.length === 0) {
-      console.error('Error getting session players:', playersError);
-      return withCors(jsonResponse({
-        success: true,
-        session,
-        levelChanged: false,
-      }), request, env);
-    }
+    publishSessionEvent(context, sessionId, SESSION_EVENTS.LEVEL_CHANGED, {
+      previousLevel,
+      newLevel: newSessionLevel,
+    });
 
-    console.log(`Recalculating level for session ${sessionId} with ${sessionPlayers.length} players`);
-
-    // Get max level for each player
-    const playerMaxLevels = await Promise.all(
-      sessionPlayers.map(async (sp) => {
-        const maxLevel = await getPlayerMaxLevel(supabase, sp.player_id);
-        return {
-          playerId: sp.player_id,
-          maxLevel,
-        };
-      })
-    );
-
-    console.log(`Player max levels: ${JSON.stringify(playerMaxLevels)}, current session level: ${previousLevel}`);
-
-    // Session level is the minimum of all players' max levels
-    // This allows the level to go UP when a guest signs in with a higher-level account
-    const newSessionLevel = Math.min(...playerMaxLevels.map(p => p.maxLevel));
-
-    console.log(`Calculated new session level: min(${playerMaxLevels.map(p => p.maxLevel).join(', ')}) = ${newSessionLevel}`);
-
-    // Update the session level if changed
-    if (newSessionLevel !== previousLevel) {
-      const { data: updatedSession, error: updateError } = await supabase
-        .from('sessions')
-        .update({ universe_level: newSessionLevel })
-        .eq('id', sessionId)
-        .select()
-        .single();
-
-      if (updateError) {
-        console.error('Error updating session level:', updateError);
-        return withCors(errorResponse('Failed to update session level', 500), request, env);
-      }
-
-      return withCors(jsonResponse({
-        success: true,
-        session: updatedSession,
-        previousLevel,
-        newLevel: newSessionLevel,
-        levelChanged: true,
-        playerLevels: playerMaxLevels,
-      }), request, env);
-    }
-
-    return withCors(jsonResponse({
+    return jsonResponse({
       success: true,
-      session,
-      levelChanged: false,
+      session: updatedSession,
+      previousLevel,
+      newLevel: newSessionLevel,
+      levelChanged: true,
       playerLevels: playerMaxLevels,
-    }), request, env);
-  } catch (error) {
-    console.error('Recalculate level error:', error);
-    return withCors(errorResponse(error.message || 'Internal server error', 500), request, env);
+    });
   }
-}
\ No newline at end of file
+
+  return jsonResponse({
+    success: true,
+    session,
+    levelChanged: false,
+    playerLevels: playerMaxLevels,
+  });
+}
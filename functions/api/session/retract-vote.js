@@ -0,0 +1,67 @@
+/**
+ * POST /api/session/retract-vote
+ * Withdraw the acting player's vote to end the session.
+ * Withdrawing the last vote closes the vote (session back to active).
+ */
+
+import { route } from '../../_shared/route.js';
+import { jsonResponse, errorResponse } from '../../_shared/response.js';
+import { publishSessionEvent, SESSION_EVENTS } from '../../_shared/realtime.js';
+import { touchSession, SESSION_ACTION_SCHEMA } from '../../_shared/sessions.js';
+
+export const onRequest = route({
+  auth: 'player',
+  matchPlayerId: true,
+  schema: SESSION_ACTION_SCHEMA,
+  POST: retractVote,
+});
+
+async function retractVote(context) {
+  const { supabase, body, player } = context;
+  const { sessionId } = body;
+
+  const playerId = player.id;
+
+  // Players' activity keeps the session alive (and revives one in its grace window)
+  await touchSession(supabase, sessionId, playerId);
+
+  const { data: result, error: rpcError } = await supabase.rpc('cast_end_vote', {
+    p_session_id: sessionId,
+    p_player_id: playerId,
+    p_vote: false,
+  });
+
+  if (rpcError) {
+    throw rpcError;
+  }
+
+  if (result.error === 'session_not_found') {
+    return errorResponse('Session not found', 404);
+  }
+  if (result.error === 'session_not_active') {
+    return errorResponse('Session is not active', 409);
+  }
+  if (result.error === 'player_not_in_session') {
+    return errorResponse('Player not in session', 404);
+  }
+
+  const votedCount = result.voted_count;
+  const totalPlayers = result.total_players;
+
+  publishSessionEvent(context, sessionId, SESSION_EVENTS.VOTE_RETRACTED, {
+    playerId,
+    votedCount,
+    totalPlayers,
+    voteOpen: votedCount > 0,
+  });
+
+  return jsonResponse({
+    success: true,
+    votedCount,
+    totalPlayers,
+    voteOpen: votedCount > 0,
+    message: votedCount > 0
+      ? `Vote withdrawn (${votedCount}/${totalPlayers} still voting to end)`
+      : 'Vote withdrawn - the game continues',
+  });
+}
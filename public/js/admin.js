@@ -0,0 +1,381 @@
+/**
+ * Admin console logic for Neutronium Leaderboard
+ * Every call goes to /api/admin/*, which checks the admin role server-side.
+ */
+
+// DOM Elements
+const adminLoading = document.getElementById('admin-loading');
+const adminDenied = document.getElementById('admin-denied');
+const adminConsole = document.getElementById('admin-console');
+
+// State
+let selectedPlayerId = null;
+
+/**
+ * Initialize the admin page
+ */
+async function init() {
+  const player = await window.NeutroniumAuth?.getCurrentPlayer();
+  adminLoading.classList.add('hidden');
+
+  if (player?.role !== 'admin') {
+    adminDenied.classList.remove('hidden');
+    return;
+  }
+
+  adminConsole.classList.remove('hidden');
+  setupEventListeners();
+  await Promise.all([loadFlags(), loadAuditLog()]);
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  document.getElementById('flags-status')?.addEventListener('change', loadFlags);
+  document.getElementById('flags-list')?.addEventListener('click', handleFlagAction);
+
+  document.getElementById('btn-player-search')?.addEventListener('click', searchPlayers);
+  document.getElementById('player-search')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') searchPlayers();
+  });
+  document.getElementById('players-results')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-player-id]');
+    if (btn) loadPlayer(btn.dataset.playerId);
+  });
+  document.getElementById('btn-player-rename')?.addEventListener('click', renamePlayer);
+  document.getElementById('player-progress')?.addEventListener('click', deleteProgress);
+  document.getElementById('btn-merge')?.addEventListener('click', mergePlayers);
+
+  document.getElementById('btn-reset-box')?.addEventListener('click', resetBoxSession);
+  document.getElementById('btn-audit-filter')?.addEventListener('click', loadAuditLog);
+}
+
+/**
+ * Call an admin endpoint
+ * @param {string} path - Path below /api/admin
+ * @param {Object} options - fetch options (body is JSON-encoded)
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With the API error message, and the API field errors as `fields`
+ */
+async function adminFetch(path, options = {}) {
+  const response = await fetch(`/api/admin${path}`, {
+    method: options.method || 'GET',
+    headers: options.body ? { 'Content-Type': 'application/json' } : {},
+    body: options.body ? JSON.stringify(options.body) : undefined,
+    credentials: 'include',
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const error = new Error(window.NeutroniumErrors.getErrorMessage(data, 'Request failed'));
+    error.fields = data.error?.fields || null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Load the moderation queue
+ */
+async function loadFlags() {
+  const container = document.getElementById('flags-list');
+  const status = document.getElementById('flags-status').value;
+
+  try {
+    const data = await adminFetch(`/moderation?status=${status}`);
+    document.getElementById('flags-total').textContent = data.total;
+
+    if (data.flags.length === 0) {
+      container.innerHTML = '<p class="text-muted">Nothing to review.</p>';
+      return;
+    }
+
+    container.innerHTML = data.flags.map(flag => `
+      <div class="player-card">
+        <div class="player-info">
+          <div class="player-name">
+            <a href="/profile.html?id=${flag.playerId}">${escapeHtml(flag.playerName || 'Unknown')}</a>
+            &bull; Level ${flag.level}
+            <span class="badge badge-host ml-sm">${escapeHtml(flag.status)}</span>
+          </div>
+          <div class="player-meta">
+            <span class="nn-value">${flag.finalNn}</span>
+            &bull; z ${flag.zScore} (level mean ${flag.levelMean}, sd ${flag.levelStddev}, ${flag.sampleSize} scores)
+            ${flag.reviewedBy ? `&bull; ${escapeHtml(flag.reviewedBy)}, ${formatDate(flag.reviewedAt)}` : ''}
+          </div>
+        </div>
+        <div class="player-host-actions">
+          <button type="button" class="btn btn-secondary btn-sm" data-flag-id="${flag.id}" data-action="approve">Approve</button>
+          <button type="button" class="btn btn-ghost btn-sm" data-flag-id="${flag.id}" data-action="hide">Hide</button>
+          <button type="button" class="btn btn-ghost btn-sm" data-flag-id="${flag.id}" data-action="reject">Reject</button>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading flags:', error);
+    container.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Approve, hide or reject a flagged score
+ */
+async function handleFlagAction(e) {
+  const btn = e.target.closest('[data-flag-id]');
+  if (!btn) return;
+
+  btn.disabled = true;
+
+  try {
+    await adminFetch(`/moderation/${btn.dataset.flagId}`, {
+      method: 'POST',
+      body: { action: btn.dataset.action },
+    });
+    await Promise.all([loadFlags(), loadAuditLog()]);
+  } catch (error) {
+    showMessage(error.message, 'error');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Search players by name, email or ID
+ */
+async function searchPlayers() {
+  const container = document.getElementById('players-results');
+  const q = document.getElementById('player-search').value.trim();
+
+  try {
+    const data = await adminFetch(`/players?q=${encodeURIComponent(q)}`);
+
+    if (data.players.length === 0) {
+      container.innerHTML = '<p class="text-muted">No players found.</p>';
+      return;
+    }
+
+    container.innerHTML = data.players.map(player => `
+      <div class="player-card">
+        <div class="player-info">
+          <div class="player-name">
+            ${escapeHtml(player.displayName)}
+            ${player.isGuest ? '<span class="badge badge-you ml-sm">Guest</span>' : ''}
+            ${player.role === 'admin' ? '<span class="badge badge-host ml-sm">Admin</span>' : ''}
+          </div>
+          <div class="player-meta">
+            ${player.email ? `${escapeHtml(player.email)} &bull; ` : ''}
+            <code>${player.id}</code> &bull; ${player.totalBestNn} Nn over ${player.levelsCompleted} levels
+          </div>
+        </div>
+        <button type="button" class="btn btn-ghost btn-sm" data-player-id="${player.id}">Open</button>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error searching players:', error);
+    container.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Show one player's details and best scores
+ * @param {string} playerId - Player ID
+ */
+async function loadPlayer(playerId) {
+  try {
+    const data = await adminFetch(`/players/${playerId}`);
+    selectedPlayerId = playerId;
+
+    document.getElementById('player-detail').classList.remove('hidden');
+    document.getElementById('player-detail-title').textContent = data.player.displayName;
+    document.getElementById('player-detail-meta').textContent = [
+      data.player.email || 'Guest',
+      `${data.sessionsPlayed} sessions`,
+      data.boxes.length ? `owns ${data.boxes.map(b => b.boxId).join(', ')}` : null,
+      `joined ${formatDate(data.player.createdAt)}`,
+    ].filter(Boolean).join(' • ');
+    document.getElementById('player-rename').value = '';
+
+    document.getElementById('player-progress').innerHTML = data.progress.length === 0
+      ? '<p class="text-muted">No best scores.</p>'
+      : data.progress.map(entry => `
+        <div class="player-card">
+          <div class="player-info">
+            <div class="player-name">Level ${entry.level}</div>
+            <div class="player-meta"><span class="nn-value">${entry.bestNn}</span> &bull; ${formatDate(entry.achievedAt)}</div>
+          </div>
+          <button type="button" class="btn btn-ghost btn-sm" data-level="${entry.level}">Delete</button>
+        </div>
+      `).join('');
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Rename the selected player
+ */
+async function renamePlayer() {
+  const displayName = document.getElementById('player-rename').value.trim();
+  if (!selectedPlayerId || !displayName) return;
+
+  try {
+    await adminFetch(`/players/${selectedPlayerId}`, {
+      method: 'PUT',
+      body: { displayName },
+    });
+    showMessage(`Renamed to ${displayName}.`, 'success');
+    await Promise.all([loadPlayer(selectedPlayerId), loadAuditLog()]);
+  } catch (error) {
+    if (!window.NeutroniumErrors.showFieldErrors(error.fields, { displayName: 'player-rename' })) {
+      showMessage(error.message, 'error');
+    }
+  }
+}
+
+/**
+ * Delete one of the selected player's best scores
+ */
+async function deleteProgress(e) {
+  const btn = e.target.closest('[data-level]');
+  if (!btn || !selectedPlayerId) return;
+
+  const level = btn.dataset.level;
+  if (!confirm(`Delete this player's Level ${level} best score? All their Level ${level} results stop counting.`)) return;
+
+  btn.disabled = true;
+
+  try {
+    await adminFetch(`/players/${selectedPlayerId}/progress/${level}`, { method: 'DELETE' });
+    showMessage(`Level ${level} best score deleted.`, 'success');
+    await Promise.all([loadPlayer(selectedPlayerId), loadAuditLog()]);
+  } catch (error) {
+    showMessage(error.message, 'error');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Merge a duplicate player into another
+ */
+async function mergePlayers() {
+  const sourcePlayerId = document.getElementById('merge-source').value.trim();
+  const targetPlayerId = document.getElementById('merge-target').value.trim();
+
+  if (!sourcePlayerId || !targetPlayerId) {
+    showMessage('Enter both player IDs.', 'error');
+    return;
+  }
+  if (!confirm('Merge these players? The duplicate is deleted and this cannot be undone.')) return;
+
+  try {
+    const data = await adminFetch('/players/merge', {
+      method: 'POST',
+      body: { sourcePlayerId, targetPlayerId },
+    });
+    showMessage(`Merged into ${data.player.displayName}: ${data.sessionsMoved} sessions and ${data.scoresMoved} scores moved.`, 'success');
+    document.getElementById('merge-source').value = '';
+    await loadAuditLog();
+  } catch (error) {
+    const shown = window.NeutroniumErrors.showFieldErrors(error.fields, {
+      sourcePlayerId: 'merge-source',
+      targetPlayerId: 'merge-target',
+    });
+    if (!shown) {
+      showMessage(error.message, 'error');
+    }
+  }
+}
+
+/**
+ * Abandon a box's open session
+ */
+async function resetBoxSession() {
+  const boxId = document.getElementById('reset-box-id').value.trim();
+  if (!boxId) return;
+  if (!confirm(`Abandon the open session on ${boxId}? Its scores will not be recorded.`)) return;
+
+  try {
+    const data = await adminFetch(`/boxes/${encodeURIComponent(boxId)}/reset-session`, { method: 'POST' });
+    showMessage(data.message, 'success');
+    await loadAuditLog();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Load the newest audit log entries
+ */
+async function loadAuditLog() {
+  const container = document.getElementById('audit-list');
+  const entityId = document.getElementById('audit-entity').value.trim();
+
+  try {
+    const data = await adminFetch(`/audit-log${entityId ? `?entityId=${encodeURIComponent(entityId)}` : ''}`);
+
+    if (data.entries.length === 0) {
+      container.innerHTML = '<p class="text-muted">No entries yet.</p>';
+      return;
+    }
+
+    container.innerHTML = data.entries.map(entry => `
+      <div class="player-card">
+        <div class="player-info" style="width: 100%;">
+          <div class="player-name">
+            ${escapeHtml(entry.action)}
+            <span class="text-muted">${escapeHtml(entry.entityType)} ${escapeHtml(entry.entityId)}</span>
+          </div>
+          <div class="player-meta">
+            ${escapeHtml(entry.actorName || 'System')} &bull; ${new Date(entry.createdAt).toLocaleString()}
+            <br><code>${escapeHtml(JSON.stringify(entry.details))}</code>
+          </div>
+        </div>
+      </div>
+    `).join('');
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    container.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/**
+ * Show a status message above the page content
+ * @param {string} text - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showMessage(text, type) {
+  const message = document.getElementById('admin-message');
+  message.classList.remove('hidden', 'alert-success', 'alert-error');
+  message.classList.add(`alert-${type}`);
+  document.getElementById('admin-message-text').textContent = text;
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+/**
+ * Format date for display
+ * @param {string} dateStr - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatDate(dateStr) {
+  if (!dateStr) return '-';
+  const date = new Date(dateStr);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
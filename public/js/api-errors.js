@@ -0,0 +1,76 @@
+/**
+ * API error helpers for Neutronium Leaderboard
+ * Error responses look like { error: { code, message, fields, requestId } },
+ * where fields holds a message per invalid request body field
+ * (validation_failed) and requestId identifies the request in the server logs.
+ */
+
+/**
+ * Get the message of an API error response
+ * @param {Object} data - Parsed response body
+ * @param {string} fallback - Message when the response carries none
+ * @returns {string} Error message
+ */
+function getErrorMessage(data, fallback) {
+  const error = data?.error;
+
+  // Internal errors carry no details; the reference lets support find the logs
+  if (error?.code === 'internal_error') {
+    return error.requestId ? `${fallback} (reference ${error.requestId})` : fallback;
+  }
+
+  return error?.message || fallback;
+}
+
+/**
+ * Show field errors next to the matching inputs
+ * @param {Object|null} fields - Message per body field (data.error.fields)
+ * @param {Object} inputs - Input element ID per body field
+ * @returns {boolean} Whether any error was shown next to an input
+ */
+function showFieldErrors(fields, inputs) {
+  let shown = false;
+
+  for (const [field, message] of Object.entries(fields || {})) {
+    const input = inputs[field] && document.getElementById(inputs[field]);
+    if (!input) continue;
+
+    const container = input.closest('.form-group') || input.parentElement;
+    container.querySelector(`.field-error[data-field="${field}"]`)?.remove();
+
+    const error = document.createElement('p');
+    error.className = 'field-error';
+    error.dataset.field = field;
+    error.textContent = message;
+    container.appendChild(error);
+
+    // Hidden inputs (e.g. the color pickers) only get the message
+    if (input.type !== 'hidden') {
+      input.classList.add('is-invalid');
+      input.addEventListener('input', () => {
+        input.classList.remove('is-invalid');
+        error.remove();
+      }, { once: true });
+    }
+
+    shown = true;
+  }
+
+  return shown;
+}
+
+/**
+ * Remove field errors shown by showFieldErrors
+ * @param {Element|Document} container - Form or page section to clear
+ */
+function clearFieldErrors(container = document) {
+  container.querySelectorAll('.field-error').forEach(error => error.remove());
+  container.querySelectorAll('.is-invalid').forEach(input => input.classList.remove('is-invalid'));
+}
+
+// Export for use in other scripts
+window.NeutroniumErrors = {
+  getErrorMessage,
+  showFieldErrors,
+  clearFieldErrors,
+};
@@ -11,6 +11,21 @@ const boxForm = document.getElementById('box-form');
 const boxNotFound = document.getElementById('box-not-found');
 const boxFound = document.getElementById('box-found');
 const boxError = document.getElementById('box-error');
+const boxScanner = document.getElementById('box-scanner');
+
+// Form inputs per request body field, for field-level validation errors
+const REGISTER_BOX_FIELDS = { email: 'register-email' };
+const START_SESSION_FIELDS = {
+  playerName: 'player-name',
+  playerColor: 'player-color',
+  universeLevel: 'universe-level',
+  endRule: 'end-rule',
+  requireConfirmation: 'score-confirmation',
+};
+const JOIN_SESSION_FIELDS = {
+  playerName: 'join-player-name',
+  playerColor: 'join-player-color',
+};
 
 // State
 let currentBoxId = null;
@@ -28,13 +43,18 @@ async function init() {
   // Check if user is authenticated and get their progress
   await loadUserProgress();
 
-  // Check for box ID in URL params
+  // Deep link from a box QR code: /?box=NE-2026-00003
   const urlParams = new URLSearchParams(window.location.search);
   const boxParam = urlParams.get('box');
 
+  // Invite link from a host: /?join=BKDRT
+  const joinParam = urlParams.get('join');
+
   if (boxParam) {
     boxIdInput.value = boxParam;
     await checkBox(boxParam);
+  } else if (joinParam) {
+    await joinWithCode(joinParam);
   }
 
   // Pre-fill player name - use authenticated user's name from database, or fallback to stored name
@@ -177,7 +197,7 @@ async function checkActiveSession() {
     }
 
     const data = await response.json();
-    if (data.session?.status !== 'active') {
+    if (!['active', 'pending_end'].includes(data.session?.status)) {
       // Session ended
       window.NeutroniumAuth?.clearActiveSession();
       return;
@@ -218,6 +238,20 @@ function setupEventListeners() {
     if (e.key === 'Enter') checkBox(boxIdInput.value);
   });
 
+  // QR scanning needs camera access (HTTPS or localhost)
+  const btnScanBox = document.getElementById('btn-scan-box');
+  if (window.NeutroniumScanner?.isSupported()) {
+    btnScanBox.classList.remove('hidden');
+    btnScanBox.addEventListener('click', startBoxScan);
+    document.getElementById('btn-cancel-scan')?.addEventListener('click', stopBoxScan);
+  }
+
+  const joinCodeInput = document.getElementById('join-code');
+  document.getElementById('btn-join-code')?.addEventListener('click', () => joinWithCode(joinCodeInput.value));
+  joinCodeInput?.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') joinWithCode(joinCodeInput.value);
+  });
+
   document.getElementById('btn-register-box')?.addEventListener('click', registerBox);
   document.getElementById('btn-start-session')?.addEventListener('click', startSession);
   document.getElementById('btn-join-session')?.addEventListener('click', joinSession);
@@ -278,38 +312,35 @@ function updateStepIndicator(step) {
 
 /**
  * Check if a box exists and get its status
- * @param {string} boxId - Box ID to check
+ * @param {string} input - Box ID as typed or scanned
  */
-async function checkBox(boxId) {
-  boxId = boxId.trim().toUpperCase();
-
-  if (!boxId) {
+async function checkBox(input) {
+  if (!input || !input.trim()) {
     showError('Please enter a box ID');
     return;
   }
 
-  // Basic format validation
-  if (!/^NE-\d{4}-\d{5}$/.test(boxId)) {
-    showError('Invalid box ID format. Expected: NE-YYYY-XXXXX');
-    return;
-  }
+  // Format + check digit validation explains typos; legacy boxes fail it but
+  // the server still knows them, so only its answer is final
+  const { boxId, error: boxIdError } = window.NeutroniumBoxId.validateBoxId(input);
 
+  boxIdInput.value = boxId;
   currentBoxId = boxId;
   showLoading(true);
   hideAllSections();
 
   try {
-    const response = await fetch(`/api/box/${boxId}`);
+    const response = await fetch(`/api/box/${encodeURIComponent(boxId)}`);
     const data = await response.json();
 
-    if (response.status === 404) {
-      // Box not found - show registration
+    if (response.ok && !data.registered) {
+      // Issued but not registered yet - show registration
       showSection(boxNotFound);
     } else if (response.ok) {
       // Box found
       showBoxFound(data);
     } else {
-      showError(data.error || 'Failed to check box');
+      showError(boxIdError || window.NeutroniumErrors.getErrorMessage(data, 'Failed to check box'));
     }
   } catch (error) {
     console.error('Error checking box:', error);
@@ -319,16 +350,90 @@ async function checkBox(boxId) {
   }
 }
 
+/**
+ * Resolve a session join code to its box and show the join form
+ * @param {string} input - Join code as typed or from an invite link
+ */
+async function joinWithCode(input) {
+  const code = (input || '').toUpperCase().replace(/[\s-]+/g, '');
+  if (!/^[A-Z]{5}$/.test(code)) {
+    showError('Join codes are 5 letters');
+    return;
+  }
+
+  showLoading(true);
+  hideAllSections();
+
+  try {
+    const response = await fetch(`/api/session/code/${code}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      showError(window.NeutroniumErrors.getErrorMessage(data, 'Failed to find game'));
+      return;
+    }
+
+    boxIdInput.value = data.session.boxId;
+    await checkBox(data.session.boxId);
+  } catch (error) {
+    console.error('Error resolving join code:', error);
+    showError('Network error. Please try again.');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Open the camera and resolve the first box QR code found
+ */
+async function startBoxScan() {
+  hideAllSections();
+  boxForm.classList.add('hidden');
+  boxScanner.classList.remove('hidden');
+
+  try {
+    await window.NeutroniumScanner.start(document.getElementById('scanner-video'), async (text) => {
+      boxScanner.classList.add('hidden');
+      boxForm.classList.remove('hidden');
+
+      const scannedBoxId = window.NeutroniumScanner.parseBoxCode(text);
+      if (!scannedBoxId) {
+        showError('That QR code is not a Neutronium box code');
+        return;
+      }
+
+      boxIdInput.value = scannedBoxId;
+      await checkBox(scannedBoxId);
+    });
+  } catch (error) {
+    console.error('Error starting scanner:', error);
+    stopBoxScan();
+    showError(error.name === 'NotAllowedError'
+      ? 'Camera access was denied. Enter the box ID instead.'
+      : 'Could not start the camera. Enter the box ID instead.');
+  }
+}
+
+/**
+ * Close the scanner and return to manual entry
+ */
+function stopBoxScan() {
+  window.NeutroniumScanner?.stop();
+  boxScanner.classList.add('hidden');
+  boxForm.classList.remove('hidden');
+}
+
 /**
  * Register a new box
  */
 async function registerBox() {
   const email = document.getElementById('register-email')?.value.trim();
 
+  window.NeutroniumErrors.clearFieldErrors(boxNotFound);
   showLoading(true);
 
   try {
-    const response = await fetch(`/api/box/${currentBoxId}`, {
+    const response = await fetch(`/api/box/${encodeURIComponent(currentBoxId)}`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ email: email || undefined }),
@@ -339,8 +444,8 @@ async function registerBox() {
     if (response.ok) {
       // Box registered, now show start session
       showBoxFound({ boxId: currentBoxId, registered: true, activeSession: null });
-    } else {
-      showError(data.error || 'Failed to register box');
+    } else if (!window.NeutroniumErrors.showFieldErrors(data.error?.fields, REGISTER_BOX_FIELDS)) {
+      showError(window.NeutroniumErrors.getErrorMessage(data, 'Failed to register box'));
     }
   } catch (error) {
     console.error('Error registering box:', error);
@@ -543,12 +648,16 @@ async function startSession() {
   // Store player name
   window.NeutroniumAuth?.setStoredPlayerName(playerName);
 
+  window.NeutroniumErrors.clearFieldErrors(document.getElementById('start-session'));
   showLoading(true);
 
   try {
-    // Use authenticated user's ID if available, otherwise use guest ID
-    const playerId = currentUser?.id || window.NeutroniumAuth?.getOrCreateGuestId();
+    // Make sure guests have a signed identity cookie before creating the session
+    if (!currentUser) {
+      await window.NeutroniumAuth?.ensureGuestPlayer(playerName);
+    }
 
+    // The server identifies the player from the auth cookie
     const response = await fetch('/api/session/create', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -557,7 +666,8 @@ async function startSession() {
         universeLevel,
         playerName,
         playerColor,
-        playerId,
+        endRule: document.getElementById('end-rule')?.value || 'unanimous',
+        requireConfirmation: document.getElementById('score-confirmation')?.value === 'on',
       }),
       credentials: 'include',
     });
@@ -565,23 +675,19 @@ async function startSession() {
     const data = await response.json();
 
     if (response.ok) {
-      // Store the actual player ID from the API
-      if (data.player?.id) {
-        window.NeutroniumAuth?.setPlayerId(data.player.id);
-      }
       // Store active session for rejoin capability
       window.NeutroniumAuth?.setActiveSession(data.session);
       // Redirect to session page
       window.location.href = `/session.html?id=${data.session.id}`;
     } else if (response.status === 409) {
       // Active session already exists
-      showError(data.error);
+      showError(window.NeutroniumErrors.getErrorMessage(data, 'Box already has an active session'));
       if (data.sessionId) {
         activeSession = { id: data.sessionId };
         setTimeout(() => checkBox(currentBoxId), 1000);
       }
-    } else {
-      showError(data.error || 'Failed to create session');
+    } else if (!window.NeutroniumErrors.showFieldErrors(data.error?.fields, START_SESSION_FIELDS)) {
+      showError(window.NeutroniumErrors.getErrorMessage(data, 'Failed to create session'));
     }
   } catch (error) {
     console.error('Error creating session:', error);
@@ -618,18 +724,16 @@ async function joinSession() {
   // Store player name
   window.NeutroniumAuth?.setStoredPlayerName(playerName);
 
+  window.NeutroniumErrors.clearFieldErrors(document.getElementById('join-session'));
   showLoading(true);
 
   try {
-    // Use authenticated user's ID if available, otherwise use guest ID
-    const playerId = currentUser?.id || window.NeutroniumAuth?.getOrCreateGuestId();
-    console.log('JOIN SESSION DEBUG:', {
-      currentUser,
-      playerId,
-      isAuthenticated: !!currentUser,
-      sessionLevel: activeSession?.universe_level || activeSession?.universeLevel,
-    });
+    // Make sure guests have a signed identity cookie before joining
+    if (!currentUser) {
+      await window.NeutroniumAuth?.ensureGuestPlayer(playerName);
+    }
 
+    // The server identifies the player from the auth cookie
     const response = await fetch('/api/session/join', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -637,7 +741,6 @@ async function joinSession() {
         sessionId: activeSession.id,
         playerName,
         playerColor,
-        playerId,
       }),
       credentials: 'include',
     });
@@ -645,16 +748,12 @@ async function joinSession() {
     const data = await response.json();
 
     if (response.ok) {
-      // Store the actual player ID from the API
-      if (data.player?.id) {
-        window.NeutroniumAuth?.setPlayerId(data.player.id);
-      }
       // Store active session for rejoin capability
       window.NeutroniumAuth?.setActiveSession(data.session);
       // Redirect to session page
       window.location.href = `/session.html?id=${data.session.id}`;
-    } else {
-      showError(data.error || 'Failed to join session');
+    } else if (!window.NeutroniumErrors.showFieldErrors(data.error?.fields, JOIN_SESSION_FIELDS)) {
+      showError(window.NeutroniumErrors.getErrorMessage(data, 'Failed to join session'));
     }
   } catch (error) {
     console.error('Error joining session:', error);
@@ -2,22 +2,13 @@
  * Auth state management for Neutronium Leaderboard
  */
 
-const AUTH_STORAGE_KEY = 'neutronium_guest_id';
+const LEGACY_GUEST_ID_KEY = 'neutronium_guest_id';
 const PLAYER_NAME_KEY = 'neutronium_player_name';
 const ACTIVE_SESSION_KEY = 'neutronium_active_session';
 
-/**
- * Get or create a guest ID for anonymous players
- * @returns {string} Guest ID
- */
-function getOrCreateGuestId() {
-  let guestId = localStorage.getItem(AUTH_STORAGE_KEY);
-  if (!guestId) {
-    guestId = crypto.randomUUID();
-    localStorage.setItem(AUTH_STORAGE_KEY, guestId);
-  }
-  return guestId;
-}
+// Player identity (guest or signed-in) lives in the HttpOnly auth cookie;
+// drop the unverified client-side guest UUID older versions stored
+localStorage.removeItem(LEGACY_GUEST_ID_KEY);
 
 /**
  * Get stored player name
@@ -36,38 +27,75 @@ function setStoredPlayerName(name) {
 }
 
 /**
- * Get current authenticated user
+ * Fetch the identity behind the auth cookie
+ * @returns {Promise<Object>} { player, authenticated }
+ */
+async function fetchIdentity() {
+  try {
+    const response = await fetch('/api/auth/me', {
+      credentials: 'include',
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    return { player: null, authenticated: false };
+  }
+}
+
+/**
+ * Get current authenticated (signed-in, non-guest) user
  * @returns {Promise<Object|null>} Player data or null
  */
 async function getCurrentUser() {
+  const data = await fetchIdentity();
+  if (data.authenticated && data.player) {
+    return data.player;
+  }
+  return null;
+}
+
+/**
+ * Get current player, including guests with a signed guest cookie
+ * @returns {Promise<Object|null>} Player data (with isGuest) or null
+ */
+async function getCurrentPlayer() {
+  const data = await fetchIdentity();
+  return data.player || null;
+}
+
+/**
+ * Get the current player, creating a signed guest identity if there is none
+ * @param {string|null} displayName - Name for a new guest
+ * @returns {Promise<Object|null>} Player data or null on error
+ */
+async function ensureGuestPlayer(displayName = null) {
   try {
-    const response = await fetch('/api/auth/me', {
+    const response = await fetch('/api/auth/guest', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ displayName }),
       credentials: 'include',
     });
     const data = await response.json();
-
-    if (data.authenticated && data.player) {
-      return data.player;
-    }
-    return null;
+    return data.player || null;
   } catch (error) {
-    console.error('Error fetching current user:', error);
+    console.error('Error creating guest player:', error);
     return null;
   }
 }
 
 /**
  * Send magic link to email
+ * A guest's progress is linked server-side via their auth cookie.
  * @param {string} email - Email address
- * @param {string|null} playerId - Optional player ID to link
  * @param {string|null} returnUrl - Optional URL to redirect after sign in
  * @returns {Promise<Object>} Response data
  */
-async function sendMagicLink(email, playerId = null, returnUrl = null) {
+async function sendMagicLink(email, returnUrl = null) {
   const response = await fetch('/api/auth/magic-link', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ email, playerId, returnUrl }),
+    body: JSON.stringify({ email, returnUrl }),
     credentials: 'include',
   });
 
@@ -83,22 +111,6 @@ async function isLoggedIn() {
   return user !== null;
 }
 
-/**
- * Set player ID (used after creating/joining session)
- * @param {string} id - Player ID from API
- */
-function setPlayerId(id) {
-  localStorage.setItem(AUTH_STORAGE_KEY, id);
-}
-
-/**
- * Get current player ID
- * @returns {string|null} Player ID or null
- */
-function getPlayerId() {
-  return localStorage.getItem(AUTH_STORAGE_KEY);
-}
-
 /**
  * Set active session data
  * @param {Object} sessionData - Session data including id, boxId, universeLevel
@@ -139,14 +151,13 @@ function clearActiveSession() {
 
 // Export for use in other scripts
 window.NeutroniumAuth = {
-  getOrCreateGuestId,
   getStoredPlayerName,
   setStoredPlayerName,
   getCurrentUser,
+  getCurrentPlayer,
+  ensureGuestPlayer,
   sendMagicLink,
   isLoggedIn,
-  setPlayerId,
-  getPlayerId,
   setActiveSession,
   getActiveSession,
   clearActiveSession,
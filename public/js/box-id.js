@@ -0,0 +1,62 @@
+/**
+ * Box ID format validation for Neutronium Leaderboard
+ * Canonical format: NE-YYYY-NNNNN, where the last digit is a Luhn check
+ * digit over YYYY + the first four serial digits (e.g. NE-2026-00003).
+ * Keep in sync with functions/_shared/box-id.js.
+ */
+
+const BOX_ID_PATTERN = /^NE-(\d{4})-(\d{4})(\d)$/;
+
+/**
+ * Normalize user or QR input: trim, uppercase, drop spaces
+ * @param {string} input - Raw box ID
+ * @returns {string} Normalized box ID
+ */
+function normalizeBoxId(input) {
+  return String(input || '').trim().toUpperCase().replace(/\s+/g, '');
+}
+
+/**
+ * Compute the Luhn check digit for a digit string
+ * @param {string} digits - Payload digits
+ * @returns {number} Check digit (0-9)
+ */
+function computeBoxCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Normalize and validate a box ID
+ * @param {string} input - Raw box ID
+ * @returns {{boxId: string, error: string|null}}
+ */
+function validateBoxId(input) {
+  const boxId = normalizeBoxId(input);
+  const match = BOX_ID_PATTERN.exec(boxId);
+
+  if (!match) {
+    return { boxId, error: 'Invalid box ID format. Expected: NE-YYYY-NNNNN' };
+  }
+
+  const [, year, serial, check] = match;
+  if (computeBoxCheckDigit(year + serial) !== Number(check)) {
+    return { boxId, error: 'Invalid box ID - please double-check the code on your box' };
+  }
+
+  return { boxId, error: null };
+}
+
+// Export for use in other scripts
+window.NeutroniumBoxId = {
+  normalizeBoxId,
+  validateBoxId,
+};
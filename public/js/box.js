@@ -0,0 +1,330 @@
+/**
+ * Box owner page logic for Neutronium Leaderboard
+ */
+
+// DOM Elements
+const boxLoading = document.getElementById('box-loading');
+const boxClaim = document.getElementById('box-claim');
+const boxDashboard = document.getElementById('box-dashboard');
+
+// State
+let boxId = null;
+let currentPlayer = null;
+let currentPage = 0;
+let totalPages = 1;
+const pageSize = 20;
+
+/**
+ * Initialize the box page
+ */
+async function init() {
+  const urlParams = new URLSearchParams(window.location.search);
+  boxId = urlParams.get('id');
+
+  if (!boxId) {
+    boxLoading.classList.add('hidden');
+    showMessage('No box specified.', 'error');
+    return;
+  }
+
+  document.getElementById('box-title').textContent = boxId;
+
+  // Result of following the emailed confirmation link
+  if (urlParams.get('claimed') === '1') {
+    showMessage('Ownership confirmed. This box is now yours!', 'success');
+  } else if (urlParams.get('claim_error')) {
+    showMessage(urlParams.get('claim_error'), 'error');
+  }
+
+  // Clean up the URL without reloading
+  if (urlParams.has('claimed') || urlParams.has('claim_error')) {
+    const cleanUrl = new URL(window.location.href);
+    cleanUrl.searchParams.delete('claimed');
+    cleanUrl.searchParams.delete('claim_error');
+    window.history.replaceState({}, '', cleanUrl.toString());
+  }
+
+  currentPlayer = await window.NeutroniumAuth?.getCurrentPlayer();
+
+  setupEventListeners();
+  await loadBox();
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  document.getElementById('btn-claim-box')?.addEventListener('click', claimBox);
+  document.getElementById('btn-box-sign-in')?.addEventListener('click', sendSignInLink);
+
+  document.getElementById('btn-box-prev')?.addEventListener('click', async () => {
+    if (currentPage > 0) {
+      currentPage--;
+      await loadSessions();
+    }
+  });
+
+  document.getElementById('btn-box-next')?.addEventListener('click', async () => {
+    if (currentPage < totalPages - 1) {
+      currentPage++;
+      await loadSessions();
+    }
+  });
+}
+
+/**
+ * Load box info and show the dashboard or claim state
+ */
+async function loadBox() {
+  try {
+    const response = await fetch(`/api/box/${encodeURIComponent(boxId)}`);
+    if (!response.ok) {
+      throw new Error('Failed to load box');
+    }
+
+    const data = await response.json();
+
+    if (!data.registered) {
+      showClaimState('Box Not Found', 'This box has not been registered yet.');
+      return;
+    }
+
+    const ownerId = data.box?.owner_player_id;
+
+    if (ownerId && ownerId === currentPlayer?.id) {
+      boxLoading.classList.add('hidden');
+      boxDashboard.classList.remove('hidden');
+      document.getElementById('btn-box-qr').href = `/api/box/${encodeURIComponent(boxId)}/qr.svg?label=1`;
+      await loadSessions();
+      return;
+    }
+
+    if (ownerId) {
+      showClaimState('Box Already Claimed', 'This box belongs to another player.');
+      return;
+    }
+
+    if (!data.claimable) {
+      showClaimState(
+        'Box Cannot Be Claimed',
+        'This box was registered without an email address, so there is nobody to confirm a claim.'
+      );
+      return;
+    }
+
+    if (!currentPlayer || currentPlayer.isGuest) {
+      showClaimState('Claim This Box', 'Sign in with your email to claim this box.', 'sign-in');
+      return;
+    }
+
+    showClaimState(
+      'Claim This Box',
+      'Own this copy? Claim it to see every session played on it. We\'ll email a confirmation link to the address the box was registered with.',
+      'claim'
+    );
+  } catch (error) {
+    console.error('Error loading box:', error);
+    boxLoading.classList.add('hidden');
+    showMessage('Failed to load box. Please try again.', 'error');
+  }
+}
+
+/**
+ * Show the claim card
+ * @param {string} title - Card title
+ * @param {string} text - Card text
+ * @param {string|null} action - 'claim', 'sign-in' or null for no button
+ */
+function showClaimState(title, text, action = null) {
+  boxLoading.classList.add('hidden');
+  boxClaim.classList.remove('hidden');
+  document.getElementById('box-claim-title').textContent = title;
+  document.getElementById('box-claim-text').textContent = text;
+  document.getElementById('btn-claim-box').classList.toggle('hidden', action !== 'claim');
+  document.getElementById('box-sign-in').classList.toggle('hidden', action !== 'sign-in');
+}
+
+/**
+ * Send a magic link that returns to this box page
+ */
+async function sendSignInLink() {
+  const emailInput = document.getElementById('box-sign-in-email');
+  const email = emailInput?.value.trim();
+  if (!email || !email.includes('@') || !email.includes('.')) {
+    alert('Please enter a valid email address');
+    return;
+  }
+
+  const btn = document.getElementById('btn-box-sign-in');
+  btn.disabled = true;
+  btn.textContent = 'Sending...';
+
+  try {
+    const result = await window.NeutroniumAuth?.sendMagicLink(email, window.location.href);
+    if (result?.success) {
+      btn.textContent = 'Link Sent!';
+      emailInput.disabled = true;
+      showMessage('Check your email! We sent you a magic link to sign in.', 'success');
+    } else {
+      btn.disabled = false;
+      btn.textContent = 'Send Magic Link';
+      if (!window.NeutroniumErrors.showFieldErrors(result?.error?.fields, { email: 'box-sign-in-email' })) {
+        showMessage(window.NeutroniumErrors.getErrorMessage(result, 'Failed to send magic link. Please try again.'), 'error');
+      }
+    }
+  } catch (error) {
+    console.error('Error sending magic link:', error);
+    btn.disabled = false;
+    btn.textContent = 'Send Magic Link';
+    showMessage('Network error. Please try again.', 'error');
+  }
+}
+
+/**
+ * Request ownership of the box
+ */
+async function claimBox() {
+  const btn = document.getElementById('btn-claim-box');
+  btn.disabled = true;
+  btn.textContent = 'Sending...';
+
+  try {
+    const response = await fetch(`/api/box/${encodeURIComponent(boxId)}/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({}),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(window.NeutroniumErrors.getErrorMessage(data, 'Failed to claim box'));
+    }
+
+    if (data.alreadyOwner) {
+      window.location.reload();
+      return;
+    }
+
+    btn.textContent = 'Check Your Email';
+    showMessage(data.message, 'success');
+  } catch (error) {
+    console.error('Error claiming box:', error);
+    btn.disabled = false;
+    btn.textContent = 'Claim Box';
+    showMessage(error.message, 'error');
+  }
+}
+
+/**
+ * Load a page of sessions played on this box
+ */
+async function loadSessions() {
+  const container = document.getElementById('box-sessions');
+
+  try {
+    const response = await fetch(`/api/box/${encodeURIComponent(boxId)}/sessions?limit=${pageSize}&offset=${currentPage * pageSize}`);
+    if (!response.ok) {
+      throw new Error('Failed to load sessions');
+    }
+
+    const data = await response.json();
+    document.getElementById('box-session-total').textContent = data.total || 0;
+    renderSessions(data.sessions || []);
+
+    totalPages = Math.max(1, Math.ceil((data.total || 0) / pageSize));
+    updatePagination(data.total || 0);
+  } catch (error) {
+    console.error('Error loading box sessions:', error);
+    container.innerHTML = '<p class="text-muted">Failed to load sessions.</p>';
+  }
+}
+
+/**
+ * Render sessions with their players and scores
+ * @param {Array} sessions - Sessions, newest first
+ */
+function renderSessions(sessions) {
+  const container = document.getElementById('box-sessions');
+
+  if (sessions.length === 0) {
+    container.innerHTML = '<p class="text-muted">No sessions yet.</p>';
+    return;
+  }
+
+  container.innerHTML = sessions.map(session => `
+    <div class="player-card">
+      <div class="player-info" style="width: 100%;">
+        <div class="player-name">
+          Level ${session.universeLevel} • ${formatDate(session.startedAt)}
+          <span class="badge badge-host ml-sm">${escapeHtml(session.status)}</span>
+        </div>
+        <div class="player-meta">
+          ${session.players.map(player => `
+            <a href="/profile.html?id=${player.playerId}">${escapeHtml(player.name)}</a>${player.color ? ` (${player.color})` : ''}:
+            <span class="nn-value">${player.finalNn ?? '-'}</span>
+          `).join(' • ')}
+        </div>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Update pagination controls
+ * @param {number} total - Total number of sessions
+ */
+function updatePagination(total) {
+  const pagination = document.getElementById('box-pagination');
+
+  if (total <= pageSize) {
+    pagination.classList.add('hidden');
+    return;
+  }
+
+  pagination.classList.remove('hidden');
+  document.getElementById('btn-box-prev').disabled = currentPage === 0;
+  document.getElementById('btn-box-next').disabled = currentPage >= totalPages - 1;
+  document.getElementById('box-page-info').textContent = `Page ${currentPage + 1} of ${totalPages}`;
+}
+
+/**
+ * Show a status message above the page content
+ * @param {string} text - Message text
+ * @param {string} type - 'success' or 'error'
+ */
+function showMessage(text, type) {
+  const message = document.getElementById('box-message');
+  message.classList.remove('hidden', 'alert-success', 'alert-error');
+  message.classList.add(`alert-${type}`);
+  document.getElementById('box-message-text').textContent = text;
+}
+
+/**
+ * Format date for display
+ * @param {string} dateStr - ISO date string
+ * @returns {string} Formatted date
+ */
+function formatDate(dateStr) {
+  if (!dateStr) return '-';
+  const date = new Date(dateStr);
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  });
+}
+
+/**
+ * Escape HTML to prevent XSS
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', init);
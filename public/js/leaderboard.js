@@ -11,8 +11,11 @@ const yourPosition = document.getElementById('your-position');
 
 // State
 let currentLevel = 'all';
+let currentPeriod = 'all';
 let currentPage = 0;
 let totalPages = 1;
+let currentPlayerId = null;
+let currentRankMode = 'competition';
 const pageSize = 50;
 
 /**
@@ -29,6 +32,20 @@ async function init() {
     currentLevel = levelParam;
   }
 
+  const periodParam = urlParams.get('period');
+  if (['week', 'month', 'season'].includes(periodParam)) {
+    currentPeriod = periodParam;
+  }
+
+  // Ties share a rank; ?rankMode=dense avoids skipping ranks after a tie
+  if (urlParams.get('rankMode') === 'dense') {
+    currentRankMode = 'dense';
+  }
+
+  // Identify the viewer (signed-in or guest) to highlight their row
+  const currentPlayer = await window.NeutroniumAuth?.getCurrentPlayer();
+  currentPlayerId = currentPlayer?.id || null;
+
   // Set up event listeners
   setupEventListeners();
 
@@ -58,7 +75,7 @@ async function checkActiveSession() {
     }
 
     const data = await response.json();
-    if (data.session?.status !== 'active') {
+    if (!['active', 'pending_end'].includes(data.session?.status)) {
       window.NeutroniumAuth?.clearActiveSession();
       return;
     }
@@ -95,6 +112,17 @@ function setupEventListeners() {
     });
   });
 
+  // Period tabs
+  document.querySelectorAll('.period-tab').forEach(tab => {
+    tab.addEventListener('click', async (e) => {
+      currentPeriod = e.target.dataset.period;
+      currentPage = 0;
+      updateActiveTabs();
+      await loadLeaderboard();
+      await loadUserPosition();
+    });
+  });
+
   // Pagination
   document.getElementById('btn-prev')?.addEventListener('click', async () => {
     if (currentPage > 0) {
@@ -121,6 +149,13 @@ function updateActiveTabs() {
     tab.classList.toggle('btn-secondary', !isActive);
     tab.classList.toggle('active', isActive);
   });
+
+  document.querySelectorAll('.period-tab').forEach(tab => {
+    const isActive = tab.dataset.period === currentPeriod;
+    tab.classList.toggle('btn-primary', isActive);
+    tab.classList.toggle('btn-secondary', !isActive);
+    tab.classList.toggle('active', isActive);
+  });
 }
 
 /**
@@ -142,11 +177,12 @@ async function loadLeaderboard() {
   leaderboardEmpty.classList.add('hidden');
 
   try {
+    const query = `limit=${pageSize}&offset=${currentPage * pageSize}&rankMode=${currentRankMode}&period=${currentPeriod}`;
     let url;
     if (currentLevel === 'all') {
-      url = `/api/leaderboard/global?limit=${pageSize}&offset=${currentPage * pageSize}`;
+      url = `/api/leaderboard/global?${query}`;
     } else {
-      url = `/api/leaderboard/level/${currentLevel}?limit=${pageSize}&offset=${currentPage * pageSize}`;
+      url = `/api/leaderboard/level/${currentLevel}?${query}`;
     }
 
     const response = await fetch(url);
@@ -176,8 +212,6 @@ async function loadLeaderboard() {
  * @param {Object} data - Leaderboard data
  */
 function renderLeaderboard(data) {
-  const currentPlayerId = window.NeutroniumAuth?.getPlayerId() || localStorage.getItem('neutronium_guest_id');
-
   rankingsBody.innerHTML = data.rankings.map(player => {
     const isMe = player.playerId === currentPlayerId;
     const rankClass = player.rank <= 3 ? `rank-${player.rank}` : '';
@@ -190,9 +224,13 @@ function renderLeaderboard(data) {
       ? `${player.levelsCompleted || 0}`
       : formatDate(player.achievedAt);
 
+    const tieIndicator = player.tied
+      ? '<span class="tie-indicator" title="Tied - earliest to reach this score is listed first">=</span>'
+      : '';
+
     return `
       <tr ${isMe ? 'style="background: rgba(139, 92, 246, 0.1);"' : ''}>
-        <td class="rank-cell ${rankClass}">#${player.rank}</td>
+        <td class="rank-cell ${rankClass}">#${player.rank}${tieIndicator}</td>
         <td>
           <a href="/profile.html?id=${player.playerId}">${escapeHtml(playerName)}</a>
           ${isMe ? '<span class="badge badge-you ml-sm">You</span>' : ''}
@@ -236,9 +274,9 @@ function updatePagination(total) {
  * Load current user's position
  */
 async function loadUserPosition() {
-  // Get player ID from auth or localStorage
-  const playerId = window.NeutroniumAuth?.getPlayerId() || localStorage.getItem('neutronium_guest_id');
-  if (!playerId) {
+  // The profile rank is all-time only
+  const playerId = currentPlayerId;
+  if (!playerId || currentPeriod !== 'all') {
     yourPosition.classList.add('hidden');
     return;
   }
@@ -12,6 +12,7 @@ const upgradeModal = document.getElementById('upgrade-modal');
 let currentUser = null;
 let viewingPlayerId = null;
 let isOwnProfile = false;
+const HISTORY_CHART_LIMIT = 100;
 
 /**
  * Initialize the profile page
@@ -24,24 +25,18 @@ async function init() {
   const urlParams = new URLSearchParams(window.location.search);
   viewingPlayerId = urlParams.get('id');
 
-  // Get current user
-  currentUser = await window.NeutroniumAuth?.getCurrentUser();
+  // Get current player from the auth cookie (signed-in account or guest)
+  const currentPlayer = await window.NeutroniumAuth?.getCurrentPlayer();
+  currentUser = currentPlayer && !currentPlayer.isGuest ? currentPlayer : null;
 
-  // If no specific player ID and not logged in, check for guest ID
+  // If no specific player ID, show the viewer's own profile
   if (!viewingPlayerId) {
-    if (currentUser) {
-      viewingPlayerId = currentUser.id;
+    if (currentPlayer) {
+      viewingPlayerId = currentPlayer.id;
       isOwnProfile = true;
-    } else {
-      const guestId = localStorage.getItem('neutronium_guest_id');
-      if (guestId) {
-        viewingPlayerId = guestId;
-        isOwnProfile = true;
-      }
     }
   } else {
-    isOwnProfile = currentUser?.id === viewingPlayerId ||
-      viewingPlayerId === localStorage.getItem('neutronium_guest_id');
+    isOwnProfile = currentPlayer?.id === viewingPlayerId;
   }
 
   // Set up event listeners (do this early so buttons work)
@@ -72,7 +67,7 @@ async function checkActiveSession() {
     }
 
     const data = await response.json();
-    if (data.session?.status !== 'active') {
+    if (!['active', 'pending_end'].includes(data.session?.status)) {
       window.NeutroniumAuth?.clearActiveSession();
       return;
     }
@@ -102,6 +97,7 @@ function setupEventListeners() {
   document.getElementById('btn-upgrade')?.addEventListener('click', showUpgradeModal);
   document.getElementById('btn-cancel-upgrade')?.addEventListener('click', hideUpgradeModal);
   document.getElementById('btn-confirm-upgrade')?.addEventListener('click', sendMagicLinkFromUpgrade);
+  document.getElementById('history-level')?.addEventListener('change', loadHistory);
 }
 
 /**
@@ -142,6 +138,7 @@ async function loadProfile() {
 
     const data = await response.json();
     renderProfile(data);
+    await loadHistory();
   } catch (error) {
     console.error('Error loading profile:', error);
     showGuestPrompt();
@@ -212,6 +209,81 @@ function renderJournalGrid(journal) {
   }).join('');
 }
 
+/**
+ * Load score history (optionally one level) and chart it
+ */
+async function loadHistory() {
+  const level = document.getElementById('history-level')?.value;
+  // Latest games, newest first; reversed for the chart
+  const params = new URLSearchParams({ order: 'desc', limit: HISTORY_CHART_LIMIT });
+  if (level) {
+    params.set('level', level);
+  }
+
+  try {
+    const response = await fetch(`/api/player/${viewingPlayerId}/history?${params}`);
+    if (!response.ok) {
+      throw new Error('Failed to load history');
+    }
+
+    const data = await response.json();
+    renderHistoryChart((data.history || []).reverse());
+  } catch (error) {
+    console.error('Error loading history:', error);
+    renderHistoryChart([]);
+  }
+}
+
+/**
+ * Render final Nn per completed game as an SVG line chart
+ * @param {Array} history - History entries, oldest first
+ */
+function renderHistoryChart(history) {
+  const container = document.getElementById('history-chart');
+
+  if (history.length === 0) {
+    container.innerHTML = '<p class="text-muted">No completed games yet.</p>';
+    return;
+  }
+
+  const width = 600;
+  const height = 200;
+  const pad = { top: 10, right: 10, bottom: 20, left: 40 };
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const scores = history.map(entry => entry.finalNn);
+  const maxNn = Math.max(...scores, 1);
+  const minNn = Math.min(...scores, 0);
+  const range = maxNn - minNn || 1;
+
+  const points = history.map((entry, i) => ({
+    x: pad.left + (history.length === 1 ? plotWidth / 2 : (i / (history.length - 1)) * plotWidth),
+    y: pad.top + plotHeight - ((entry.finalNn - minNn) / range) * plotHeight,
+    entry,
+  }));
+
+  const line = points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+  const dots = points.map(p => `
+    <circle class="chart-point ${p.entry.isNewBest ? 'new-best' : ''}" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="4">
+      <title>Level ${p.entry.level} • ${formatDate(p.entry.completedAt)} • ${p.entry.finalNn} Nn${p.entry.isNewBest ? ' (new best)' : ''}</title>
+    </circle>
+  `).join('');
+
+  container.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="Final Nn per game">
+      <line class="chart-axis" x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + plotHeight}" />
+      <line class="chart-axis" x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}" />
+      <text class="chart-label" x="${pad.left - 6}" y="${pad.top + 4}" text-anchor="end">${maxNn}</text>
+      <text class="chart-label" x="${pad.left - 6}" y="${pad.top + plotHeight}" text-anchor="end">${minNn}</text>
+      <text class="chart-label" x="${pad.left}" y="${height - 4}">${formatDate(history[0].completedAt)}</text>
+      <text class="chart-label" x="${width - pad.right}" y="${height - 4}" text-anchor="end">${formatDate(history[history.length - 1].completedAt)}</text>
+      ${points.length > 1 ? `<polyline class="chart-line" points="${line}" />` : ''}
+      ${dots}
+    </svg>
+  `;
+}
+
 /**
  * Render recent sessions
  * @param {Array} sessions - Recent sessions
@@ -228,7 +300,7 @@ function renderRecentSessions(sessions) {
     <div class="player-card">
       <div class="player-info">
         <div class="player-name">
-          Level ${session.universeLevel} • ${formatDate(session.playedAt)}
+          <a href="/session.html?id=${session.sessionId}&view=results">Level ${session.universeLevel}</a> • ${formatDate(session.playedAt)}
         </div>
         <div class="player-meta">
           ${session.race ? `${session.race} • ` : ''}
@@ -261,7 +333,7 @@ async function sendMagicLinkFromLogin() {
   btn.textContent = 'Sending...';
 
   try {
-    const result = await window.NeutroniumAuth?.sendMagicLink(email, null, null);
+    const result = await window.NeutroniumAuth?.sendMagicLink(email);
     if (result?.success) {
       document.getElementById('magic-link-sent').classList.remove('hidden');
       btn.textContent = 'Link Sent!';
@@ -269,7 +341,9 @@ async function sendMagicLinkFromLogin() {
     } else {
       btn.disabled = false;
       btn.textContent = 'Send Magic Link';
-      alert(result?.error || 'Failed to send magic link. Please try again.');
+      if (!window.NeutroniumErrors.showFieldErrors(result?.error?.fields, { email: 'login-email' })) {
+        alert(window.NeutroniumErrors.getErrorMessage(result, 'Failed to send magic link. Please try again.'));
+      }
     }
   } catch (error) {
     console.error('Error sending magic link:', error);
@@ -314,14 +388,16 @@ async function sendMagicLinkFromUpgrade() {
   btn.textContent = 'Sending...';
 
   try {
-    const result = await window.NeutroniumAuth?.sendMagicLink(email, viewingPlayerId, null);
+    const result = await window.NeutroniumAuth?.sendMagicLink(email);
     if (result?.success) {
       hideUpgradeModal();
       alert('Check your email! Click the link to save your progress.');
     } else {
       btn.disabled = false;
       btn.textContent = 'Send Link';
-      alert(result?.error || 'Failed to send magic link. Please try again.');
+      if (!window.NeutroniumErrors.showFieldErrors(result?.error?.fields, { email: 'upgrade-email' })) {
+        alert(window.NeutroniumErrors.getErrorMessage(result, 'Failed to send magic link. Please try again.'));
+      }
     }
   } catch (error) {
     console.error('Error sending magic link:', error);
@@ -0,0 +1,165 @@
+/**
+ * Camera QR scanner for the game box code
+ * Uses the native BarcodeDetector where available and falls back to jsQR
+ * (loaded on demand) decoding video frames drawn to a canvas.
+ */
+
+const JSQR_URL = 'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js';
+const SCAN_INTERVAL_MS = 200;
+
+let scannerStream = null;
+let scannerTimer = null;
+let jsQrLoading = null;
+
+/**
+ * Check whether the browser can access a camera at all
+ * @returns {boolean}
+ */
+function isScannerSupported() {
+  return !!navigator.mediaDevices?.getUserMedia;
+}
+
+/**
+ * Extract a box ID from scanned QR text.
+ * Accepts join URLs (`https://.../?box=NE-2026-00003`) or a bare box ID.
+ * @param {string} text - Decoded QR content
+ * @returns {string|null} Box ID (not yet validated) or null
+ */
+function parseBoxCode(text) {
+  if (!text) return null;
+
+  try {
+    const url = new URL(text);
+    const boxParam = url.searchParams.get('box');
+    if (boxParam) return boxParam;
+  } catch {
+    // Not a URL - look for a bare ID below
+  }
+
+  const match = /NE-?\d{4}-?\d{5}/i.exec(text);
+  if (!match) return null;
+
+  // Restore hyphens for IDs printed without them
+  const digits = match[0].replace(/\D/g, '');
+  return `NE-${digits.slice(0, 4)}-${digits.slice(4)}`;
+}
+
+/**
+ * Load jsQR once, on first use
+ * @returns {Promise<Function>} jsQR decode function
+ */
+function loadJsQr() {
+  if (window.jsQR) return Promise.resolve(window.jsQR);
+
+  if (!jsQrLoading) {
+    jsQrLoading = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = JSQR_URL;
+      script.async = true;
+      script.onload = () => resolve(window.jsQR);
+      script.onerror = () => {
+        jsQrLoading = null;
+        reject(new Error('Failed to load QR decoder'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+
+  return jsQrLoading;
+}
+
+/**
+ * Build a frame decoder: BarcodeDetector if it supports QR, jsQR otherwise
+ * @returns {Promise<Function>} async (video) => decoded text or null
+ */
+async function createDecoder() {
+  if ('BarcodeDetector' in window) {
+    try {
+      const formats = await window.BarcodeDetector.getSupportedFormats();
+      if (formats.includes('qr_code')) {
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+        return async (video) => {
+          const codes = await detector.detect(video);
+          return codes[0]?.rawValue || null;
+        };
+      }
+    } catch (error) {
+      console.warn('BarcodeDetector unavailable, using jsQR:', error);
+    }
+  }
+
+  const jsQR = await loadJsQr();
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  return async (video) => {
+    if (!video.videoWidth) return null;
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(image.data, image.width, image.height, { inversionAttempts: 'dontInvert' });
+    return code?.data || null;
+  };
+}
+
+/**
+ * Start scanning with the rear camera
+ * @param {HTMLVideoElement} video - Element to show the camera preview in
+ * @param {Function} onResult - Called once with the decoded QR text
+ * @returns {Promise<void>} Rejects if the camera or decoder is unavailable
+ */
+async function startScanner(video, onResult) {
+  stopScanner();
+
+  const decode = await createDecoder();
+
+  scannerStream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: 'environment' },
+    audio: false,
+  });
+  video.srcObject = scannerStream;
+  video.setAttribute('playsinline', '');
+  await video.play();
+
+  const scanFrame = async () => {
+    if (!scannerStream) return;
+
+    try {
+      const text = await decode(video);
+      if (text) {
+        stopScanner();
+        onResult(text);
+        return;
+      }
+    } catch (error) {
+      console.error('QR decode error:', error);
+    }
+
+    scannerTimer = setTimeout(scanFrame, SCAN_INTERVAL_MS);
+  };
+
+  scanFrame();
+}
+
+/**
+ * Stop scanning and release the camera
+ */
+function stopScanner() {
+  if (scannerTimer) {
+    clearTimeout(scannerTimer);
+    scannerTimer = null;
+  }
+  if (scannerStream) {
+    scannerStream.getTracks().forEach(track => track.stop());
+    scannerStream = null;
+  }
+}
+
+// Export for use in other scripts
+window.NeutroniumScanner = {
+  isSupported: isScannerSupported,
+  parseBoxCode,
+  start: startScanner,
+  stop: stopScanner,
+};
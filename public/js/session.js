@@ -19,6 +19,20 @@ let pollInterval = null;
 let isGuest = true;
 let previousSessionLevel = null;
 let referenceScores = null;
+let nextLevelShown = false;
+let viewResults = false; // ?view=results: stay on a completed session's results
+
+// Live updates (WebSocket push, polling only while the socket is down)
+const LIVE_RECONNECT_MIN_MS = 1000;
+const LIVE_RECONNECT_MAX_MS = 30000;
+const LIVE_KEEPALIVE_MS = 30000;
+let liveSocket = null;
+let liveConnectedOnce = false;
+let liveUpdatesStopped = false;
+let liveReconnectDelay = LIVE_RECONNECT_MIN_MS;
+let liveReconnectTimer = null;
+let liveKeepaliveInterval = null;
+let refreshTimer = null;
 
 /**
  * Initialize the session page
@@ -27,6 +41,7 @@ async function init() {
   // Get session ID from URL
   const urlParams = new URLSearchParams(window.location.search);
   sessionId = urlParams.get('id');
+  viewResults = urlParams.get('view') === 'results';
 
   if (!sessionId) {
     showNotFound();
@@ -43,25 +58,19 @@ async function init() {
     window.history.replaceState({}, '', cleanUrl);
   }
 
-  // Get the OLD player ID from localStorage BEFORE checking authenticated user
-  // This is the ID that was used when the player was a guest
-  const oldPlayerId = window.NeutroniumAuth?.getPlayerId() || localStorage.getItem('neutronium_guest_id');
-
-  // Get current user status (this might be different from oldPlayerId if user signed in with existing account)
-  const currentUser = await window.NeutroniumAuth?.getCurrentUser();
+  // Get current player from the auth cookie (signed-in account or guest)
+  const currentPlayer = await window.NeutroniumAuth?.getCurrentPlayer();
+  const currentUser = currentPlayer && !currentPlayer.isGuest ? currentPlayer : null;
   isGuest = !currentUser;
-
-  // Set current player ID - use authenticated user ID if available
-  currentPlayerId = currentUser?.id || oldPlayerId;
+  currentPlayerId = currentPlayer?.id || null;
 
   // If returning from sign-in, rejoin session with authenticated player and recalculate level
   if (returnFromSignIn && currentUser) {
     console.log('Returning from sign-in:', {
       authenticatedPlayerId: currentUser.id,
-      oldPlayerId,
       playerName: currentUser.displayName,
     });
-    await rejoinSessionAsAuthenticatedPlayer(currentUser, oldPlayerId);
+    await rejoinSessionAsAuthenticatedPlayer(currentUser);
   }
 
   // Load session data
@@ -73,8 +82,8 @@ async function init() {
   // Set up event listeners
   setupEventListeners();
 
-  // Start polling for updates
-  startPolling();
+  // Subscribe to live updates (falls back to polling)
+  startLiveUpdates();
 }
 
 /**
@@ -91,7 +100,7 @@ function updateGuestBanner() {
  * Rejoin session as authenticated player after sign-in
  * This adds the authenticated player to the session and recalculates the level
  */
-async function rejoinSessionAsAuthenticatedPlayer(currentUser, oldPlayerId) {
+async function rejoinSessionAsAuthenticatedPlayer(currentUser) {
   try {
     // Use the authenticated user's name from database, fallback to stored name
     const playerName = currentUser.displayName || window.NeutroniumAuth?.getStoredPlayerName() || 'Player';
@@ -100,12 +109,11 @@ async function rejoinSessionAsAuthenticatedPlayer(currentUser, oldPlayerId) {
     console.log('Rejoining session with authenticated player:', {
       sessionId,
       playerId: currentUser.id,
-      oldPlayerId,
       playerName,
     });
 
-    // Join the session with the authenticated player ID
-    // Pass the old player ID so the server can remove the old guest entry
+    // Join the session as the signed-in player (from the auth cookie);
+    // the server removes the guest entry this sign-in replaced
     const response = await fetch('/api/session/join', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
@@ -113,8 +121,6 @@ async function rejoinSessionAsAuthenticatedPlayer(currentUser, oldPlayerId) {
         sessionId,
         playerName,
         playerColor,
-        playerId: currentUser.id,
-        replacePlayerId: oldPlayerId !== currentUser.id ? oldPlayerId : undefined,
       }),
       credentials: 'include',
     });
@@ -122,9 +128,6 @@ async function rejoinSessionAsAuthenticatedPlayer(currentUser, oldPlayerId) {
     if (response.ok) {
       const data = await response.json();
 
-      // Update the stored player ID
-      window.NeutroniumAuth?.setPlayerId(currentUser.id);
-
       // Check if level changed
       if (data.levelChanged) {
         showLevelChangedBanner(data.previousLevel, data.newLevel);
@@ -152,10 +155,7 @@ async function recalculateSessionLevel() {
     const response = await fetch('/api/session/recalculate-level', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        sessionId,
-        playerId: currentPlayerId,
-      }),
+      body: JSON.stringify({ sessionId }),
       credentials: 'include',
     });
 
@@ -199,6 +199,19 @@ function showLevelChangedBanner(previousLevel, newLevel) {
 function setupEventListeners() {
   document.getElementById('btn-submit-score')?.addEventListener('click', submitScore);
   document.getElementById('btn-end-game')?.addEventListener('click', voteEndGame);
+  document.getElementById('btn-share-invite')?.addEventListener('click', shareInvite);
+
+  // Held-back scores can still be confirmed from the results
+  document.getElementById('results-content')?.addEventListener('click', handlePlayerAction);
+
+  // Score corrections (shown with the results)
+  document.getElementById('corrections-list')?.addEventListener('click', handleCorrectionResponse);
+  document.getElementById('btn-request-correction')?.addEventListener('click', requestCorrection);
+
+  // Host controls (player buttons are re-rendered, so delegate from the list)
+  playersList?.addEventListener('click', handlePlayerAction);
+  document.getElementById('btn-force-complete')?.addEventListener('click', () => forceEndSession('completed'));
+  document.getElementById('btn-abandon')?.addEventListener('click', () => forceEndSession('abandoned'));
 
   // Sign-in modal
   document.getElementById('btn-session-signin')?.addEventListener('click', showSignInModal);
@@ -213,6 +226,38 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * Share the invite link via the native share sheet, or copy it
+ */
+async function shareInvite() {
+  if (!sessionData?.inviteUrl) return;
+
+  const label = document.getElementById('share-invite-label');
+  const shareData = {
+    title: 'Join my Neutronium game',
+    text: `Join my Neutronium game (level ${sessionData.universeLevel}) with code ${sessionData.joinCode}`,
+    url: sessionData.inviteUrl,
+  };
+
+  try {
+    if (navigator.share) {
+      await navigator.share(shareData);
+      return;
+    }
+    await navigator.clipboard.writeText(sessionData.inviteUrl);
+    label.textContent = 'Link Copied!';
+  } catch (error) {
+    // User dismissed the share sheet
+    if (error.name === 'AbortError') return;
+    console.error('Error sharing invite:', error);
+    label.textContent = `Code: ${sessionData.joinCode}`;
+  }
+
+  setTimeout(() => {
+    label.textContent = 'Share Invite';
+  }, 2000);
+}
+
 /**
  * Show sign-in modal
  */
@@ -255,7 +300,7 @@ async function sendSignInLink() {
     // Include the return URL with session ID and signed_in flag
     const returnUrl = `${window.location.origin}/session.html?id=${sessionId}&signed_in=1`;
 
-    const result = await window.NeutroniumAuth?.sendMagicLink(email, currentPlayerId, returnUrl);
+    const result = await window.NeutroniumAuth?.sendMagicLink(email, returnUrl);
 
     if (result?.success) {
       // Show success message
@@ -267,7 +312,9 @@ async function sendSignInLink() {
     } else {
       btn.disabled = false;
       btn.textContent = 'Send Magic Link';
-      alert(result?.error || 'Failed to send magic link');
+      if (!window.NeutroniumErrors.showFieldErrors(result?.error?.fields, { email: 'signin-email' })) {
+        alert(window.NeutroniumErrors.getErrorMessage(result, 'Failed to send magic link'));
+      }
     }
   } catch (error) {
     console.error('Error sending magic link:', error);
@@ -293,10 +340,10 @@ function showMyColor(color) {
  */
 async function loadSession() {
   try {
-    const url = currentPlayerId
-      ? `/api/session/${sessionId}?playerId=${encodeURIComponent(currentPlayerId)}`
-      : `/api/session/${sessionId}`;
-    const response = await fetch(url);
+    // Reference scores are resolved server-side from the auth cookie
+    const response = await fetch(`/api/session/${sessionId}`, {
+      credentials: 'include',
+    });
 
     if (response.status === 404) {
       showNotFound();
@@ -311,15 +358,15 @@ async function loadSession() {
 
     // Check if session is completed and there's a next session
     // This handles when another player submitted the last score
-    if (apiData.session?.status === 'completed' && apiData.nextSession) {
-      stopPolling();
+    if (apiData.session?.status === 'completed' && apiData.nextSession && !viewResults) {
+      stopUpdates();
       showNextLevelTransition(apiData.nextSession);
       return;
     }
 
     // Check if all 13 levels completed
-    if (apiData.session?.status === 'completed' && !apiData.nextSession && apiData.session?.universe_level === 13) {
-      stopPolling();
+    if (apiData.session?.status === 'completed' && !apiData.nextSession && apiData.session?.universe_level === 13 && !viewResults) {
+      stopUpdates();
       showGameComplete();
       return;
     }
@@ -332,8 +379,8 @@ async function loadSession() {
     // Transform API response to expected format
     sessionData = transformApiResponse(apiData);
 
-    // Store active session for rejoin capability (if session is active)
-    if (sessionData.status === 'active') {
+    // Store active session for rejoin capability (if session is still open)
+    if (isSessionOpen()) {
       window.NeutroniumAuth?.setActiveSession({
         id: sessionData.id,
         box_id: sessionData.boxId,
@@ -359,9 +406,13 @@ function transformApiResponse(apiData) {
     boxId: session.box_id,
     universeLevel: session.universe_level,
     status: session.status,
+    isIdle: !!session.pending_end_at,
+    joinCode: session.join_code,
+    inviteUrl: session.inviteUrl,
     hostPlayerId: session.host_player_id,
     startedAt: session.started_at,
     endedAt: session.ended_at,
+    requireConfirmation: !!session.require_confirmation,
     players: (session.players || []).map(sp => ({
       id: sp.player_id,
       sessionPlayerId: sp.id,
@@ -371,12 +422,16 @@ function transformApiResponse(apiData) {
       color: sp.race, // race field stores color
       startingNn: sp.starting_nn,
       finalNn: sp.final_nn,
+      scoreStatus: sp.score_status || 'confirmed',
+      disputeReason: sp.dispute_reason,
       votedEnd: sp.voted_end,
       joinedAt: sp.joined_at,
     })),
     endVotes: {
       current: stats?.playersVotedEnd || 0,
-      required: stats?.totalPlayers || 0,
+      required: stats?.endVote?.votesRequired ?? stats?.totalPlayers ?? 0,
+      rule: stats?.endVote?.rule || 'unanimous',
+      deadline: stats?.endVote?.deadline || null,
     },
     stats,
   };
@@ -405,8 +460,15 @@ function renderSession() {
 
   // Update status badge
   const statusBadge = document.getElementById('session-status');
-  statusBadge.textContent = sessionData.status.charAt(0).toUpperCase() + sessionData.status.slice(1);
-  statusBadge.className = `badge ${sessionData.status === 'active' ? 'badge-host' : 'badge-you'}`;
+  statusBadge.textContent = sessionData.isIdle
+    ? 'Idle'
+    : sessionData.status === 'pending_end'
+      ? 'Vote Open'
+      : sessionData.status.charAt(0).toUpperCase() + sessionData.status.slice(1);
+  statusBadge.className = `badge ${isSessionOpen() ? 'badge-host' : 'badge-you'}`;
+
+  // Idle warning: the stale session sweep will abandon the game unless someone acts
+  document.getElementById('idle-banner')?.classList.toggle('hidden', !sessionData.isIdle);
 
   // Update player count
   const playerCountEl = document.getElementById('session-player-count');
@@ -414,6 +476,24 @@ function renderSession() {
     playerCountEl.textContent = `${sessionData.players.length} player${sessionData.players.length !== 1 ? 's' : ''}`;
   }
 
+  // Invite card (the API only returns an invite URL while the session is active)
+  const inviteSection = document.getElementById('session-invite');
+  if (inviteSection) {
+    inviteSection.classList.toggle('hidden', !sessionData.inviteUrl);
+    document.getElementById('session-join-code').textContent = sessionData.joinCode || '-';
+  }
+
+  if (sessionData.status === 'abandoned') {
+    showSessionEnded('This game was abandoned. No scores were recorded.');
+    return;
+  }
+
+  // Host controls only while the game can still change
+  const hostControls = document.getElementById('host-controls');
+  if (hostControls) {
+    hostControls.classList.toggle('hidden', !isSessionHost());
+  }
+
   // Render players
   renderPlayers();
 
@@ -431,18 +511,18 @@ function renderSession() {
   // Render vote dots
   renderVoteDots();
 
-  // Check if current player has voted
+  // Voting toggles: a player who voted can withdraw until the vote passes
   const myPlayer = sessionData.players.find(p => p.id === currentPlayerId);
-  if (myPlayer?.votedEnd) {
-    const btn = document.getElementById('btn-end-game');
-    btn.textContent = 'Vote Submitted';
-    btn.disabled = true;
+  const endGameBtn = document.getElementById('btn-end-game');
+  if (endGameBtn) {
+    endGameBtn.textContent = myPlayer?.votedEnd ? 'Withdraw Vote' : 'Vote to End';
+    endGameBtn.disabled = false;
   }
 
   // Show results if session completed
   if (sessionData.status === 'completed') {
     showResults();
-    stopPolling();
+    stopUpdates();
   }
 
   // Render reference scores
@@ -528,6 +608,20 @@ function renderPlayers() {
       statusIcons.push('<div class="status-icon status-icon-voted">&#9632;</div>');
     }
 
+    const hostActions = isSessionHost() && !isMe ? `
+      <div class="player-host-actions">
+        <button type="button" class="btn btn-ghost btn-sm" data-action="make-host" data-player-id="${player.id}" data-player-name="${escapeHtml(player.name)}">Make Host</button>
+        <button type="button" class="btn btn-ghost btn-sm" data-action="kick" data-player-id="${player.id}" data-player-name="${escapeHtml(player.name)}">Remove</button>
+      </div>
+    ` : '';
+
+    const reviewActions = canReviewScore(player) ? `
+      <div class="player-host-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-action="confirm-score" data-player-id="${player.id}" data-player-name="${escapeHtml(player.name)}">Confirm</button>
+        ${player.scoreStatus === 'pending' ? `<button type="button" class="btn btn-ghost btn-sm" data-action="dispute-score" data-player-id="${player.id}" data-player-name="${escapeHtml(player.name)}">Dispute</button>` : ''}
+      </div>
+    ` : '';
+
     return `
       <div class="player-card-v2 ${isMe ? 'player-card-me' : ''}">
         <div class="player-color-bar" style="background: ${barColor};"></div>
@@ -539,14 +633,190 @@ function renderPlayers() {
           </div>
           <div class="player-meta">
             ${hasScore ? `<span class="nn-value">${player.finalNn}</span>` : '<span style="font-style: italic;">Waiting for score...</span>'}
+            ${hasScore ? renderScoreStatus(player) : ''}
           </div>
         </div>
         ${statusIcons.length ? `<div class="player-status-icons">${statusIcons.join('')}</div>` : ''}
+        ${reviewActions}
+        ${hostActions}
       </div>
     `;
   }).join('');
 }
 
+/**
+ * Badge for a score that still needs confirmation or was disputed
+ * @param {Object} player - Player with a submitted score
+ */
+function renderScoreStatus(player) {
+  if (player.scoreStatus === 'pending') {
+    return '<span class="badge badge-pending ml-sm">Unconfirmed</span>';
+  }
+  if (player.scoreStatus === 'disputed') {
+    const reason = player.disputeReason ? ` title="${escapeHtml(player.disputeReason)}"` : '';
+    return `<span class="badge badge-disputed ml-sm"${reason}>Disputed</span>`;
+  }
+  return '';
+}
+
+/**
+ * Whether the current player can confirm another player's score:
+ * anyone else in the session for a pending score, only the host for a disputed one
+ * @param {Object} player - Player whose score would be reviewed
+ */
+function canReviewScore(player) {
+  if (!currentPlayerId || player.id === currentPlayerId || player.finalNn === null) return false;
+  if (!sessionData.players.some(p => p.id === currentPlayerId)) return false;
+  if (player.scoreStatus === 'pending') return true;
+  return player.scoreStatus === 'disputed' && sessionData.hostPlayerId === currentPlayerId;
+}
+
+/**
+ * Whether the session can still be played (active, or idle in its grace window)
+ */
+function isSessionOpen() {
+  return sessionData?.status === 'active' || sessionData?.status === 'pending_end';
+}
+
+/**
+ * Whether the current player hosts this (still open) session
+ */
+function isSessionHost() {
+  return !!currentPlayerId
+    && isSessionOpen()
+    && sessionData.hostPlayerId === currentPlayerId;
+}
+
+/**
+ * Handle host action buttons on player cards
+ */
+async function handlePlayerAction(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+
+  const { action, playerId, playerName } = btn.dataset;
+
+  if (action === 'confirm-score' || action === 'dispute-score') {
+    await reviewScore(btn, action === 'confirm-score');
+    return;
+  }
+
+  const isKick = action === 'kick';
+  const question = isKick
+    ? `Remove ${playerName} from this game? Their score for this level will not be recorded.`
+    : `Make ${playerName} the host? You will lose the host controls.`;
+  if (!confirm(question)) return;
+
+  btn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/${isKick ? 'kick' : 'host'}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerId }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Action failed'));
+      btn.disabled = false;
+      return;
+    }
+
+    if (data.nextSession) {
+      stopUpdates();
+      showNextLevelTransition(data.nextSession);
+      return;
+    }
+
+    await loadSession();
+  } catch (error) {
+    console.error('Host action error:', error);
+    alert('Network error. Please try again.');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Confirm or dispute another player's score (table confirmation)
+ * @param {HTMLButtonElement} btn - Clicked button (carries the player)
+ * @param {boolean} confirmScore - true to confirm, false to dispute
+ */
+async function reviewScore(btn, confirmScore) {
+  const { playerId, playerName } = btn.dataset;
+  let reason = null;
+
+  if (!confirmScore) {
+    reason = prompt(`Why is ${playerName}'s score wrong? The host will be asked to check it.`);
+    if (reason === null) return;
+  }
+
+  btn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/confirm-score`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerId, confirm: confirmScore, reason }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to review score'));
+      btn.disabled = false;
+      return;
+    }
+
+    if (data.nextSession) {
+      stopUpdates();
+      showNextLevelTransition(data.nextSession);
+      return;
+    }
+
+    await loadSession();
+  } catch (error) {
+    console.error('Review score error:', error);
+    alert('Network error. Please try again.');
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Host ends the session early
+ * @param {string} outcome - 'completed' or 'abandoned'
+ */
+async function forceEndSession(outcome) {
+  const question = outcome === 'completed'
+    ? 'Complete the game now? Only scores already submitted will be recorded.'
+    : 'Abandon this game? No scores will be recorded.';
+  if (!confirm(question)) return;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/force-end`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to end the game'));
+      return;
+    }
+
+    await loadSession();
+  } catch (error) {
+    console.error('Force end error:', error);
+    alert('Network error. Please try again.');
+  }
+}
+
 /**
  * Set starting Nn read-only display
  */
@@ -592,13 +862,39 @@ function renderVoteDots() {
   const container = document.getElementById('vote-dots');
   if (!container || !sessionData?.players) return;
 
-  container.innerHTML = sessionData.players.map(player => {
+  const dots = sessionData.players.map(player => {
     const initial = player.name.charAt(0).toUpperCase();
     const voted = player.votedEnd;
     const borderColor = player.color ? getColorHex(player.color) : 'var(--color-border)';
 
     return `<div class="vote-dot ${voted ? 'vote-dot-voted' : ''}" style="border-color: ${voted ? '' : borderColor};" title="${escapeHtml(player.name)}${voted ? ' (voted)' : ''}">${voted ? '&#10003;' : initial}</div>`;
   }).join('');
+
+  container.innerHTML = `${dots}<span class="vote-rule">${escapeHtml(describeEndRule(sessionData.endVotes))}</span>`;
+}
+
+/**
+ * Explain how the end vote passes, with live progress while it is open
+ * @param {Object} endVotes - { current, required, rule, deadline }
+ * @returns {string}
+ */
+function describeEndRule(endVotes) {
+  const progress = `${endVotes.current}/${endVotes.required} votes`;
+
+  switch (endVotes.rule) {
+    case 'majority':
+      return `Majority: ${progress}`;
+    case 'host_plus_one':
+      return `Host + one: ${progress}`;
+    case 'timeout':
+      if (endVotes.deadline) {
+        const time = new Date(endVotes.deadline).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `Ends at ${time} unless withdrawn`;
+      }
+      return 'Vote passes after 10 minutes';
+    default:
+      return `Everyone: ${progress}`;
+  }
 }
 
 /**
@@ -637,7 +933,6 @@ async function submitScore() {
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         sessionId,
-        playerId: currentPlayerId,
         color,
         startingNn,
         finalNn,
@@ -654,12 +949,12 @@ async function submitScore() {
 
       // Check if all players submitted and we're moving to next level
       if (data.allSubmitted && data.nextSession) {
-        // Stop polling and show transition message
-        stopPolling();
+        // Stop updates and show transition message
+        stopUpdates();
         showNextLevelTransition(data.nextSession);
       } else if (data.allSubmitted && !data.nextSession) {
         // All 13 levels completed!
-        stopPolling();
+        stopUpdates();
         showGameComplete();
       } else {
         // Update submission progress
@@ -670,7 +965,9 @@ async function submitScore() {
     } else {
       btn.disabled = false;
       btn.textContent = 'Submit Score';
-      alert(data.error || 'Failed to submit score');
+      if (!window.NeutroniumErrors.showFieldErrors(data.error?.fields, { finalNn: 'my-final-nn' })) {
+        alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to submit score'));
+      }
     }
   } catch (error) {
     console.error('Error submitting score:', error);
@@ -695,6 +992,10 @@ function updateSubmissionProgress(submitted, total) {
  * Show transition to next level
  */
 function showNextLevelTransition(nextSession) {
+  // Both the submit response and the live event can trigger this
+  if (nextLevelShown) return;
+  nextLevelShown = true;
+
   const currentLevel = sessionData?.universeLevel || (nextSession.universeLevel - 1);
   const currentBoxId = sessionData?.boxId || null;
 
@@ -798,12 +1099,8 @@ function setupSaveProgressHandler() {
     btn.textContent = 'Saving...';
 
     try {
-      const result = await window.NeutroniumAuth?.sendMagicLink(email, currentPlayerId);
+      const result = await window.NeutroniumAuth?.sendMagicLink(email);
       if (result?.success) {
-        // Update player ID if returned
-        if (result.playerId) {
-          window.NeutroniumAuth?.setPlayerId(result.playerId);
-        }
         document.getElementById('save-progress-prompt').innerHTML = `
           <div class="alert alert-success">
             <span class="alert-icon">&#10003;</span>
@@ -817,7 +1114,7 @@ function setupSaveProgressHandler() {
       } else {
         btn.disabled = false;
         btn.textContent = 'Save Progress';
-        alert(result?.error || 'Failed to save progress');
+        alert(window.NeutroniumErrors.getErrorMessage(result, 'Failed to save progress'));
       }
     } catch (error) {
       console.error('Save progress error:', error);
@@ -829,17 +1126,20 @@ function setupSaveProgressHandler() {
 }
 
 /**
- * Vote to end the game
+ * Vote to end the game, or withdraw the vote
  */
 async function voteEndGame() {
+  const myPlayer = sessionData?.players.find(p => p.id === currentPlayerId);
+  if (myPlayer?.votedEnd) {
+    await retractEndVote();
+    return;
+  }
+
   try {
     const response = await fetch('/api/session/end', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        sessionId,
-        playerId: currentPlayerId,
-      }),
+      body: JSON.stringify({ sessionId }),
       credentials: 'include',
     });
 
@@ -848,14 +1148,13 @@ async function voteEndGame() {
     if (response.ok) {
       // Update button state
       const btn = document.getElementById('btn-end-game');
-      btn.textContent = 'Vote Submitted';
-      btn.disabled = true;
+      btn.textContent = 'Withdraw Vote';
 
       // Check if session is now completed
       if (data.sessionCompleted) {
         sessionData.status = 'completed';
         showResults();
-        stopPolling();
+        stopUpdates();
       } else {
         // Update vote count and re-render dots
         document.getElementById('end-votes').textContent =
@@ -864,7 +1163,7 @@ async function voteEndGame() {
         await loadSession();
       }
     } else {
-      alert(data.error || 'Failed to submit vote');
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to submit vote'));
     }
   } catch (error) {
     console.error('Error voting to end:', error);
@@ -872,6 +1171,32 @@ async function voteEndGame() {
   }
 }
 
+/**
+ * Withdraw the current player's vote to end the game
+ */
+async function retractEndVote() {
+  try {
+    const response = await fetch('/api/session/retract-vote', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to withdraw vote'));
+      return;
+    }
+
+    await loadSession();
+  } catch (error) {
+    console.error('Error withdrawing vote:', error);
+    alert('Network error. Please try again.');
+  }
+}
+
 /**
  * Show results modal
  */
@@ -900,8 +1225,14 @@ function showResults() {
             <div class="player-meta">
               ${player.race ? `${player.race} • ` : ''}
               <span class="nn-value">${player.finalNn}</span>
+              ${player.scoreStatus && player.scoreStatus !== 'confirmed' ? renderScoreStatus(player) + ' <span>Not counted yet</span>' : ''}
             </div>
           </div>
+          ${player.id && canReviewScore(player) ? `
+            <div class="player-host-actions">
+              <button type="button" class="btn btn-secondary btn-sm" data-action="confirm-score" data-player-id="${player.id}" data-player-name="${escapeHtml(player.name)}">Confirm</button>
+            </div>
+          ` : ''}
         </div>
       `).join('')}
     </div>
@@ -919,6 +1250,163 @@ function showResults() {
   setupSaveProgressHandler();
 
   resultsModal.classList.add('active');
+
+  loadCorrections();
+}
+
+/**
+ * Load score correction requests for the completed session
+ */
+async function loadCorrections() {
+  const section = document.getElementById('corrections-section');
+  const isPlayer = sessionData.players.some(p => p.id === currentPlayerId);
+  if (!section || !isPlayer) return;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/corrections`, {
+      credentials: 'include',
+    });
+    if (!response.ok) return;
+
+    const data = await response.json();
+    renderCorrections(data.corrections || []);
+    section.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error loading corrections:', error);
+  }
+}
+
+/**
+ * Render correction requests and the request form
+ * @param {Array} corrections - Corrections, newest first
+ */
+function renderCorrections(corrections) {
+  const list = document.getElementById('corrections-list');
+  const confirmationsRequired = sessionData.players.length - 1;
+  const statusLabels = { pending: 'Waiting', applied: 'Applied', rejected: 'Rejected' };
+
+  list.innerHTML = corrections.map(correction => {
+    const isMine = correction.playerId === currentPlayerId;
+    const approvals = correction.responses.filter(r => r.approved).length;
+    const myResponse = correction.responses.find(r => r.playerId === currentPlayerId);
+    const canRespond = correction.status === 'pending' && !isMine && !myResponse;
+
+    return `
+      <div class="player-card">
+        <div class="player-info">
+          <div class="player-name">
+            ${escapeHtml(isMine ? 'You' : correction.playerName || 'Unknown')}:
+            ${correction.previousFinalNn ?? '&mdash;'} &#8594; <span class="nn-value">${correction.requestedFinalNn}</span>
+            <span class="badge ${correction.status === 'applied' ? 'badge-new-best' : 'badge-you'} ml-sm">${statusLabels[correction.status]}</span>
+          </div>
+          <div class="player-meta">
+            ${correction.reason ? `${escapeHtml(correction.reason)} &bull; ` : ''}
+            ${correction.status === 'pending' ? `${approvals}/${confirmationsRequired} confirmed` : formatCorrectionDate(correction.resolvedAt)}
+          </div>
+        </div>
+        ${canRespond ? `
+          <div class="player-host-actions">
+            <button type="button" class="btn btn-secondary btn-sm" data-correction-id="${correction.id}" data-approve="true">Confirm</button>
+            <button type="button" class="btn btn-ghost btn-sm" data-correction-id="${correction.id}" data-approve="false">Reject</button>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+
+  // One open request per player, and someone has to confirm it
+  const hasPendingRequest = corrections.some(c => c.playerId === currentPlayerId && c.status === 'pending');
+  document.getElementById('correction-form')
+    .classList.toggle('hidden', hasPendingRequest || confirmationsRequired < 1);
+}
+
+/**
+ * Format a correction's resolution date
+ */
+function formatCorrectionDate(dateStr) {
+  return dateStr ? new Date(dateStr).toLocaleDateString() : '';
+}
+
+/**
+ * Ask the other players to confirm a corrected final Nn
+ */
+async function requestCorrection() {
+  const input = document.getElementById('correction-final-nn');
+  const finalNn = parseInt(input.value, 10);
+  if (isNaN(finalNn) || finalNn < 0) {
+    alert('Please enter a valid score');
+    return;
+  }
+
+  const btn = document.getElementById('btn-request-correction');
+  btn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/corrections`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        finalNn,
+        reason: document.getElementById('correction-reason').value,
+      }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const shown = window.NeutroniumErrors.showFieldErrors(data.error?.fields, {
+        finalNn: 'correction-final-nn',
+        reason: 'correction-reason',
+      });
+      if (!shown) {
+        alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to request correction'));
+      }
+      return;
+    }
+
+    input.value = '';
+    document.getElementById('correction-reason').value = '';
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error requesting correction:', error);
+    alert('Network error. Please try again.');
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Confirm or reject another player's correction
+ */
+async function handleCorrectionResponse(e) {
+  const btn = e.target.closest('[data-correction-id]');
+  if (!btn) return;
+
+  btn.disabled = true;
+
+  try {
+    const response = await fetch(`/api/session/${sessionId}/corrections/${btn.dataset.correctionId}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ approve: btn.dataset.approve === 'true' }),
+      credentials: 'include',
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      alert(window.NeutroniumErrors.getErrorMessage(data, 'Failed to respond'));
+      btn.disabled = false;
+      return;
+    }
+
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error responding to correction:', error);
+    alert('Network error. Please try again.');
+    btn.disabled = false;
+  }
 }
 
 /**
@@ -927,6 +1415,140 @@ function showResults() {
 function showNotFound() {
   sessionLoading.classList.add('hidden');
   sessionNotFound.classList.remove('hidden');
+  stopUpdates();
+}
+
+/**
+ * Show the game-over card (abandoned, or removed by the host)
+ * @param {string} message - Explanation shown to the player
+ */
+function showSessionEnded(message) {
+  window.NeutroniumAuth?.clearActiveSession();
+  sessionLoading.classList.add('hidden');
+  sessionContent.classList.add('hidden');
+  document.getElementById('session-ended-message').textContent = message;
+  document.getElementById('session-ended').classList.remove('hidden');
+  stopUpdates();
+}
+
+/**
+ * Start live session updates over WebSocket.
+ * Polling is only used when WebSockets are unavailable or the socket drops.
+ */
+function startLiveUpdates() {
+  liveUpdatesStopped = false;
+
+  if (!('WebSocket' in window)) {
+    startPolling();
+    return;
+  }
+
+  connectLiveSocket();
+}
+
+/**
+ * Open the session WebSocket and wire up reconnect/fallback handling
+ */
+function connectLiveSocket() {
+  liveReconnectTimer = null;
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${protocol}//${window.location.host}/api/session/${sessionId}/live`);
+  liveSocket = socket;
+
+  socket.addEventListener('open', () => {
+    liveReconnectDelay = LIVE_RECONNECT_MIN_MS;
+    stopPolling();
+
+    // Catch up on anything missed while the socket was down
+    if (liveConnectedOnce) {
+      scheduleSessionRefresh();
+    }
+    liveConnectedOnce = true;
+
+    liveKeepaliveInterval = setInterval(() => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send('ping');
+      }
+    }, LIVE_KEEPALIVE_MS);
+  });
+
+  socket.addEventListener('message', (e) => {
+    if (e.data === 'pong') return;
+
+    try {
+      handleLiveEvent(JSON.parse(e.data));
+    } catch (error) {
+      console.error('Invalid live event:', error);
+    }
+  });
+
+  socket.addEventListener('close', () => {
+    clearInterval(liveKeepaliveInterval);
+    liveKeepaliveInterval = null;
+    liveSocket = null;
+
+    if (liveUpdatesStopped) return;
+
+    // Socket dropped - poll until it reconnects
+    startPolling();
+    liveReconnectTimer = setTimeout(connectLiveSocket, liveReconnectDelay);
+    liveReconnectDelay = Math.min(liveReconnectDelay * 2, LIVE_RECONNECT_MAX_MS);
+  });
+}
+
+/**
+ * Handle an event pushed by the server
+ * @param {Object} event - { type, sessionId, data, at }
+ */
+function handleLiveEvent(event) {
+  if (event.type === 'next-session' && event.data?.nextSession) {
+    stopUpdates();
+    showNextLevelTransition(event.data.nextSession);
+    return;
+  }
+
+  if (event.type === 'player-removed' && event.data?.playerId === currentPlayerId) {
+    showSessionEnded('The host removed you from this game.');
+    return;
+  }
+
+  // player-joined, score-submitted, score-reviewed, vote-end, level-changed,
+  // vote-retracted, player-removed, host-changed, session-ended, session-idle:
+  // refresh so players, vote dots, host and progress stay consistent
+  scheduleSessionRefresh();
+}
+
+/**
+ * Refresh session data, coalescing bursts of events into one request
+ */
+function scheduleSessionRefresh() {
+  if (refreshTimer) return;
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    if (liveUpdatesStopped) return;
+    await loadSession();
+  }, 250);
+}
+
+/**
+ * Stop all session updates (socket, reconnects and polling)
+ */
+function stopUpdates() {
+  liveUpdatesStopped = true;
+
+  if (liveReconnectTimer) {
+    clearTimeout(liveReconnectTimer);
+    liveReconnectTimer = null;
+  }
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+  if (liveSocket) {
+    liveSocket.close();
+    liveSocket = null;
+  }
+
   stopPolling();
 }
 
@@ -934,10 +1556,12 @@ function showNotFound() {
  * Start polling for session updates
  */
 function startPolling() {
+  if (pollInterval) return;
+
   // Poll every 5 seconds
   pollInterval = setInterval(async () => {
     if (sessionData?.status === 'completed') {
-      stopPolling();
+      stopUpdates();
       return;
     }
     await loadSession();
@@ -966,7 +1590,7 @@ function escapeHtml(str) {
 }
 
 // Clean up on page unload
-window.addEventListener('beforeunload', stopPolling);
+window.addEventListener('beforeunload', stopUpdates);
 
 /**
  * Set up header hide-on-scroll behavior
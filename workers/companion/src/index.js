@@ -0,0 +1,24 @@
+/**
+ * Companion Worker for the Neutronium Pages project
+ * Hosts the Durable Objects that Pages Functions bind to via `script_name`,
+ * and runs scheduled maintenance (Pages Functions have no Cron Triggers).
+ */
+
+import { expireStaleSessions } from './stale-sessions.js';
+
+export { SessionRoom } from './session-room.js';
+export { RateLimiter } from './rate-limiter.js';
+
+export default {
+  async fetch() {
+    return new Response('Neutronium companion worker', { status: 200 });
+  },
+
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(
+      expireStaleSessions(env).then(report => {
+        console.log(JSON.stringify({ job: 'expire-stale-sessions', cron: controller.cron, ...report }));
+      })
+    );
+  },
+};
@@ -0,0 +1,75 @@
+/**
+ * RateLimiter Durable Object
+ * One instance per rate limit key (e.g. "magic-link-email:ada@example.com").
+ * Counts hits in fixed windows; the count is kept in storage so it survives
+ * the object being evicted.
+ */
+
+export class RateLimiter {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Worker environment
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Handle requests routed to this limiter
+   * - POST /hit { limit, windowSeconds } counts a hit and returns
+   *   { allowed, remaining, retryAfter } (retryAfter in seconds, 0 when allowed)
+   * @param {Request} request - Incoming request
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname !== '/hit' || request.method !== 'POST') {
+      return new Response('Not found', { status: 404 });
+    }
+
+    const { limit, windowSeconds } = await request.json();
+    const result = await this.hit(limit, windowSeconds);
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+
+  /**
+   * Count a hit in the current window
+   * @param {number} limit - Hits allowed per window
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<{allowed: boolean, remaining: number, retryAfter: number}>}
+   */
+  async hit(limit, windowSeconds) {
+    const windowMs = windowSeconds * 1000;
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+
+    const stored = await this.state.storage.get('window');
+    const count = stored?.start === windowStart ? stored.count : 0;
+
+    if (count >= limit) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfter: Math.ceil((windowStart + windowMs - now) / 1000),
+      };
+    }
+
+    await this.state.storage.put('window', { start: windowStart, count: count + 1 });
+
+    // Drop the counter once the window is over so idle keys keep no storage
+    await this.state.storage.setAlarm(windowStart + windowMs);
+
+    return { allowed: true, remaining: limit - count - 1, retryAfter: 0 };
+  }
+
+  /**
+   * Window over: forget the count
+   */
+  async alarm() {
+    await this.state.storage.deleteAll();
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * SessionRoom Durable Object
+ * One instance per game session. Holds the WebSocket connections of every
+ * phone at the table and fans out events published by the session endpoints.
+ */
+
+export class SessionRoom {
+  /**
+   * @param {DurableObjectState} state - Durable Object state
+   * @param {Object} env - Worker environment
+   */
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  /**
+   * Handle requests routed to this room
+   * - GET with `Upgrade: websocket` opens a live connection
+   * - POST /broadcast pushes an event to every connected socket
+   * @param {Request} request - Incoming request
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      const event = await request.json();
+      const delivered = this.broadcast(event);
+      return new Response(JSON.stringify({ delivered }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+
+    if (request.headers.get('Upgrade') !== 'websocket') {
+      return new Response('Expected WebSocket upgrade', { status: 426 });
+    }
+
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+
+    // Hibernatable sockets: the object can be evicted between events
+    // without dropping the connections
+    this.state.acceptWebSocket(server);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /**
+   * Send an event to every connected socket
+   * @param {Object} event - Event payload
+   * @returns {number} Number of sockets the event was sent to
+   */
+  broadcast(event) {
+    const message = JSON.stringify(event);
+    let delivered = 0;
+
+    for (const socket of this.state.getWebSockets()) {
+      try {
+        socket.send(message);
+        delivered++;
+      } catch (error) {
+        // Socket already closed - the runtime will clean it up
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Clients only send keepalive pings; anything else is ignored
+   * @param {WebSocket} socket - Sending socket
+   * @param {string|ArrayBuffer} message - Raw message
+   */
+  async webSocketMessage(socket, message) {
+    if (message === 'ping') {
+      socket.send('pong');
+    }
+  }
+
+  /**
+   * Complete the close handshake
+   * @param {WebSocket} socket - Closing socket
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  async webSocketClose(socket, code, reason) {
+    try {
+      socket.close(code, reason);
+    } catch (error) {
+      // Already closed
+    }
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Stale session sweep (Cron Trigger)
+ * A session nobody touches keeps its box blocked (one open session per box),
+ * so idle sessions are moved to pending_end and, after a grace window in which
+ * any action revives them, to abandoned. End votes under the timeout rule
+ * that have run out are completed in the same run. The work is done by the
+ * resolve_timed_out_end_votes() and expire_stale_sessions() database
+ * functions; this module calls them, tells any connected phones and returns
+ * a report of what changed.
+ */
+
+const DEFAULT_IDLE_MINUTES = 180;
+const DEFAULT_GRACE_MINUTES = 30;
+
+// Event types match SESSION_EVENTS in functions/_shared/realtime.js
+const EVENT_FOR_STATUS = {
+  pending_end: 'session-idle',
+  abandoned: 'session-ended',
+  completed: 'session-ended',
+};
+
+/**
+ * Read a positive whole number of minutes from a string variable
+ * @param {string|undefined} value - Raw variable
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number}
+ */
+function parseMinutes(value, fallback) {
+  const minutes = parseInt(value, 10);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : fallback;
+}
+
+/**
+ * Run one sweep
+ * @param {Object} env - Worker environment (SUPABASE_URL, SUPABASE_SERVICE_KEY,
+ *   SESSION_IDLE_MINUTES, SESSION_GRACE_MINUTES, SESSION_ROOMS)
+ * @returns {Promise<Object>} - Report of the sessions changed
+ */
+export async function expireStaleSessions(env) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_KEY must be set for the stale session sweep');
+  }
+
+  const idleMinutes = parseMinutes(env.SESSION_IDLE_MINUTES, DEFAULT_IDLE_MINUTES);
+  const graceMinutes = parseMinutes(env.SESSION_GRACE_MINUTES, DEFAULT_GRACE_MINUTES);
+
+  // Votes first: a session whose vote passed is completed, not abandoned
+  const timedOutVotes = await callRpc(env, 'resolve_timed_out_end_votes', {});
+  const changes = await callRpc(env, 'expire_stale_sessions', {
+    p_idle_minutes: idleMinutes,
+    p_grace_minutes: graceMinutes,
+  });
+
+  await Promise.all([
+    ...timedOutVotes.map(vote => notifySessionRoom(env, vote.session_id, 'completed')),
+    ...changes.map(change => notifySessionRoom(env, change.session_id, change.new_status)),
+  ]);
+
+  const summarize = status => changes
+    .filter(change => change.new_status === status)
+    .map(change => ({
+      sessionId: change.session_id,
+      boxId: change.box_id,
+      universeLevel: change.universe_level,
+      lastActivityAt: change.last_activity_at,
+    }));
+
+  return {
+    ranAt: new Date().toISOString(),
+    idleMinutes,
+    graceMinutes,
+    completedByVoteTimeout: timedOutVotes.map(vote => ({
+      sessionId: vote.session_id,
+      boxId: vote.box_id,
+      universeLevel: vote.universe_level,
+      endVoteStartedAt: vote.end_vote_started_at,
+    })),
+    pendingEnd: summarize('pending_end'),
+    abandoned: summarize('abandoned'),
+  };
+}
+
+/**
+ * Call a database function through the Supabase REST API
+ * (the worker has no bundled dependencies, so no supabase-js)
+ * @param {Object} env - Worker environment
+ * @param {string} name - Function name
+ * @param {Object} args - Named arguments
+ * @returns {Promise<Array>} - Rows returned
+ */
+async function callRpc(env, name, args) {
+  const response = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/${name}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      apikey: env.SUPABASE_SERVICE_KEY,
+      Authorization: `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+    },
+    body: JSON.stringify(args),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${name} failed (${response.status}): ${await response.text()}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Push a status change to phones still connected to the session
+ * @param {Object} env - Worker environment
+ * @param {string} sessionId - Session ID
+ * @param {string} status - New session status
+ */
+async function notifySessionRoom(env, sessionId, status) {
+  if (!env.SESSION_ROOMS) return;
+
+  const room = env.SESSION_ROOMS.get(env.SESSION_ROOMS.idFromName(sessionId));
+
+  try {
+    await room.fetch('https://session-room/broadcast', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: EVENT_FOR_STATUS[status],
+        sessionId,
+        data: { status, reason: status === 'completed' ? 'end-vote-timeout' : 'inactivity' },
+        at: new Date().toISOString(),
+      }),
+    });
+  } catch (error) {
+    console.error(`Failed to notify session ${sessionId}:`, error);
+  }
+}